@@ -0,0 +1,77 @@
+// app/components/BenchmarkOverlay.jsx
+import React, { useState, useEffect } from "react";
+import { broadPhaseTypes } from "../physics/BroadPhase.js";
+
+/**
+ * Side-by-side numbers of the collision broad-phases, filled by the sketch.
+ * Pair counts are computed for every method, the time of one world.step()
+ * only for the method that is running: the other one keeps its last time
+ * while the body count is the same, otherwise it reads "not measured".
+ * @param {object} statsRef - ref to { active, bodies, methods: { [method]: { pairs, contacts, stepMs, bodies } } }
+ * @param {number} refreshMs - Update interval
+ */
+export default function BenchmarkOverlay({ statsRef, refreshMs = 250 }) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const current = statsRef.current;
+      setStats(current ? structuredClone(current) : null);
+    }, refreshMs);
+    return () => clearInterval(interval);
+  }, [statsRef, refreshMs]);
+
+  if (!stats) return null;
+
+  const format = (value, digits = 0) =>
+    Number.isFinite(value) ? value.toFixed(digits) : "—";
+
+  return (
+    <div className="benchmark-overlay">
+      <div className="benchmark-title">Broad-phase · {stats.bodies} bodies</div>
+      <table>
+        <thead>
+          <tr>
+            <th />
+            {broadPhaseTypes.map(({ value, label }) => (
+              <th
+                key={value}
+                className={value === stats.active ? "active" : undefined}
+              >
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Narrow-phase pairs</td>
+            {broadPhaseTypes.map(({ value }) => (
+              <td key={value}>{format(stats.methods[value]?.pairs)}</td>
+            ))}
+          </tr>
+          <tr>
+            <td>Contacts</td>
+            {broadPhaseTypes.map(({ value }) => (
+              <td key={value}>{format(stats.methods[value]?.contacts)}</td>
+            ))}
+          </tr>
+          <tr>
+            <td>Physics step (ms)</td>
+            {broadPhaseTypes.map(({ value }) => {
+              const stepMs = stats.methods[value]?.stepMs;
+              return (
+                <td key={value}>
+                  {Number.isFinite(stepMs) ? format(stepMs, 1) : "not measured"}
+                </td>
+              );
+            })}
+          </tr>
+        </tbody>
+      </table>
+      <div className="benchmark-hint">
+        Switch &quot;Broad-phase&quot; to time the other method
+      </div>
+    </div>
+  );
+}
@@ -2,17 +2,26 @@ import { useState } from "react";
 import PlayPauseButton from "./controls/PlayPauseButton.jsx";
 import SpeedControl from "./controls/SpeedControl.jsx";
 import ResetButton from "./controls/ResetButton.jsx";
+import TimelineControl from "./controls/TimelineControl.jsx";
 import SaveButton from "./controls/SaveButton.jsx";
 import DeleteButton from "./controls/DeleteButton.jsx";
 import DownloadButton from "./controls/DownloadButton.jsx";
 import UploadButton from "./controls/UploadButton.jsx";
+import RecordControl from "./controls/RecordControl.jsx";
+import CaptureControls from "./controls/CaptureControls.jsx";
 import ShareLinkControl from "./controls/ShareLinkControl.jsx";
 import EmbedCodeControl from "./controls/EmbedCodeControl.jsx";
 
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faArrowDown, faArrowUp } from "@fortawesome/free-solid-svg-icons";
 
-export default function Controls({ onReset, inputs, simulation, onLoad }) {
+export default function Controls({
+  onReset,
+  inputs,
+  schema,
+  simulation,
+  onLoad,
+}) {
   const [isOpen, setIsOpen] = useState(false);
   simulation = simulation.replaceAll(/[/#]/g, "");
 
@@ -22,6 +31,7 @@ export default function Controls({ onReset, inputs, simulation, onLoad }) {
         <SpeedControl />
         <PlayPauseButton />
         <ResetButton onReset={onReset} />
+        <TimelineControl />
 
         <button className="mobile-toggle" onClick={() => setIsOpen(!isOpen)}>
           <FontAwesomeIcon
@@ -33,16 +43,34 @@ export default function Controls({ onReset, inputs, simulation, onLoad }) {
 
       <div className="extra-controls-wrapper">
         <div className="controls-group">
-          <SaveButton inputs={inputs} simulation={simulation} />
+          <SaveButton inputs={inputs} schema={schema} simulation={simulation} />
           <DeleteButton simulation={simulation} />
         </div>
         <div className="controls-group">
-          <DownloadButton inputs={inputs} simulation={simulation} />
-          <UploadButton onLoad={onLoad} simulation={simulation} />
+          <DownloadButton
+            inputs={inputs}
+            schema={schema}
+            simulation={simulation}
+          />
+          <CaptureControls simulation={simulation} />
+          <UploadButton
+            onLoad={onLoad}
+            schema={schema}
+            simulation={simulation}
+          />
+          <RecordControl inputs={inputs} simulation={simulation} />
         </div>
         <div className="controls-group">
-          <ShareLinkControl inputs={inputs} simulation={simulation} />
-          <EmbedCodeControl inputs={inputs} simulation={simulation} />
+          <ShareLinkControl
+            inputs={inputs}
+            schema={schema}
+            simulation={simulation}
+          />
+          <EmbedCodeControl
+            inputs={inputs}
+            schema={schema}
+            simulation={simulation}
+          />
         </div>
       </div>
     </div>
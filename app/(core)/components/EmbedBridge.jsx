@@ -0,0 +1,144 @@
+// app/components/EmbedBridge.jsx
+"use client";
+import { useEffect, useRef } from "react";
+import { useSimulationClock } from "../context/SimulationClockProvider.tsx";
+import { useDataLogger } from "../context/DataLoggerProvider.tsx";
+import { useEmbed } from "../context/EmbedProvider.tsx";
+import { parsePartialInputs } from "../utils/inputSchema.ts";
+
+const PREFIX = "physicshub:";
+
+/**
+ * postMessage API of an embedded simulation. Renders nothing.
+ *
+ * Host -> embed (iframe.contentWindow.postMessage):
+ *   { type: "physicshub:setInputs", inputs, schemaVersion? }
+ *   { type: "physicshub:getInputs" }
+ *   { type: "physicshub:play" } / "physicshub:pause" / "physicshub:reset"
+ *   { type: "physicshub:subscribe", rate? }  start streaming data (Hz, simulated time)
+ *   { type: "physicshub:unsubscribe" }
+ *
+ * Embed -> host (window.parent):
+ *   physicshub:ready   { simulation, schemaVersion, fields, inputs }
+ *   physicshub:inputs  { inputs, issues }
+ *   physicshub:state   { paused, timeScale, time }
+ *   physicshub:data    { t, values }  one row per sample, units in the names
+ */
+export default function EmbedBridge({
+  simulation,
+  inputs,
+  schema,
+  onLoad,
+  onReset,
+}) {
+  const clock = useSimulationClock();
+  const logger = useDataLogger();
+  const { hostOrigin } = useEmbed();
+
+  // Valori sempre aggiornati senza registrare di nuovo il listener
+  const latestRef = useRef({ inputs, schema, onLoad, onReset });
+  useEffect(() => {
+    latestRef.current = { inputs, schema, onLoad, onReset };
+  }, [inputs, schema, onLoad, onReset]);
+
+  useEffect(() => {
+    if (window.parent === window) return; // pagina aperta direttamente
+
+    const post = (type, payload = {}) => {
+      window.parent.postMessage(
+        { type: PREFIX + type, ...payload },
+        hostOrigin
+      );
+    };
+
+    const postInputs = (issues = []) => {
+      post("inputs", { inputs: latestRef.current.inputs, issues });
+    };
+
+    const postState = () => {
+      post("state", {
+        paused: clock.isPaused(),
+        timeScale: clock.getTimeScale(),
+        time: clock.elapsed,
+      });
+    };
+
+    let stopStreaming = null;
+    const unsubscribeData = () => {
+      stopStreaming?.();
+      stopStreaming = null;
+      logger.stop();
+    };
+
+    const handlers = {
+      setInputs: ({ inputs: values = {}, schemaVersion }) => {
+        const current = latestRef.current;
+        const { inputs: valid, issues } = parsePartialInputs(
+          current.schema,
+          values,
+          schemaVersion
+        );
+        const merged = { ...current.inputs, ...valid };
+        current.onLoad?.(merged);
+        post("inputs", { inputs: merged, issues });
+      },
+      getInputs: () => postInputs(),
+      play: () => clock.setPause(false),
+      pause: () => clock.setPause(true),
+      reset: () => {
+        clock.reset();
+        latestRef.current.onReset?.();
+      },
+      subscribe: ({ rate }) => {
+        if (stopStreaming) return;
+        logger.start(Number(rate) > 0 ? Number(rate) : logger.rate);
+        stopStreaming = logger.subscribe((row) => post("data", row));
+      },
+      unsubscribe: unsubscribeData,
+    };
+
+    const handleMessage = (event) => {
+      if (event.source !== window.parent) return;
+      if (hostOrigin !== "*" && event.origin !== hostOrigin) return;
+
+      const { type, ...payload } = event.data ?? {};
+      if (typeof type !== "string" || !type.startsWith(PREFIX)) return;
+
+      const handler = handlers[type.slice(PREFIX.length)];
+      if (handler) handler(payload);
+      else console.warn("[EmbedBridge] Unknown message:", type);
+    };
+
+    window.addEventListener("message", handleMessage);
+    const unsubscribeClock = clock.subscribe(postState);
+
+    // Le funzioni nei campi (es. disabledCondition) non passano da postMessage
+    const { fields, version } = latestRef.current.schema;
+    post("ready", {
+      simulation,
+      schemaVersion: version,
+      fields: fields.map(
+        ({ name, label, type, min, max, step, options, fields: items }) => ({
+          name,
+          label,
+          type,
+          min,
+          max,
+          step,
+          options,
+          fields: items, // campi di ogni elemento di una "list"
+        })
+      ),
+      inputs: latestRef.current.inputs,
+    });
+    postState();
+
+    return () => {
+      window.removeEventListener("message", handleMessage);
+      unsubscribeClock();
+      unsubscribeData();
+    };
+  }, [clock, logger, hostOrigin, simulation]);
+
+  return null;
+}
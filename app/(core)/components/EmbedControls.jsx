@@ -0,0 +1,25 @@
+// app/components/EmbedControls.jsx
+import PlayPauseButton from "./controls/PlayPauseButton.jsx";
+import SpeedControl from "./controls/SpeedControl.jsx";
+import ResetButton from "./controls/ResetButton.jsx";
+import TimelineControl from "./controls/TimelineControl.jsx";
+import { useEmbed } from "../context/EmbedProvider.tsx";
+
+/**
+ * Minimal controls bar of an embed, limited to the ones in ?controls=
+ */
+export default function EmbedControls({ onReset }) {
+  const { controls } = useEmbed();
+  if (controls.length === 0) return null;
+
+  return (
+    <div className="simulation-controls embed-controls">
+      <div className="main-controls-wrapper">
+        {controls.includes("speed") && <SpeedControl />}
+        {controls.includes("play") && <PlayPauseButton />}
+        {controls.includes("reset") && <ResetButton onReset={onReset} />}
+        {controls.includes("timeline") && <TimelineControl />}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 "use client";
+import { usePathname } from "next/navigation";
 import Header from "./Header";
 import Footer from "./Footer";
 import Stars from "./Stars";
@@ -11,6 +12,10 @@ export default function Layout({
   starColor = "AEE3FF",
   starOpacity = 0.4,
 }) {
+  // Embedded simulations (iframes) get no site chrome
+  const pathname = usePathname();
+  if (pathname?.startsWith("/embed/")) return children;
+
   return (
     <>
       <Header />
@@ -1,11 +1,30 @@
 // app/(core)/components/P5Wrapper.jsx
 "use client";
-import { useEffect, useRef } from "react";
-import { resetTime, cleanupInstance } from "../constants/Time.js";
+import { useCallback, useContext, useEffect, useRef, useState } from "react";
+import { SimulationClock } from "../constants/Time.js";
+import { SimulationClockContext } from "../context/SimulationClockProvider.tsx";
+import { DataLoggerContext } from "../context/DataLoggerProvider.tsx";
+import { SimulationScreenContext } from "../context/SimulationScreenProvider.tsx";
 
 export default function P5Wrapper({ sketch, simInfos }) {
+  // clock: from the surrounding SimulationLayout, or owned by this wrapper when standalone
+  const sharedClock = useContext(SimulationClockContext);
+  const [ownClock] = useState(() => new SimulationClock());
+  const clock = sharedClock ?? ownClock;
+  // dataLogger: only present inside SimulationLayout (recording controls)
+  const dataLogger = useContext(DataLoggerContext);
+
   // containerRef: the <div> where p5 will attach the canvas
   const containerRef = useRef(null);
+  // Capture controls (snapshot, clip) need the same element
+  const setScreen = useContext(SimulationScreenContext)?.setScreen;
+  const attachContainer = useCallback(
+    (element) => {
+      containerRef.current = element;
+      setScreen?.(element);
+    },
+    [setScreen]
+  );
   // p5InstanceRef: keeps track of the current p5 instance (so it can be removed on unmount)
   const p5InstanceRef = useRef(null);
 
@@ -13,7 +32,7 @@ export default function P5Wrapper({ sketch, simInfos }) {
   const safeRemove = (instance) => {
     if (!instance) return;
     try {
-      cleanupInstance(instance);
+      instance.clock?.cleanupInstance(instance);
       instance.remove();
     } catch {
       // Errors are intentionally silenced
@@ -52,8 +71,11 @@ export default function P5Wrapper({ sketch, simInfos }) {
             crypto?.randomUUID?.() ??
             Math.random().toString(36).slice(2) + Date.now().toString(36);
 
-          resetTime();
-          sketch(p);
+          // Sketches read it through computeDelta(p) or the second argument
+          p.clock = clock;
+          p.dataLogger = dataLogger;
+          clock.reset();
+          sketch(p, clock);
         }, containerRef.current);
 
         // If component is already unmounted when the temp instance finishes loading, cleanup
@@ -77,11 +99,11 @@ export default function P5Wrapper({ sketch, simInfos }) {
       safeRemove(p5InstanceRef.current);
       p5InstanceRef.current = null;
     };
-  }, [sketch]);
+  }, [sketch, clock, dataLogger]);
 
   return (
     <div className="p5-wrapper">
-      <div ref={containerRef} className="screen" id="Screen">
+      <div ref={attachContainer} className="screen" id="Screen">
         {simInfos ?? ""}
       </div>
     </div>
@@ -0,0 +1,230 @@
+// app/components/PlotPanel.jsx
+import React, { useState, useEffect, useRef } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faChartLine, faChevronDown } from "@fortawesome/free-solid-svg-icons";
+
+const COLORS = ["#3b82f6", "#ef4444", "#22c55e", "#f59e0b", "#a855f7"];
+const TIME_AXIS = "t";
+const PADDING = 28;
+
+/**
+ * Live line charts of the numeric channels recorded by useSimInfo.
+ * X can be time or any channel, so phase plots (θ vs ω) work too.
+ * @param {TimeSeries} series - `series` returned by useSimInfo
+ * @param {Array} presets - [{ label, x, y: [...] }] shortcuts shown as buttons
+ * @param {number} refreshMs - Redraw interval
+ */
+export default function PlotPanel({ series, presets = [], refreshMs = 100 }) {
+  const [isPanelVisible, setIsPanelVisible] = useState(false);
+  const [channels, setChannels] = useState([]);
+  const [xAxis, setXAxis] = useState(TIME_AXIS);
+  const [yAxes, setYAxes] = useState([]);
+
+  const canvasRef = useRef(null);
+  const lastVersionRef = useRef(-1);
+
+  // Channels appear as soon as the mapper returns them
+  useEffect(() => {
+    if (!series) return;
+    const interval = setInterval(() => {
+      setChannels((prev) =>
+        prev.length === series.channels.length ? prev : [...series.channels]
+      );
+    }, refreshMs * 5);
+    return () => clearInterval(interval);
+  }, [series, refreshMs]);
+
+  // Nothing picked yet: plot the first channel over time
+  const plotted = yAxes.length > 0 ? yAxes : channels.slice(0, 1);
+  const plottedKey = plotted.join("|");
+
+  useEffect(() => {
+    if (!series || !isPanelVisible) return;
+    const axes = plottedKey.split("|").filter(Boolean);
+
+    // Axes just changed: draw even if no new sample arrived (e.g. paused)
+    lastVersionRef.current = -1;
+    const interval = setInterval(() => {
+      if (series.version === lastVersionRef.current) return;
+      lastVersionRef.current = series.version;
+      drawPlot(canvasRef.current, series, xAxis, axes);
+    }, refreshMs);
+    return () => clearInterval(interval);
+  }, [series, xAxis, plottedKey, isPanelVisible, refreshMs]);
+
+  const toggleY = (name) => {
+    setYAxes(
+      plotted.includes(name)
+        ? plotted.filter((n) => n !== name)
+        : [...plotted, name]
+    );
+  };
+
+  const applyPreset = (preset) => {
+    setXAxis(preset.x);
+    setYAxes(preset.y);
+  };
+
+  if (!series) return null;
+
+  return (
+    <div className={`plot-panel ${!isPanelVisible ? "collapsed" : ""}`}>
+      <div className="sim-info-header">
+        <button
+          className="sim-info-btn"
+          onClick={() => setIsPanelVisible((v) => !v)}
+          title={isPanelVisible ? "Hide plots" : "Show plots"}
+        >
+          <FontAwesomeIcon
+            icon={isPanelVisible ? faChevronDown : faChartLine}
+          />
+        </button>
+        {isPanelVisible && <span className="plot-title">Plots</span>}
+      </div>
+
+      {isPanelVisible && (
+        <div className="plot-body">
+          {presets.length > 0 && (
+            <div className="plot-presets">
+              {presets.map((preset) => (
+                <button
+                  key={preset.label}
+                  className="plot-chip"
+                  onClick={() => applyPreset(preset)}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <canvas
+            ref={canvasRef}
+            className="plot-canvas"
+            width={320}
+            height={180}
+          />
+
+          <label className="plot-axis">
+            X:
+            <select value={xAxis} onChange={(e) => setXAxis(e.target.value)}>
+              <option value={TIME_AXIS}>t (s)</option>
+              {channels.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="plot-channels">
+            {channels.map((name) => {
+              const index = plotted.indexOf(name);
+              return (
+                <label key={name} className="plot-channel">
+                  <input
+                    type="checkbox"
+                    checked={index !== -1}
+                    onChange={() => toggleY(name)}
+                  />
+                  <span
+                    style={{
+                      color: index !== -1 ? COLORS[index % COLORS.length] : "",
+                    }}
+                  >
+                    {name}
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Draw the selected channels on a 2D canvas, auto-scaling both axes
+ */
+function drawPlot(canvas, series, xAxis, yAxes) {
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+
+  const xs = series.column(xAxis);
+  const ys = yAxes.map((name) => series.column(name));
+  if (xs.length < 2 || ys.length === 0) return;
+
+  const [xMin, xMax] = range(xs);
+  const [yMin, yMax] = range(ys.flat());
+  const toX = (x) =>
+    PADDING + ((x - xMin) / (xMax - xMin || 1)) * (width - PADDING - 6);
+  const toY = (y) =>
+    height -
+    PADDING +
+    6 -
+    ((y - yMin) / (yMax - yMin || 1)) * (height - PADDING);
+
+  // Axes and bounds
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.3)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(PADDING, 0);
+  ctx.lineTo(PADDING, height - PADDING + 6);
+  ctx.lineTo(width, height - PADDING + 6);
+  ctx.stroke();
+
+  // Zero line when the range crosses it
+  if (yMin < 0 && yMax > 0) {
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(PADDING, toY(0));
+    ctx.lineTo(width, toY(0));
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+  ctx.font = "10px monospace";
+  ctx.fillText(format(yMax), 2, 10);
+  ctx.fillText(format(yMin), 2, height - PADDING + 4);
+  ctx.fillText(format(xMin), PADDING, height - 4);
+  ctx.textAlign = "right";
+  ctx.fillText(format(xMax), width - 2, height - 4);
+  ctx.textAlign = "left";
+
+  // One line per channel
+  ys.forEach((column, i) => {
+    ctx.strokeStyle = COLORS[i % COLORS.length];
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    column.forEach((y, j) => {
+      if (!Number.isFinite(y) || !Number.isFinite(xs[j])) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(toX(xs[j]), toY(y));
+      else ctx.moveTo(toX(xs[j]), toY(y));
+      drawing = true;
+    });
+    ctx.stroke();
+  });
+}
+
+function range(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return min === Infinity ? [0, 1] : [min, max];
+}
+
+function format(value) {
+  return Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(2);
+}
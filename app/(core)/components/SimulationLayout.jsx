@@ -1,17 +1,23 @@
 // app/components/SimulationLayout.jsx
-import { useEffect, useMemo } from "react";
-import { resetTime } from "../constants/Time.js";
+import { useMemo } from "react";
+import { SimulationClockProvider } from "../context/SimulationClockProvider.tsx";
+import { DataLoggerProvider } from "../context/DataLoggerProvider.tsx";
+import { SimulationScreenProvider } from "../context/SimulationScreenProvider.tsx";
 import Stars from "./Stars.jsx";
 import GradientBackground from "./GradientBackground.jsx";
 import TopSim from "./TopSim.tsx";
 import Controls from "./Controls.jsx";
 import TheoryRenderer from "./theory/TheoryRenderer.tsx";
+import EmbedControls from "./EmbedControls.jsx";
+import EmbedBridge from "./EmbedBridge.jsx";
+import { useEmbed } from "../context/EmbedProvider.tsx";
 import chapters from "../data/chapters.js";
 import { allBlogs } from "../data/articles/index.js";
 
 export default function SimulationLayout({
   onReset,
   inputs,
+  schema,
   simulation,
   onLoad,
   children,
@@ -27,33 +33,52 @@ export default function SimulationLayout({
           sections: [],
         };
   }, [simulation]);
+  const { embedded } = useEmbed();
 
-  // Reset time on simulation change
-  useEffect(() => {
-    resetTime();
-  }, [simulation]);
-
+  // A new clock and data logger for every simulation, shared by its canvas and controls
   return (
-    <>
-      <Stars color="#AEE3FF" opacity={0.3} />
-      <GradientBackground />
-      <TopSim />
+    <SimulationClockProvider key={simulation}>
+      <DataLoggerProvider>
+        <SimulationScreenProvider>
+          {embedded ? (
+            // Embed (/embed/[id]): only the canvas, the chosen controls and the postMessage API
+            <>
+              {children}
+              <EmbedControls onReset={onReset} />
+              <EmbedBridge
+                simulation={simulation}
+                inputs={inputs}
+                schema={schema}
+                onLoad={onLoad}
+                onReset={onReset}
+              />
+            </>
+          ) : (
+            <>
+              <Stars color="#AEE3FF" opacity={0.3} />
+              <GradientBackground />
+              <TopSim />
 
-      {/* 1. Render the Canvas */}
-      {children}
+              {/* 1. Render the Canvas */}
+              {children}
 
-      {/* 2. Render the Main Controls */}
-      <Controls
-        onReset={onReset}
-        inputs={inputs}
-        simulation={simulation}
-        onLoad={onLoad}
-      />
+              {/* 2. Render the Main Controls */}
+              <Controls
+                onReset={onReset}
+                inputs={inputs}
+                schema={schema}
+                simulation={simulation}
+                onLoad={onLoad}
+              />
 
-      {/* 3. Render the Dynamic Inputs */}
-      {dynamicInputs}
+              {/* 3. Render the Dynamic Inputs */}
+              {dynamicInputs}
 
-      <TheoryRenderer theory={theory} />
-    </>
+              <TheoryRenderer theory={theory} />
+            </>
+          )}
+        </SimulationScreenProvider>
+      </DataLoggerProvider>
+    </SimulationClockProvider>
   );
 }
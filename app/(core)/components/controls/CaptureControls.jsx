@@ -0,0 +1,127 @@
+// controls/CaptureControls.jsx
+import { useEffect, useRef, useState } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faCamera, faVideo, faStop } from "@fortawesome/free-solid-svg-icons";
+import Popup from "../Popup";
+import { useSimulationClock } from "../../context/SimulationClockProvider.tsx";
+import { useSimulationScreen } from "../../context/SimulationScreenProvider.tsx";
+import {
+  captureSnapshot,
+  downloadBlob,
+  getSimInfoLines,
+  isWebMSupported,
+  startClipRecording,
+} from "../../utils/canvasCapture.js";
+
+export default function CaptureControls({ simulation }) {
+  const clock = useSimulationClock();
+  const screen = useSimulationScreen();
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("webm");
+  const [overlay, setOverlay] = useState(true);
+  const [recording, setRecording] = useState(false);
+  const [webmSupported, setWebmSupported] = useState(true);
+  const recorderRef = useRef(null);
+
+  // Drop a running clip when the simulation is left, without encoding it
+  useEffect(() => () => recorderRef.current?.cancel(), []);
+
+  const overlayLines = () => [
+    `t = ${clock.elapsed.toFixed(2)} s (${clock.getTimeScale()}x)`,
+    ...getSimInfoLines(screen),
+  ];
+
+  const handleSnapshot = async () => {
+    const blob = await captureSnapshot(screen);
+    if (blob) downloadBlob(blob, `simulation-snapshot-${simulation}.png`);
+  };
+
+  const stopRecording = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    setRecording(false);
+
+    const blob = await recorder.stop();
+    if (blob) downloadBlob(blob, `simulation-clip-${simulation}.${format}`);
+  };
+
+  // MediaRecorder is missing in some browsers: fall back to GIF
+  const openSettings = () => {
+    const supported = isWebMSupported();
+    setWebmSupported(supported);
+    if (!supported) setFormat("gif");
+    setOpen(true);
+  };
+
+  const startRecording = () => {
+    recorderRef.current = startClipRecording(screen, {
+      format,
+      getOverlay: overlay ? overlayLines : () => [],
+      onAutoStop: stopRecording,
+    });
+    setRecording(recorderRef.current !== null);
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <button
+        onClick={handleSnapshot}
+        className="btn-glow"
+        title="Save a PNG snapshot"
+      >
+        <FontAwesomeIcon icon={faCamera} />
+      </button>
+
+      <button
+        onClick={recording ? stopRecording : openSettings}
+        className={`btn-glow ${recording ? "is-recording" : ""}`}
+        title={recording ? "Stop and download the clip" : "Record a clip"}
+      >
+        <FontAwesomeIcon icon={recording ? faStop : faVideo} />
+      </button>
+
+      <Popup
+        isOpen={open}
+        onClose={() => setOpen(false)}
+        popupContent={{
+          title: "Record a clip",
+          description:
+            "The clip is recorded at the speed you see on screen, so it follows the current time scale. Click the button again to stop.",
+          buttons: [
+            {
+              label: (
+                <span>
+                  <FontAwesomeIcon icon={faVideo} /> Start recording
+                </span>
+              ),
+              onClick: startRecording,
+              type: "primary",
+            },
+          ],
+        }}
+      >
+        <div className="record-settings">
+          <label>
+            Format:{" "}
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              <option value="webm" disabled={!webmSupported}>
+                WebM video
+              </option>
+              <option value="gif">GIF (max 20 s)</option>
+            </select>
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={overlay}
+              onChange={(e) => setOverlay(e.target.checked)}
+            />{" "}
+            Overlay time and the values shown in the info panel
+          </label>
+        </div>
+      </Popup>
+    </>
+  );
+}
@@ -3,14 +3,17 @@ import { useState } from "react";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faDownload } from "@fortawesome/free-solid-svg-icons";
 import Popup from "../Popup";
+import { serializeInputs } from "../../utils/inputSchema.ts";
 
-export default function DownloadButton({ inputs, simulation }) {
+export default function DownloadButton({ inputs, schema, simulation }) {
   const [open, setOpen] = useState(false);
 
   const handleDownload = () => {
     const dataStr =
       "data:text/json;charset=utf-8," +
-      encodeURIComponent(JSON.stringify(inputs, null, 2));
+      encodeURIComponent(
+        JSON.stringify(serializeInputs(schema, inputs), null, 2)
+      );
     const link = document.createElement("a");
     link.href = dataStr;
     link.download = "simulation-inputs-" + simulation + ".json";
@@ -1,38 +1,118 @@
 // app/components/controls/EmbedCodeControl.jsx
 "use client";
-import { useMemo } from "react";
+import { useState } from "react";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
-import { faCode } from "@fortawesome/free-solid-svg-icons";
+import { faCode, faCopy } from "@fortawesome/free-solid-svg-icons";
+import Popup from "../Popup";
+import { useSimulationClock } from "../../context/SimulationClockProvider.tsx";
+import {
+  DEFAULT_EMBED_CONTROLS,
+  EMBED_CONTROLS,
+} from "../../context/EmbedProvider.tsx";
+import { buildShareUrl } from "../../utils/shareLink.ts";
 
 export default function EmbedCodeControl({
-  simulation,
   inputs,
+  schema,
   width = 600,
   height = 400,
 }) {
-  // Build URL with query parameters
-  const url = useMemo(() => {
-    //useMemo hook grabs window immedialtely causing error during server side rendering
-    if (typeof window === "undefined") return "";
-    const params = new URLSearchParams(inputs).toString();
-    return `${window.location.origin}/${simulation}?${params}`;
-  }, [simulation, inputs]);
+  const clock = useSimulationClock();
+  const [open, setOpen] = useState(false);
+  const [controls, setControls] = useState(DEFAULT_EMBED_CONTROLS);
+  const [size, setSize] = useState({ width, height });
 
-  // Generate embed code
-  const embedCode = `<iframe src="${url}" width="${width}" height="${height}" frameborder="0" allowfullscreen></iframe>`;
+  const toggleControl = (key) => {
+    setControls((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  };
 
+  // Same compact link as ShareLinkControl, on the chrome-less /embed route
   const handleCopy = () => {
+    const id = window.location.pathname.split("/").filter(Boolean).pop();
+    const url = buildShareUrl(
+      `/embed/${id}`,
+      schema,
+      inputs,
+      clock.captureScene(),
+      `?controls=${controls.join(",")}`
+    );
+    const embedCode = `<iframe src="${url}" width="${size.width}" height="${size.height}" frameborder="0" allowfullscreen></iframe>`;
     navigator.clipboard.writeText(embedCode);
+    setOpen(false);
     alert("Embed code copied!");
   };
 
   return (
-    <button
-      onClick={handleCopy}
-      className="btn-glow"
-      title="Copy embed code to clipboard"
-    >
-      <FontAwesomeIcon icon={faCode} />
-    </button>
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        className="btn-glow"
+        title="Copy embed code to clipboard"
+      >
+        <FontAwesomeIcon icon={faCode} />
+      </button>
+
+      <Popup
+        isOpen={open}
+        onClose={() => setOpen(false)}
+        popupContent={{
+          title: "Embed this simulation",
+          description:
+            "The embed shows only the canvas and the controls you pick. The host page can drive it with postMessage (physicshub:play, pause, reset, setInputs, subscribe).",
+          buttons: [
+            {
+              label: (
+                <span>
+                  <FontAwesomeIcon icon={faCopy} /> Copy embed code
+                </span>
+              ),
+              onClick: handleCopy,
+              type: "primary",
+            },
+          ],
+        }}
+      >
+        <div className="embed-settings">
+          <div className="record-channels">
+            {EMBED_CONTROLS.map(({ key, label }) => (
+              <label key={key}>
+                <input
+                  type="checkbox"
+                  checked={controls.includes(key)}
+                  onChange={() => toggleControl(key)}
+                />{" "}
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="embed-size">
+            <label>
+              Width{" "}
+              <input
+                type="number"
+                min={200}
+                value={size.width}
+                onChange={(e) =>
+                  setSize((s) => ({ ...s, width: Number(e.target.value) }))
+                }
+              />
+            </label>
+            <label>
+              Height{" "}
+              <input
+                type="number"
+                min={150}
+                value={size.height}
+                onChange={(e) =>
+                  setSize((s) => ({ ...s, height: Number(e.target.value) }))
+                }
+              />
+            </label>
+          </div>
+        </div>
+      </Popup>
+    </>
   );
 }
@@ -1,14 +1,16 @@
-import { useState } from "react";
-import { togglePause, isPaused } from "../../constants/Time.js";
+import {
+  useSimulationClock,
+  useClockValue,
+} from "../../context/SimulationClockProvider.tsx";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faPlay, faPause } from "@fortawesome/free-solid-svg-icons";
 
 export default function PlayPauseButton() {
-  const [paused, setPaused] = useState(isPaused());
+  const clock = useSimulationClock();
+  const paused = useClockValue((c) => c.isPaused());
 
   const handleClick = () => {
-    togglePause();
-    setPaused(isPaused());
+    clock.togglePause();
   };
 
   return (
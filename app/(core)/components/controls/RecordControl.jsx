@@ -0,0 +1,165 @@
+// controls/RecordControl.jsx
+import { useEffect, useState } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faCircle,
+  faStop,
+  faFileCsv,
+  faFileCode,
+} from "@fortawesome/free-solid-svg-icons";
+import Popup from "../Popup";
+import { useDataLogger } from "../../context/DataLoggerProvider.tsx";
+
+const RATES = [10, 20, 30, 60]; // campioni per secondo simulato
+
+export default function RecordControl({ inputs, simulation }) {
+  const logger = useDataLogger();
+  const [open, setOpen] = useState(false);
+  const [recording, setRecording] = useState(logger.recording);
+  const [rate, setRate] = useState(logger.rate);
+  const [rowCount, setRowCount] = useState(0);
+  const [channels, setChannels] = useState([]);
+  const [excluded, setExcluded] = useState(new Set());
+
+  // Live row counter and channel list while the popup is open
+  useEffect(() => {
+    if (!open) return;
+    const refresh = () => {
+      setRowCount(logger.rows.length);
+      setChannels([...logger.channels]);
+    };
+    refresh();
+    const interval = setInterval(refresh, 500);
+    return () => clearInterval(interval);
+  }, [open, logger]);
+
+  const toggleRecording = () => {
+    if (logger.recording) {
+      logger.stop();
+    } else {
+      logger.start(rate);
+    }
+    setRecording(logger.recording);
+  };
+
+  const toggleChannel = (name) => {
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+  };
+
+  const selectedColumns = () =>
+    logger.channels.filter((name) => !excluded.has(name));
+
+  const download = (content, type, extension) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `simulation-data-${simulation}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCSV = () => {
+    download(logger.toCSV(selectedColumns()), "text/csv", "csv");
+  };
+
+  const handleJSON = () => {
+    const json = logger.toJSON(selectedColumns(), {
+      simulation,
+      exportedAt: new Date().toISOString(),
+      inputs,
+    });
+    download(json, "application/json", "json");
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        className={`btn-glow ${recording ? "is-recording" : ""}`}
+        title={recording ? "Recording data..." : "Record simulation data"}
+      >
+        <FontAwesomeIcon icon={faCircle} />
+      </button>
+
+      <Popup
+        isOpen={open}
+        onClose={() => setOpen(false)}
+        popupContent={{
+          title: "Data logger",
+          description:
+            "Record the simulation quantities over time and download them for a spreadsheet.",
+          buttons: [
+            {
+              label: (
+                <span>
+                  <FontAwesomeIcon icon={recording ? faStop : faCircle} />{" "}
+                  {recording ? "Stop" : "Start recording"}
+                </span>
+              ),
+              onClick: toggleRecording,
+              type: "primary",
+            },
+            {
+              label: (
+                <span>
+                  <FontAwesomeIcon icon={faFileCsv} /> CSV
+                </span>
+              ),
+              onClick: handleCSV,
+            },
+            {
+              label: (
+                <span>
+                  <FontAwesomeIcon icon={faFileCode} /> JSON
+                </span>
+              ),
+              onClick: handleJSON,
+            },
+          ],
+        }}
+      >
+        <div className="record-settings">
+          <label>
+            Sampling rate:{" "}
+            <select
+              value={rate}
+              disabled={recording}
+              onChange={(e) => setRate(Number(e.target.value))}
+            >
+              {RATES.map((r) => (
+                <option key={r} value={r}>
+                  {r} Hz
+                </option>
+              ))}
+            </select>
+          </label>
+          <span>
+            {rowCount} rows {recording ? "(recording)" : ""}
+          </span>
+
+          {channels.length > 0 ? (
+            <div className="record-channels">
+              {channels.map((name) => (
+                <label key={name}>
+                  <input
+                    type="checkbox"
+                    checked={!excluded.has(name)}
+                    onChange={() => toggleChannel(name)}
+                  />{" "}
+                  {name}
+                </label>
+              ))}
+            </div>
+          ) : (
+            <p>Start a recording to see the available quantities.</p>
+          )}
+        </div>
+      </Popup>
+    </>
+  );
+}
@@ -1,10 +1,12 @@
-import { resetTime } from "../../constants/Time.js";
+import { useSimulationClock } from "../../context/SimulationClockProvider.tsx";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faRedo } from "@fortawesome/free-solid-svg-icons";
 
 export default function ResetButton({ onReset }) {
+  const clock = useSimulationClock();
+
   const handleClick = () => {
-    resetTime();
+    clock.reset();
     if (onReset) onReset(); // callback per resettare stato simulazione
   };
 
@@ -1,10 +1,14 @@
 // controls/SaveButton.jsx
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faSave } from "@fortawesome/free-solid-svg-icons";
+import { serializeInputs } from "../../utils/inputSchema.ts";
 
-export default function SaveButton({ inputs, simulation }) {
+export default function SaveButton({ inputs, schema, simulation }) {
   const handleSave = () => {
-    localStorage.setItem(simulation, JSON.stringify(inputs));
+    localStorage.setItem(
+      simulation,
+      JSON.stringify(serializeInputs(schema, inputs))
+    );
     alert("Inputs value saved in local memory for " + simulation + "!");
   };
 
@@ -1,6 +1,6 @@
 // app/components/controls/ShareLinkControl.jsx
 "use client";
-import { useMemo, useState } from "react";
+import { useState } from "react";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faShare } from "@fortawesome/free-solid-svg-icons";
 import {
@@ -13,20 +13,25 @@ import {
   faInstagram,
 } from "@fortawesome/free-brands-svg-icons";
 import Popup from "../Popup";
+import { useSimulationClock } from "../../context/SimulationClockProvider.tsx";
+import { buildShareUrl } from "../../utils/shareLink.ts";
 
-export default function ShareLinkControl({ simulation, inputs }) {
+export default function ShareLinkControl({ simulation, inputs, schema }) {
+  const clock = useSimulationClock();
   const [open, setOpen] = useState(false);
+  const [url, setUrl] = useState("");
   const DEFAULT_SHARE_MESSAGE = `Check out this simulation on PhysicsHub, it's ${simulation}! `;
 
-  // Build URL with query parameters
-  const url = useMemo(() => {
-    if (typeof window === "undefined") return "";
-    const params = new URLSearchParams(inputs).toString();
-    return `${window.location.origin}/${simulation}?${params}`;
-  }, [simulation, inputs]);
-
+  // Inputs + current scene, built on click so the link captures this moment
   const handleCopy = () => {
-    navigator.clipboard.writeText(url);
+    const link = buildShareUrl(
+      window.location.pathname,
+      schema,
+      inputs,
+      clock.captureScene()
+    );
+    navigator.clipboard.writeText(link);
+    setUrl(link);
     setOpen(true);
   };
 
@@ -1,14 +1,18 @@
-import { useState } from "react";
-import { setTimeScale, getTimeScale } from "../../constants/Time.js";
+import {
+  useSimulationClock,
+  useClockValue,
+} from "../../context/SimulationClockProvider.tsx";
+
+const speeds = [0.5, 1, 1.5, 2];
 
 export default function SpeedControl() {
-  const speeds = [0.5, 1, 1.5, 2];
-  const [index, setIndex] = useState(speeds.indexOf(getTimeScale()));
+  const clock = useSimulationClock();
+  const timeScale = useClockValue((c) => c.getTimeScale());
+  const index = Math.max(0, speeds.indexOf(timeScale));
 
   const handleClick = () => {
     const newIndex = (index + 1) % speeds.length;
-    setIndex(newIndex);
-    setTimeScale(speeds[newIndex]);
+    clock.setTimeScale(speeds[newIndex]);
   };
 
   return (
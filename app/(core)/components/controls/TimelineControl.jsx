@@ -0,0 +1,53 @@
+import {
+  useSimulationClock,
+  useClockValue,
+} from "../../context/SimulationClockProvider.tsx";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faBackwardStep,
+  faForwardStep,
+} from "@fortawesome/free-solid-svg-icons";
+
+export default function TimelineControl() {
+  const clock = useSimulationClock();
+  const paused = useClockValue((c) => c.isPaused());
+  const cursor = useClockValue((c) => c.cursor);
+  const length = useClockValue((c) => c.history.length);
+  const elapsed = useClockValue((c) => c.elapsed);
+
+  // Frame by frame controls only make sense on a frozen simulation
+  if (!paused) return null;
+
+  return (
+    <div className="timeline-control">
+      <button
+        onClick={() => clock.stepBack()}
+        className="btn-glow"
+        title="Step back one tick"
+        disabled={cursor <= 0}
+      >
+        <FontAwesomeIcon icon={faBackwardStep} />
+      </button>
+
+      <input
+        type="range"
+        className="timeline-slider"
+        min={0}
+        max={Math.max(0, length - 1)}
+        value={Math.max(0, cursor)}
+        disabled={length < 2}
+        onChange={(e) => clock.seek(Number(e.target.value))}
+        title="Scrub recorded history"
+      />
+      <span className="timeline-time">{elapsed.toFixed(2)} s</span>
+
+      <button
+        onClick={() => clock.stepForward()}
+        className="btn-glow"
+        title="Step forward one tick"
+      >
+        <FontAwesomeIcon icon={faForwardStep} />
+      </button>
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 import { useRef } from "react";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faUpload } from "@fortawesome/free-solid-svg-icons";
+import { parseInputs } from "../../utils/inputSchema.ts";
 
-export default function UploadButton({ onLoad, simulation }) {
+export default function UploadButton({ onLoad, schema, simulation }) {
   const fileInputRef = useRef(null);
 
   const handleFileChange = (e) => {
@@ -12,10 +13,19 @@ export default function UploadButton({ onLoad, simulation }) {
     const reader = new FileReader();
     reader.onload = (event) => {
       try {
-        const parsed = JSON.parse(event.target.result);
-        if (onLoad) onLoad(parsed);
+        // Unknown keys are dropped, bad values replaced by the defaults
+        const { inputs, issues } = parseInputs(
+          schema,
+          JSON.parse(event.target.result)
+        );
+        if (onLoad) onLoad(inputs);
         alert(
-          "Inputs for the simulation" + simulation + " uploaded successfully!"
+          "Inputs for the simulation " +
+            simulation +
+            " uploaded successfully!" +
+            (issues.length > 0
+              ? "\n\nSome values were adjusted:\n" + issues.join("\n")
+              : "")
         );
       } catch (err) {
         alert("Error: JSON file is not valid.");
@@ -2,22 +2,30 @@ import NumberInput from "./NumberInput.jsx";
 import CheckboxInput from "./CheckboxInput.jsx";
 import ColorInput from "./ColorInput.jsx";
 import SelectInput from "./SelectInput.jsx";
+import ListInput from "./ListInput.jsx";
+
+type Item = Record<string, string | number>;
+type Value = string | number | boolean | Item[];
 
 interface FieldConfig {
   name: string;
   label: string;
-  type: "number" | "checkbox" | "color" | "select";
+  type: "number" | "checkbox" | "color" | "select" | "list";
   placeholder?: string;
   min?: number;
   max?: number;
   step?: number;
   options?: { value: string | number; label: string }[];
+  // "list" only
+  fields?: FieldConfig[];
+  itemLabel?: (index: number) => string;
+  createItem?: (items: Item[]) => Item;
 }
 
 interface Props {
   config: FieldConfig[];
-  values: Record<string, string | number | boolean>;
-  onChange: (name: string, value: string | number | boolean) => void;
+  values: Record<string, Value>;
+  onChange: (name: string, value: Value) => void;
 }
 
 export default function DynamicInputs({ config, values, onChange }: Props) {
@@ -88,6 +96,20 @@ export default function DynamicInputs({ config, values, onChange }: Props) {
             />
           );
         }
+        if (field.type === "list") {
+          return (
+            <ListInput
+              key={field.name}
+              {...commonProps}
+              items={val as Item[]}
+              fields={field.fields}
+              max={field.max}
+              itemLabel={field.itemLabel}
+              createItem={field.createItem}
+              onChange={(items: Item[]) => onChange(field.name, items)}
+            />
+          );
+        }
         return null;
       })}
     </div>
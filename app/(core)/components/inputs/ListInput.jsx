@@ -0,0 +1,95 @@
+import PropTypes from "prop-types";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faPlus, faTrash } from "@fortawesome/free-solid-svg-icons";
+import NumberInput from "./NumberInput.jsx";
+import ColorInput from "./ColorInput.jsx";
+
+/**
+ * Editable list of items sharing the same small set of number/color fields
+ * (e.g. the comparison launches of ParabolicMotion). onChange gets the whole
+ * new list; createItem(items) gives the values of an added item.
+ */
+function ListInput({
+  name,
+  label,
+  items,
+  fields,
+  max = Infinity,
+  itemLabel = (index) => `#${index + 1}`,
+  createItem,
+  onChange,
+}) {
+  const list = items ?? [];
+
+  const update = (index, key, value) =>
+    onChange(
+      list.map((item, i) => (i === index ? { ...item, [key]: value } : item))
+    );
+
+  return (
+    <div className="list-input">
+      <span className="input-label">{label}</span>
+
+      {list.map((item, i) => (
+        <div key={i} className="list-input-item">
+          <span className="list-input-title">{itemLabel(i)}</span>
+          {(fields ?? []).map((field) => {
+            const id = `${name}-${i}-${field.name}`;
+            return field.type === "color" ? (
+              <ColorInput
+                key={field.name}
+                name={id}
+                label={field.label}
+                value={item[field.name]}
+                onChange={(e) => update(i, field.name, e.target.value)}
+              />
+            ) : (
+              <NumberInput
+                key={field.name}
+                name={id}
+                label={field.label}
+                val={item[field.name]}
+                min={field.min}
+                max={field.max}
+                step={field.step}
+                onChange={(e) => update(i, field.name, Number(e.target.value))}
+              />
+            );
+          })}
+          <button
+            type="button"
+            className="btn-glow"
+            title="Remove"
+            onClick={() => onChange(list.filter((_, j) => j !== i))}
+          >
+            <FontAwesomeIcon icon={faTrash} />
+          </button>
+        </div>
+      ))}
+
+      {list.length < max && (
+        <button
+          type="button"
+          className="btn-glow list-input-add"
+          title="Add"
+          onClick={() => onChange([...list, createItem?.(list) ?? {}])}
+        >
+          <FontAwesomeIcon icon={faPlus} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+ListInput.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  items: PropTypes.arrayOf(PropTypes.object),
+  fields: PropTypes.arrayOf(PropTypes.object), // fields of every item
+  max: PropTypes.number, // most items, the add button hides beyond it
+  itemLabel: PropTypes.func, // (index) => title of an item
+  createItem: PropTypes.func,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default ListInput;
@@ -6,6 +6,9 @@ export const SCALE = 100; // 1 m = 100 px
 // Frame rate for simulations
 export const FPS_FOR_SIMULATIONS = 60; //I think the max FPS is 60
 
+// Snapshot conservati per la timeline (10 s a 60 FPS)
+export const HISTORY_LENGTH = 600;
+
 // Accelerazione di gravità terrestre in m/s²
 export const EARTH_G_SI = 9.81;
 
@@ -30,6 +33,7 @@ export const gravityTypes = ((earthG = EARTH_G_SI) => [
 // Costanti fisiche comuni
 export const CONSTANTS = {
   airDensity: 1.225, // kg/m³ aria a livello del mare
+  coulombK: 8.9875517923e9, // N·m²/C², costante di Coulomb 1/(4πε₀)
 };
 
 // Parametri di default per simulazioni
@@ -38,4 +42,5 @@ export const DEFAULTS = {
   friction: 0.01, // attrito dinamico
   dragCoeff: 0.47, // coefficiente drag sfera
   ballRadius: 0.25, // m
+  integrator: "semi-implicit", // integratore numerico (vedi physics/Integrators.js)
 };
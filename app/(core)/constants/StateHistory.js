@@ -0,0 +1,61 @@
+// constants/StateHistory.js
+import { HISTORY_LENGTH } from "./Config.js";
+
+/**
+ * Fixed-size ring buffer of simulation snapshots, used by the timeline.
+ * Once full, every new entry overwrites the oldest one.
+ */
+export class StateHistory {
+  constructor(capacity = HISTORY_LENGTH) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.start = 0; // indice della entry più vecchia
+    this.length = 0;
+  }
+
+  /**
+   * Append an entry, dropping the oldest one when the buffer is full
+   */
+  push(entry) {
+    const index = (this.start + this.length) % this.capacity;
+    this.entries[index] = entry;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Entry at a logical index (0 = oldest, length - 1 = newest)
+   */
+  get(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.entries[(this.start + index) % this.capacity];
+  }
+
+  last() {
+    return this.get(this.length - 1);
+  }
+
+  /**
+   * Drop every entry after the given logical index
+   * (e.g. resuming after rewinding starts a new branch)
+   */
+  truncate(index) {
+    const newLength = Math.max(0, Math.min(this.length, index + 1));
+    for (let i = newLength; i < this.length; i++) {
+      this.entries[(this.start + i) % this.capacity] = undefined;
+    }
+    this.length = newLength;
+  }
+
+  clear() {
+    this.entries = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+export default StateHistory;
@@ -1,75 +1,321 @@
 // constants/Time.js
-let timeScale = 1;
-let paused = false;
-let simulationInstances = new Map(); // Mappa per tenere traccia di ogni istanza
+import { FPS_FOR_SIMULATIONS } from "./Config.js";
+import { StateHistory } from "./StateHistory.js";
 
 /**
- * Returns dt in seconds, limited to a max step for stability.
- * Uses p.millis() to compute real delta.
+ * Clock of a single simulation: pause state, time scale and the last
+ * p.millis() of every p5 instance it drives.
+ * Each P5Wrapper gets its own clock (see context/SimulationClockProvider),
+ * so two canvases on the same page pause and change speed independently.
  */
-export function computeDelta(p) {
-  if (paused) return 0;
+export class SimulationClock {
+  constructor({ timeScale = 1, paused = false } = {}) {
+    this.timeScale = timeScale;
+    this.paused = paused;
+    this.instances = new Map(); // Mappa per tenere traccia di ogni istanza
+    this.listeners = new Set();
+
+    // Timeline: snapshots recorded after every physics step
+    this.history = new StateHistory();
+    this.cursor = -1; // entry shown by the timeline (-1 = nothing recorded)
+    this.elapsed = 0; // simulated seconds
+    this.recorder = null; // { capture, restore } registered by the sketch
+    this.pendingSteps = 0;
+    this.redrawRequested = false;
+    this.pendingScene = null; // scene from a share link, applied by track()
+  }
+
+  /**
+   * Returns dt in seconds, limited to a max step for stability.
+   * Uses p.millis() to compute real delta.
+   */
+  computeDelta(p) {
+    if (this.paused) {
+      // Single tick requested by stepForward()
+      if (this.pendingSteps > 0) {
+        this.pendingSteps--;
+        return 1 / FPS_FOR_SIMULATIONS;
+      }
+      return 0;
+    }
+
+    const now = p.millis();
+    const instanceId = getInstanceId(p); // Identificatore unico per ogni sketch
+
+    // Se non abbiamo un lastMillis per questa istanza, inizializzalo
+    if (!this.instances.has(instanceId)) {
+      this.instances.set(instanceId, now);
+      return 0;
+    }
+
+    let dt = (now - this.instances.get(instanceId)) / 1000; // seconds
 
-  const now = p.millis();
-  const instanceId = p._instanceId || p._userNode?.id; // Identificatore unico per ogni sketch
+    // Aggiorna lastMillis per questa istanza
+    this.instances.set(instanceId, now);
 
-  // Se non abbiamo un lastMillis per questa istanza, inizializzalo
-  if (!simulationInstances.has(instanceId)) {
-    simulationInstances.set(instanceId, now);
-    return 0;
+    // limit burst (e.g. when tab regains focus)
+    const maxStep = 1 / 30; // ~33ms
+    if (dt > maxStep) dt = maxStep;
+
+    return dt * this.timeScale;
   }
 
-  let lastInstanceMillis = simulationInstances.get(instanceId);
-  let dt = (now - lastInstanceMillis) / 1000; // seconds
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale); // Previeni scale negative
+    this.notify();
+  }
 
-  // Aggiorna lastMillis per questa istanza
-  simulationInstances.set(instanceId, now);
+  getTimeScale() {
+    return this.timeScale;
+  }
 
-  // limit burst (e.g. when tab regains focus)
-  const maxStep = 1 / 30; // ~33ms
-  if (dt > maxStep) dt = maxStep;
+  togglePause() {
+    this.setPause(!this.paused);
+  }
 
-  return dt * timeScale;
-}
+  setPause(value) {
+    this.paused = value;
+    // Quando mettiamo in pausa, resettiamo i lastMillis per evitare salti al resume
+    if (this.paused) {
+      this.instances.clear();
+    }
+    this.notify();
+  }
 
-export function setTimeScale(scale) {
-  timeScale = Math.max(0, scale); // Previeni scale negative
-}
+  isPaused() {
+    return this.paused;
+  }
 
-export function togglePause() {
-  paused = !paused;
-  // Quando mettiamo in pausa, resettiamo i lastMillis per evitare salti al resume
-  if (paused) {
-    simulationInstances.clear();
+  /**
+   * Start a new run (P5Wrapper remount: reset, load). Pause and speed are
+   * kept; a paused run still draws its first frame.
+   */
+  reset() {
+    this.instances.clear(); // Pulisci tutte le istanze
+    this.history.clear();
+    this.cursor = -1;
+    this.elapsed = 0;
+    this.pendingSteps = 0;
+    this.redrawRequested = this.paused;
+    this.notify();
   }
-}
 
-export function setPause(value) {
-  paused = value;
-  if (paused) {
-    simulationInstances.clear();
+  /**
+   * Register how the sketch saves and restores its state for the timeline
+   * @param {object} recorder
+   * @param {Function} recorder.capture - () => snapshot of the simulation
+   * @param {Function} recorder.restore - (snapshot) => void
+   */
+  track(recorder) {
+    this.recorder = recorder;
+    this.history.clear();
+    this.cursor = -1;
+
+    // Shared link: start paused on the shared moment, only once
+    const scene = this.pendingScene;
+    if (!scene) return;
+    this.pendingScene = null;
+
+    try {
+      recorder.restore(scene.state);
+    } catch (error) {
+      // Link made for another version of the sketch: start from the inputs
+      console.warn("[SimulationClock] Shared scene not restored:", error);
+      return;
+    }
+    this.elapsed = scene.time;
+    this.history.push({ time: scene.time, state: recorder.capture() });
+    this.cursor = 0;
+    this.redrawRequested = true;
+    this.setPause(true);
+  }
+
+  /**
+   * Current moment of the simulation, for share links
+   * @returns {{ time: number, state: any } | null}
+   */
+  captureScene() {
+    if (!this.recorder) return null;
+    return { time: this.elapsed, state: this.recorder.capture() };
+  }
+
+  /**
+   * Restore a scene from captureScene() as soon as the sketch calls track()
+   */
+  restoreScene(scene) {
+    this.pendingScene = scene ?? null;
+  }
+
+  /**
+   * Save a snapshot after a physics step
+   * @param {number} dt - Length of the step just taken (s)
+   */
+  record(dt) {
+    this.elapsed += dt;
+    if (!this.recorder) return;
+
+    // Resuming after a rewind: the old future is discarded
+    if (this.cursor < this.history.length - 1) {
+      this.history.truncate(this.cursor);
+    }
+
+    this.history.push({ time: this.elapsed, state: this.recorder.capture() });
+    this.cursor = this.history.length - 1;
+
+    // While playing the timeline is hidden, no need to re-render it every tick
+    if (this.paused) this.notify();
+  }
+
+  /**
+   * Restore the snapshot at a history index and pause there
+   */
+  seek(index) {
+    if (!this.recorder || this.history.length === 0) return;
+
+    const target = Math.max(0, Math.min(this.history.length - 1, index));
+    const entry = this.history.get(target);
+
+    this.recorder.restore(entry.state);
+    this.cursor = target;
+    this.elapsed = entry.time;
+    this.redrawRequested = true;
+
+    if (!this.paused) this.setPause(true);
+    else this.notify();
+  }
+
+  /**
+   * Advance one physics tick: replays history if we rewound, otherwise
+   * lets the next frame run a single step
+   */
+  stepForward() {
+    if (!this.paused) this.setPause(true);
+
+    if (this.cursor < this.history.length - 1) {
+      this.seek(this.cursor + 1);
+    } else {
+      this.pendingSteps++;
+    }
+  }
+
+  stepBack() {
+    this.seek(this.cursor - 1);
+  }
+
+  /**
+   * True once after seek(): paused sketches that skip drawing when dt is 0
+   * use it to render the restored state
+   */
+  consumeRedraw() {
+    const requested = this.redrawRequested;
+    this.redrawRequested = false;
+    return requested;
+  }
+
+  // Pulisce una istanza specifica (utile quando un componente viene smontato)
+  cleanupInstance(p) {
+    const instanceId = p && getInstanceId(p);
+    if (instanceId) {
+      this.instances.delete(instanceId);
+    }
+  }
+
+  /**
+   * Listen to pause / time scale changes
+   * @param {Function} listener - Called with the clock after every change
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
   }
 }
 
-export function resetTime() {
-  paused = false;
-  simulationInstances.clear(); // Pulisci tutte le istanze
+function getInstanceId(p) {
+  return p._instanceId || p._userNode?.id;
 }
 
-export function isPaused() {
-  return paused;
+// Used by sketches that were not mounted through P5Wrapper
+const fallbackClock = new SimulationClock();
+
+/**
+ * Returns the clock driving a p5 instance (attached by P5Wrapper)
+ */
+export function getClock(p) {
+  return p?.clock ?? fallbackClock;
 }
 
-export function getTimeScale() {
-  return timeScale;
+/**
+ * Returns dt in seconds for this p5 instance, scaled by its clock.
+ * Returns 0 while the clock is paused.
+ */
+export function computeDelta(p) {
+  return getClock(p).computeDelta(p);
 }
 
-// Nuova funzione per pulire istanze specifiche (utile quando un componente viene smontato)
-export function cleanupInstance(p) {
-  if (p) {
-    const instanceId = p._instanceId || p._userNode?.id;
-    if (instanceId) {
-      simulationInstances.delete(instanceId);
-    }
-  }
+/**
+ * Fixed-step scheduler shared by every simulation.
+ * Accumulates the frame dt returned by computeDelta() and runs the physics
+ * in constant steps, so the same inputs give the same trajectory on any
+ * machine regardless of frame rate.
+ * @param {object} options
+ * @param {number} options.step - Physics step in seconds (default 1/60)
+ * @param {number} options.maxSubSteps - Max steps per frame, leftover time is dropped
+ */
+export function createFixedStepper({
+  step = 1 / FPS_FOR_SIMULATIONS,
+  maxSubSteps = 5,
+} = {}) {
+  let accumulator = 0;
+  let alpha = 0;
+
+  return {
+    step,
+    maxSubSteps,
+
+    /**
+     * Run stepFn(step) as many times as the accumulated time allows
+     * @param {number} frameDt - Scaled frame time from computeDelta()
+     * @param {Function} stepFn - Advances the simulation by exactly `step` seconds
+     * @returns {number} Number of physics steps executed this frame
+     */
+    advance(frameDt, stepFn) {
+      if (frameDt > 0) accumulator += frameDt;
+
+      let steps = 0;
+      while (accumulator >= this.step && steps < this.maxSubSteps) {
+        stepFn(this.step);
+        accumulator -= this.step;
+        steps++;
+      }
+
+      // Too far behind (slow device, huge timeScale): drop the backlog
+      // instead of spiralling into more and more steps per frame
+      if (accumulator >= this.step) {
+        accumulator %= this.step;
+      }
+
+      alpha = accumulator / this.step;
+      return steps;
+    },
+
+    /**
+     * Fraction of a step left in the accumulator (0-1),
+     * used to interpolate rendering between the last two physics states
+     */
+    getAlpha() {
+      return alpha;
+    },
+
+    reset() {
+      accumulator = 0;
+      alpha = 0;
+    },
+  };
 }
@@ -0,0 +1,32 @@
+// app/(core)/context/DataLoggerProvider.tsx
+"use client";
+import React, { createContext, useContext, useState } from "react";
+import DataLogger from "../utils/DataLogger";
+
+export const DataLoggerContext = createContext<DataLogger | null>(null);
+
+/**
+ * One DataLogger per simulation: P5Wrapper hands it to the sketch
+ * (read by updateSimInfo), RecordControl starts, stops and exports it.
+ */
+export const DataLoggerProvider = ({
+  children,
+}: {
+  children: React.ReactNode;
+}) => {
+  const [logger] = useState(() => new DataLogger());
+
+  return (
+    <DataLoggerContext.Provider value={logger}>
+      {children}
+    </DataLoggerContext.Provider>
+  );
+};
+
+export const useDataLogger = () => {
+  const logger = useContext(DataLoggerContext);
+  if (!logger) {
+    throw new Error("useDataLogger must be used within a DataLoggerProvider");
+  }
+  return logger;
+};
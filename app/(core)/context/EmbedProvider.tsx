@@ -0,0 +1,64 @@
+// app/(core)/context/EmbedProvider.tsx
+"use client";
+import React, { createContext, useContext, useState } from "react";
+
+// Controlli che si possono mostrare in un embed (?controls=play,reset)
+export const EMBED_CONTROLS = [
+  { key: "play", label: "Play / pause" },
+  { key: "reset", label: "Reset" },
+  { key: "speed", label: "Speed" },
+  { key: "timeline", label: "Timeline" },
+] as const;
+
+export type EmbedControl = (typeof EMBED_CONTROLS)[number]["key"];
+
+export const DEFAULT_EMBED_CONTROLS: EmbedControl[] = ["play", "reset"];
+
+interface EmbedContextType {
+  embedded: boolean;
+  controls: EmbedControl[];
+  // Origin of the host page allowed to talk to the embed ("*" = any)
+  hostOrigin: string;
+}
+
+const NOT_EMBEDDED: EmbedContextType = {
+  embedded: false,
+  controls: [],
+  hostOrigin: "*",
+};
+
+// Default value instead of null: simulations also render outside embeds
+export const EmbedContext = createContext<EmbedContextType>(NOT_EMBEDDED);
+
+/**
+ * Marks the tree as an embed (/embed/[id]) and reads its options from the
+ * query string: `controls` (comma separated) and `origin` of the host page.
+ */
+export const EmbedProvider = ({ children }: { children: React.ReactNode }) => {
+  const [value] = useState<EmbedContextType>(() => {
+    if (typeof window === "undefined") {
+      return { ...NOT_EMBEDDED, embedded: true };
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get("controls");
+    const controls =
+      requested === null
+        ? DEFAULT_EMBED_CONTROLS
+        : EMBED_CONTROLS.map(({ key }) => key).filter((key) =>
+            requested.split(",").includes(key)
+          );
+
+    return {
+      embedded: true,
+      controls,
+      hostOrigin: params.get("origin") || "*",
+    };
+  });
+
+  return (
+    <EmbedContext.Provider value={value}>{children}</EmbedContext.Provider>
+  );
+};
+
+export const useEmbed = () => useContext(EmbedContext);
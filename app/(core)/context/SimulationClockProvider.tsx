@@ -0,0 +1,71 @@
+// app/(core)/context/SimulationClockProvider.tsx
+"use client";
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { SimulationClock } from "../constants/Time.js";
+import { readSharedState } from "../utils/shareLink.ts";
+
+export const SimulationClockContext = createContext<SimulationClock | null>(
+  null
+);
+
+/**
+ * Scopes a SimulationClock to one simulation: the P5Wrapper canvas and the
+ * controls rendered next to it share it, other simulations on the page don't.
+ */
+export const SimulationClockProvider = ({
+  clock,
+  children,
+}: {
+  clock?: SimulationClock;
+  children: React.ReactNode;
+}) => {
+  // The clock outlives P5Wrapper remounts (reset, load), so pause and speed are kept
+  // A share link (#s=...) can also carry the moment to start from
+  const [ownClock] = useState(() => {
+    const newClock = new SimulationClock();
+    newClock.restoreScene(readSharedState()?.scene);
+    return newClock;
+  });
+
+  return (
+    <SimulationClockContext.Provider value={clock ?? ownClock}>
+      {children}
+    </SimulationClockContext.Provider>
+  );
+};
+
+export const useSimulationClock = () => {
+  const clock = useContext(SimulationClockContext);
+  if (!clock) {
+    throw new Error(
+      "useSimulationClock must be used within a SimulationClockProvider"
+    );
+  }
+  return clock;
+};
+
+/**
+ * Re-renders the caller whenever the clock is paused, resumed or rescaled
+ * @param getSnapshot - Reads a primitive value from the clock
+ */
+export const useClockValue = <T,>(
+  getSnapshot: (clock: SimulationClock) => T
+): T => {
+  const clock = useSimulationClock();
+  const subscribe = useCallback(
+    (onChange: () => void) => clock.subscribe(onChange),
+    [clock]
+  );
+
+  return useSyncExternalStore(
+    subscribe,
+    () => getSnapshot(clock),
+    () => getSnapshot(clock)
+  );
+};
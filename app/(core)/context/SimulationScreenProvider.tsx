@@ -0,0 +1,39 @@
+// app/(core)/context/SimulationScreenProvider.tsx
+"use client";
+import React, { createContext, useContext, useState } from "react";
+
+interface SimulationScreenContextType {
+  screen: HTMLElement | null;
+  setScreen: (element: HTMLElement | null) => void;
+}
+
+export const SimulationScreenContext =
+  createContext<SimulationScreenContextType | null>(null);
+
+/**
+ * Shares the P5Wrapper screen element (canvas + info panels) with the
+ * controls that capture it, e.g. snapshots and clip recording.
+ */
+export const SimulationScreenProvider = ({
+  children,
+}: {
+  children: React.ReactNode;
+}) => {
+  const [screen, setScreen] = useState<HTMLElement | null>(null);
+
+  return (
+    <SimulationScreenContext.Provider value={{ screen, setScreen }}>
+      {children}
+    </SimulationScreenContext.Provider>
+  );
+};
+
+export const useSimulationScreen = () => {
+  const context = useContext(SimulationScreenContext);
+  if (!context) {
+    throw new Error(
+      "useSimulationScreen must be used within a SimulationScreenProvider"
+    );
+  }
+  return context.screen;
+};
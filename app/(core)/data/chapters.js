@@ -72,6 +72,38 @@ const chapters = [
     tags: [TAGS.MEDIUM, TAGS.DYNAMICS, TAGS.FORCES, TAGS.FRICTION],
     icon: "/icons/inclined.png",
   },
+  {
+    id: 9,
+    name: "Coupled Oscillators",
+    desc: "Masses linked by springs between two walls. Excite a single normal mode or watch energy beat back and forth between the masses.",
+    link: "/simulations/CoupledOscillators",
+    tags: [TAGS.ADVANCED, TAGS.DYNAMICS, TAGS.SPRINGS, TAGS.OSCILLATIONS],
+    icon: "/icons/spring.png",
+  },
+  {
+    id: 10,
+    name: "N-Body Gravitation",
+    desc: "Bodies attracting each other with Newtonian gravity. Try the Earth-Moon system, binary stars or the figure-eight three-body orbit, and launch your own bodies.",
+    link: "/simulations/NBody",
+    tags: [TAGS.ADVANCED, TAGS.DYNAMICS, TAGS.GRAVITY, TAGS.ENERGY],
+    icon: "/icons/gravity.png",
+  },
+  {
+    id: 11,
+    name: "Electric Charges & Field Lines",
+    desc: "Drag point charges and watch their field lines and equipotentials change. Launch test charges and follow them through the Coulomb field.",
+    link: "/simulations/Electrostatics",
+    tags: [TAGS.ADVANCED, TAGS.ELECTROMAGNETISM, TAGS.FORCES, TAGS.INTERACTIVE],
+    icon: "/icons/vector.png",
+  },
+  {
+    id: 12,
+    name: "Double Pendulum & Chaos",
+    desc: "A pendulum hanging from a pendulum: simple equations, unpredictable motion. Run a twin with a tiny angle offset and watch how fast the two trajectories drift apart.",
+    link: "/simulations/DoublePendulum",
+    tags: [TAGS.ADVANCED, TAGS.DYNAMICS, TAGS.OSCILLATIONS, TAGS.ENERGY],
+    icon: "/icons/pendulam.png",
+  },
   {
     id: 0,
     name: "Test for benchmarks",
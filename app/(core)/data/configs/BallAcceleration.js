@@ -1,5 +1,7 @@
 // app/data/configs/BallAcceleration.js
 import { invertYAxis } from "../../constants/Utils.js";
+import { DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
 
 export const INITIAL_INPUTS = {
   size: 0.5, // diametro palla in metri
@@ -7,6 +9,7 @@ export const INITIAL_INPUTS = {
   acceleration: 2, // accelerazione costante verso il target (m/s²)
   color: "#7f7f7f", // colore palla
   trailEnabled: true,
+  integrator: DEFAULTS.integrator,
 };
 
 export const INPUT_FIELDS = [
@@ -32,6 +35,12 @@ export const INPUT_FIELDS = [
     min: 0,
     step: 0.01,
   },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
   { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
   {
     type: "color",
@@ -64,10 +73,11 @@ export const SimInfoMapper = (state, context) => {
   const { position, velocity, acceleration, maxspeed } = state;
   const { canvasHeight } = context;
 
-  position.y = invertYAxis(canvasHeight, position.y);
+  // Copia: il mapper non deve modificare lo stato del corpo
+  const posY = invertYAxis(canvasHeight, position.y);
   return {
     "s(x, y) (position)": position
-      ? `(${position.x.toFixed(2)}, ${position.y.toFixed(2)}) m`
+      ? `(${position.x.toFixed(2)}, ${posY.toFixed(2)}) m`
       : "-",
     "v(x, y) (velocity xy)": velocity
       ? `(${velocity.x.toFixed(2)}, ${velocity.y.toFixed(2)}) m/s`
@@ -75,5 +85,12 @@ export const SimInfoMapper = (state, context) => {
     "v (velocity)": velocity ? velocity.mag().toFixed(2) + " m/s" : "-",
     "a (acceleration)": acceleration.toFixed(3) + " m/s²",
     "vₘₐₓ (max speed)": maxspeed.toFixed(2) + " m/s",
+    raw: {
+      "x (m)": position.x,
+      "y (m)": posY,
+      "vx (m/s)": velocity.x,
+      "vy (m/s)": velocity.y,
+      "v (m/s)": velocity.mag(),
+    },
   };
 };
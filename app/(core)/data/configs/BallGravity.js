@@ -1,7 +1,8 @@
 // app/data/configs/BallGravity.js
 
 import { toPixels, toMeters, invertYAxis } from "../../constants/Utils.js";
-import { gravityTypes, EARTH_G_SI } from "../../constants/Config.js";
+import { gravityTypes, EARTH_G_SI, DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
 
 // Valori iniziali
 export const INITIAL_INPUTS = {
@@ -13,6 +14,7 @@ export const INITIAL_INPUTS = {
   restitution: 1, // coefficiente di rimbalzo (0-1)
   color: "#7f7f7f",
   trailEnabled: true,
+  integrator: DEFAULTS.integrator,
 };
 
 // Campi per DynamicInputs
@@ -63,6 +65,12 @@ export const INPUT_FIELDS = [
     max: 1,
     step: 0.05,
   },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
   { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
   { name: "color", label: "Ball Color:", type: "color" },
 ];
@@ -153,5 +161,13 @@ export const SimInfoMapper = (state, context, refs) => {
     "Eₖ (kinetic energy)": `${kineticEnergy.toFixed(2)} J`,
     "t (fall time)": `${fallTime.toFixed(2)} s`,
     "hₘₐₓ (height max)": `${maxHeightRef.current.toFixed(2)} m`,
+    raw: {
+      "x (m)": posXM,
+      "h (m)": currentHeightM,
+      "v (m/s)": speedMs,
+      "KE (J)": kineticEnergy,
+      "PE (J)": mass * gravity * currentHeightM,
+      "E (J)": kineticEnergy + mass * gravity * currentHeightM,
+    },
   };
 };
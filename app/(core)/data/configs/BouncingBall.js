@@ -1,6 +1,7 @@
 // app/data/configs/bouncingBall.js
 import { toPixels, toMeters, invertYAxis } from "../../constants/Utils.js";
-import { gravityTypes, EARTH_G_SI } from "../../constants/Config.js";
+import { gravityTypes, EARTH_G_SI, DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
 
 export const INITIAL_INPUTS = {
   mass: 1,
@@ -9,6 +10,7 @@ export const INITIAL_INPUTS = {
   ballColor: "#7f7f7f",
   restitution: 1,
   gravity: EARTH_G_SI,
+  integrator: DEFAULTS.integrator,
 };
 
 export const INPUT_FIELDS = [
@@ -41,6 +43,12 @@ export const INPUT_FIELDS = [
     max: 2,
     step: 0.1,
   },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
   { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
   { name: "ballColor", label: "Ball Color:", type: "color" },
 ];
@@ -106,6 +114,7 @@ export const SimInfoMapper = (state, context, refs) => {
 
   // Work done by gravity: W = m * g * h
   const work = mass * gravity * currentHeightM;
+  const kineticEnergy = 0.5 * mass * speedMs * speedMs;
 
   return {
     "v (velocity)": `${speedMs.toFixed(2)} m/s`,
@@ -114,5 +123,13 @@ export const SimInfoMapper = (state, context, refs) => {
     "t (fall time)": `${fallTime.toFixed(2)} s`,
     "hₘₐₓ (height max)": `${maxHeightRef.current.toFixed(2)} m`,
     "W (work)": `${work.toFixed(2)} J`,
+    raw: {
+      "x (m)": posXM,
+      "h (m)": currentHeightM,
+      "v (m/s)": speedMs,
+      "KE (J)": kineticEnergy,
+      "PE (J)": work,
+      "E (J)": kineticEnergy + work,
+    },
   };
 };
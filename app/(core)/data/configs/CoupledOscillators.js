@@ -0,0 +1,151 @@
+// app/data/configs/CoupledOscillators.js
+import { DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
+
+export const MAX_MASSES = 5;
+
+// Initial values (SI units, Y-up physics coordinates)
+export const INITIAL_INPUTS = {
+  numMasses: 2,
+  mass: 1, // kg, uguale per tutte le masse
+  wallK: 20, // N/m, molle verso le pareti
+  couplingK: 2, // N/m, molle tra masse vicine (accoppiamento debole = battimenti)
+  damping: 0, // N·s/m per molla
+  initialMode: "beats",
+  amplitude: 0.4, // m
+  massSize: 0.35, // m (diameter)
+  massColor: "#3b82f6",
+  springColor: "#00e6e6",
+  integrator: DEFAULTS.integrator,
+};
+
+export const initialModeTypes = [
+  { value: "beats", label: "Beats: only mass 1 displaced" },
+  ...Array.from({ length: MAX_MASSES }, (_, i) => ({
+    value: String(i + 1),
+    label: `Normal mode ${i + 1}`,
+  })),
+];
+
+// Fields for DynamicInputs
+export const INPUT_FIELDS = [
+  {
+    name: "numMasses",
+    label: "N - Number of masses:",
+    type: "number",
+    min: 2,
+    max: MAX_MASSES,
+    step: 1,
+  },
+  {
+    name: "mass",
+    label: "m - Mass (kg):",
+    type: "number",
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    name: "wallK",
+    label: "k - Wall springs (N/m):",
+    type: "number",
+    min: 1,
+    max: 200,
+    step: 1,
+  },
+  {
+    name: "couplingK",
+    label: "κ - Coupling springs (N/m):",
+    type: "number",
+    min: 0,
+    max: 200,
+    step: 0.5,
+  },
+  {
+    name: "damping",
+    label: "c - Damping (N·s/m):",
+    type: "number",
+    min: 0,
+    max: 5,
+    step: 0.05,
+  },
+  {
+    name: "initialMode",
+    label: "Initial state:",
+    type: "select",
+    options: initialModeTypes,
+  },
+  {
+    name: "amplitude",
+    label: "A - Amplitude (m):",
+    type: "number",
+    min: 0.05,
+    max: 1,
+    step: 0.05,
+  },
+  {
+    name: "massSize",
+    label: "d - Mass diameter (m):",
+    type: "number",
+    min: 0.1,
+    max: 0.6,
+    step: 0.05,
+  },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
+  { name: "massColor", label: "Mass color:", type: "color" },
+  { name: "springColor", label: "Spring color:", type: "color" },
+];
+
+export const FORCES = [];
+
+/**
+ * Plot shortcuts for N masses: displacements and energy of each mass
+ */
+export const getPlotPresets = (numMasses) => {
+  const indices = Array.from({ length: numMasses }, (_, i) => i + 1);
+  return [
+    { label: "x(t)", x: "t", y: indices.map((i) => `x${i} (m)`) },
+    { label: "Energy exchange", x: "t", y: indices.map((i) => `E${i} (J)`) },
+    { label: "Phase (x₁ vs x₂)", x: "x1 (m)", y: ["x2 (m)"] },
+  ];
+};
+
+// Mapper for SimInfoPanel
+// displacements: x of each mass from equilibrium, energies: energy "owned"
+// by each mass (kinetic + its share of the springs), modes: normal modes
+export const SimInfoMapper = (state) => {
+  const { displacements, energies, totalEnergy, modes } = state;
+  if (!displacements) return {};
+
+  const info = {};
+  const raw = {};
+
+  displacements.forEach((x, i) => {
+    info[`x${i + 1} (mass ${i + 1})`] = `${x.toFixed(3)} m`;
+    raw[`x${i + 1} (m)`] = x;
+  });
+  energies.forEach((energy, i) => {
+    info[`E${i + 1} (mass ${i + 1})`] = `${energy.toFixed(3)} J`;
+    raw[`E${i + 1} (J)`] = energy;
+  });
+  info["Eₜₒₜ (total energy)"] = `${totalEnergy.toFixed(3)} J`;
+  raw["E (J)"] = totalEnergy;
+
+  modes.forEach((mode, i) => {
+    info[`f${i + 1} (mode ${i + 1})`] = `${mode.frequency.toFixed(3)} Hz`;
+  });
+
+  // Battimenti: l'energia passa da una massa all'altra con periodo 1/(f₂ - f₁)
+  if (modes.length >= 2) {
+    const beatFrequency = modes[1].frequency - modes[0].frequency;
+    info["T_beat (energy exchange)"] =
+      beatFrequency > 1e-6 ? `${(1 / beatFrequency).toFixed(2)} s` : "∞";
+  }
+
+  return { ...info, raw };
+};
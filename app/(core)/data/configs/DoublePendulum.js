@@ -0,0 +1,159 @@
+// app/data/configs/DoublePendulum.js
+import { gravityTypes, EARTH_G_SI } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
+
+// Initial values (SI units, angles in degrees from the downward vertical)
+export const INITIAL_INPUTS = {
+  m1: 1, // kg
+  m2: 1, // kg
+  L1: 1.2, // m
+  L2: 1.2, // m
+  theta1: 120, // °
+  theta2: 150, // °
+  gravity: EARTH_G_SI,
+  damping: 0, // 1/s
+  twinRun: true,
+  twinOffset: 0.001, // °, differenza iniziale di θ₁ del gemello
+  trailEnabled: true,
+  bobColor: "#3b82f6",
+  twinColor: "#f97316",
+  rodColor: "#9ca3af",
+  integrator: "rk4",
+};
+
+// Fields for DynamicInputs
+export const INPUT_FIELDS = [
+  {
+    name: "m1",
+    label: "m₁ - Upper mass (kg):",
+    type: "number",
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    name: "m2",
+    label: "m₂ - Lower mass (kg):",
+    type: "number",
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    name: "L1",
+    label: "L₁ - Upper rod (m):",
+    type: "number",
+    min: 0.3,
+    max: 2.5,
+    step: 0.1,
+  },
+  {
+    name: "L2",
+    label: "L₂ - Lower rod (m):",
+    type: "number",
+    min: 0.3,
+    max: 2.5,
+    step: 0.1,
+  },
+  {
+    name: "theta1",
+    label: "θ₁ - Initial upper angle (°):",
+    type: "number",
+    min: -180,
+    max: 180,
+    step: 1,
+  },
+  {
+    name: "theta2",
+    label: "θ₂ - Initial lower angle (°):",
+    type: "number",
+    min: -180,
+    max: 180,
+    step: 1,
+  },
+  {
+    name: "gravity",
+    label: "g - Gravity (m/s²):",
+    type: "select",
+    options: gravityTypes,
+  },
+  {
+    name: "damping",
+    label: "b - Damping (1/s):",
+    type: "number",
+    min: 0,
+    max: 2,
+    step: 0.01,
+  },
+  { name: "twinRun", label: "Twin run (chaos test)", type: "checkbox" },
+  {
+    name: "twinOffset",
+    label: "Δθ₁ - Twin offset (°):",
+    type: "number",
+    min: 0.000001,
+    max: 1,
+    step: 0.0001,
+  },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
+  { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
+  { name: "bobColor", label: "Bob color:", type: "color" },
+  { name: "twinColor", label: "Twin color:", type: "color" },
+  { name: "rodColor", label: "Rod color:", type: "color" },
+];
+
+export const FORCES = [];
+
+export const PLOT_PRESETS = [
+  { label: "Angles", x: "t", y: ["θ₁ (rad)", "θ₂ (rad)"] },
+  { label: "Divergence (ln δ)", x: "t", y: ["ln δ"] },
+  { label: "Energy", x: "t", y: ["K (J)", "U (J)", "E (J)"] },
+  { label: "Phase space (θ₂ vs ω₂)", x: "θ₂ (rad)", y: ["ω₂ (rad/s)"] },
+];
+
+// Mapper for SimInfoPanel
+// twin: { separation, initialSeparation, time, divergenceTime } or null
+export const SimInfoMapper = (state) => {
+  const { theta, omega, kinetic, potential, twin } = state;
+  if (!theta) return {};
+
+  const toDeg = (rad) =>
+    ((Math.atan2(Math.sin(rad), Math.cos(rad)) * 180) / Math.PI).toFixed(1);
+  const info = {
+    "θ₁ (upper angle)": `${toDeg(theta[0])}°`,
+    "θ₂ (lower angle)": `${toDeg(theta[1])}°`,
+    "ω₁ (upper angular velocity)": `${omega[0].toFixed(2)} rad/s`,
+    "ω₂ (lower angular velocity)": `${omega[1].toFixed(2)} rad/s`,
+    "E (total energy)": `${(kinetic + potential).toFixed(3)} J`,
+  };
+  const raw = {
+    "θ₁ (rad)": theta[0],
+    "θ₂ (rad)": theta[1],
+    "ω₁ (rad/s)": omega[0],
+    "ω₂ (rad/s)": omega[1],
+    "K (J)": kinetic,
+    "U (J)": potential,
+    "E (J)": kinetic + potential,
+  };
+
+  if (twin) {
+    const { separation, initialSeparation, time, divergenceTime } = twin;
+    const logSeparation = Math.log(Math.max(separation, 1e-300));
+    info["δ (twin separation)"] = separation.toExponential(2);
+    // Esponente di Lyapunov a tempo finito: δ(t) ≈ δ₀ e^(λt)
+    if (time > 0 && initialSeparation > 0) {
+      const lambda = (logSeparation - Math.log(initialSeparation)) / time;
+      info["λ (divergence rate)"] = `${lambda.toFixed(2)} 1/s`;
+    }
+    info["t (δ > 1, twins apart)"] =
+      divergenceTime === null ? "not yet" : `${divergenceTime.toFixed(2)} s`;
+    raw["δ"] = separation;
+    raw["ln δ"] = logSeparation;
+  }
+
+  return { ...info, raw };
+};
@@ -0,0 +1,150 @@
+// app/data/configs/Electrostatics.js
+import { integratorTypes } from "../../physics/Integrators.js";
+
+// Charges in μC and test masses in grams: with the real Coulomb constant
+// they give forces of a few mN and accelerations of a few m/s²
+export const MICRO = 1e-6; // C per μC
+export const GRAM = 1e-3; // kg per g
+
+export const INITIAL_INPUTS = {
+  preset: "dipole",
+  chargeMagnitude: 5, // μC, |q| delle cariche sorgente
+  testCharge: 0.5, // μC, segno compreso
+  testMass: 1, // g
+  linesPerCharge: 12,
+  showFieldLines: true,
+  showEquipotentials: true,
+  trailEnabled: true,
+  integrator: "verlet",
+};
+
+/**
+ * Source charges of each preset: sign and position from the canvas center (m)
+ */
+export const PRESETS = {
+  single: {
+    label: "Single charge",
+    charges: [{ sign: 1, x: 0, y: 0 }],
+  },
+  dipole: {
+    label: "Dipole (+q, -q)",
+    charges: [
+      { sign: 1, x: -1.2, y: 0 },
+      { sign: -1, x: 1.2, y: 0 },
+    ],
+  },
+  likeCharges: {
+    label: "Two equal charges (+q, +q)",
+    charges: [
+      { sign: 1, x: -1.2, y: 0 },
+      { sign: 1, x: 1.2, y: 0 },
+    ],
+  },
+  quadrupole: {
+    label: "Quadrupole",
+    charges: [
+      { sign: 1, x: -0.9, y: 0.9 },
+      { sign: -1, x: 0.9, y: 0.9 },
+      { sign: 1, x: 0.9, y: -0.9 },
+      { sign: -1, x: -0.9, y: -0.9 },
+    ],
+  },
+};
+
+export const presetTypes = Object.entries(PRESETS).map(
+  ([value, { label }]) => ({ value, label })
+);
+
+// Fields for DynamicInputs
+export const INPUT_FIELDS = [
+  {
+    name: "preset",
+    label: "Charges:",
+    type: "select",
+    options: presetTypes,
+  },
+  {
+    name: "chargeMagnitude",
+    label: "|Q| - Source charges (μC):",
+    type: "number",
+    min: 0.5,
+    max: 20,
+    step: 0.5,
+  },
+  {
+    name: "testCharge",
+    label: "q - Test charge (μC):",
+    type: "number",
+    min: -5,
+    max: 5,
+    step: 0.1,
+  },
+  {
+    name: "testMass",
+    label: "m - Test charge mass (g):",
+    type: "number",
+    min: 0.1,
+    max: 20,
+    step: 0.1,
+  },
+  {
+    name: "linesPerCharge",
+    label: "Field lines per charge:",
+    type: "number",
+    min: 4,
+    max: 32,
+    step: 1,
+  },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
+  { name: "showFieldLines", label: "Show field lines", type: "checkbox" },
+  {
+    name: "showEquipotentials",
+    label: "Show equipotentials",
+    type: "checkbox",
+  },
+  { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
+];
+
+export const FORCES = [];
+
+export const PLOT_PRESETS = [
+  { label: "Test charge energy", x: "t", y: ["K (J)", "U (J)", "E (J)"] },
+  { label: "Field at mouse", x: "t", y: ["|E| (N/C)"] },
+];
+
+// Mapper for SimInfoPanel
+// probe: field E and potential V under the mouse (or null), test: last
+// launched test charge { speed, kinetic, potential } (or null)
+export const SimInfoMapper = (state) => {
+  const { probe, test, testCount } = state;
+  const info = {};
+  const raw = {};
+
+  if (probe) {
+    const magnitude = Math.hypot(probe.field.x, probe.field.y);
+    info["|E| (field at mouse)"] = `${magnitude.toExponential(2)} N/C`;
+    info["V (potential at mouse)"] = `${probe.potential.toExponential(2)} V`;
+    raw["|E| (N/C)"] = magnitude;
+    raw["V (V)"] = probe.potential;
+  }
+
+  info["Test charges"] = `${testCount}`;
+  if (test) {
+    const total = test.kinetic + test.potential;
+    info["v (last test charge)"] = `${test.speed.toFixed(2)} m/s`;
+    info["K (kinetic energy)"] = `${(test.kinetic * 1e3).toFixed(3)} mJ`;
+    info["U = qV (potential energy)"] =
+      `${(test.potential * 1e3).toFixed(3)} mJ`;
+    info["E = K + U"] = `${(total * 1e3).toFixed(3)} mJ`;
+    raw["K (J)"] = test.kinetic;
+    raw["U (J)"] = test.potential;
+    raw["E (J)"] = total;
+  }
+
+  return { ...info, raw };
+};
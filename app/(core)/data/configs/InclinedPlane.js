@@ -1,5 +1,6 @@
 // app/(core)/data/configs/InclinedPlane.js
-import { gravityTypes, EARTH_G_SI } from "../../constants/Config.js";
+import { gravityTypes, EARTH_G_SI, DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
 
 export const INITIAL_INPUTS = {
   mass: 2.0,
@@ -10,11 +11,15 @@ export const INITIAL_INPUTS = {
   frictionKinetic: 0.3,
   appliedForce: 0,
   appliedAngle: 0,
+  pulley: false,
+  hangingMass: 1.5,
   blockColor: "#3b82f6",
+  hangingColor: "#f97316",
   planeColor: "#64748b",
   trailEnabled: true,
   showForces: true,
   showComponents: true,
+  integrator: DEFAULTS.integrator,
 };
 
 export const INPUT_FIELDS = [
@@ -80,10 +85,30 @@ export const INPUT_FIELDS = [
     max: 90,
     step: 5,
   },
+  {
+    name: "pulley",
+    label: "Pulley with hanging mass",
+    type: "checkbox",
+  },
+  {
+    name: "hangingMass",
+    label: "m₂ - Hanging mass (kg):",
+    type: "number",
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
   { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
   { name: "showForces", label: "Show forces", type: "checkbox" },
   { name: "showComponents", label: "Show components", type: "checkbox" },
   { name: "blockColor", label: "Block color:", type: "color" },
+  { name: "hangingColor", label: "Hanging mass color:", type: "color" },
   { name: "planeColor", label: "Plane color:", type: "color" },
 ];
 
@@ -177,6 +202,7 @@ export const FORCES = [
 
 export const SimInfoMapper = (state, context) => {
   const { posAlongPlane, vel, acc, mass } = state;
+  const { hangingDepth = posAlongPlane, hangingVel = vel } = state;
   const { gravity, angle, forces } = context;
 
   const angleRad = (angle * Math.PI) / 180;
@@ -188,8 +214,16 @@ export const SimInfoMapper = (state, context) => {
   const heightGained = posAlongPlane * Math.sin(angleRad);
   const potentialEnergy = mass * gravity * heightGained;
 
-  // Total mechanical energy
-  const totalEnergy = kineticEnergy + potentialEnergy;
+  // Hanging mass: it drops as the block climbs (on its own when slack)
+  const hanging = forces?.hanging;
+  const hangingKinetic = hanging
+    ? 0.5 * hanging.mass * hangingVel * hangingVel
+    : 0;
+  const hangingPotential = hanging ? -hanging.weight * hangingDepth : 0;
+
+  // Total mechanical energy (whole system with the pulley)
+  const totalEnergy =
+    kineticEnergy + potentialEnergy + hangingKinetic + hangingPotential;
 
   // Determine motion state
   const isMoving = Math.abs(vel) > 0.001;
@@ -204,6 +238,15 @@ export const SimInfoMapper = (state, context) => {
     frictionType = isMoving ? "Kinetic" : "Static";
   }
 
+  const pulleyInfo = hanging
+    ? {
+        "m₂ (hanging mass)": `${hanging.mass.toFixed(2)} kg`,
+        "T (tension)": hanging.slack
+          ? "0.00 N (slack rope)"
+          : `${hanging.tension.toFixed(2)} N`,
+      }
+    : {};
+
   return {
     "s (position)": `${posAlongPlane.toFixed(2)} m`,
     "v (velocity)": `${vel.toFixed(2)} m/s`,
@@ -215,8 +258,20 @@ export const SimInfoMapper = (state, context) => {
     "W (weight)": `${(mass * gravity).toFixed(2)} N`,
     "N (normal)": `${(forces?.normal ?? 0).toFixed(2)} N`,
     "f (friction)": `${Math.abs(forces?.friction ?? 0).toFixed(2)} N`,
+    ...pulleyInfo,
     "Eₖ (kinetic)": `${kineticEnergy.toFixed(2)} J`,
     "Eₚ (potential)": `${potentialEnergy.toFixed(2)} J`,
     "Eₜₒₜ (total)": `${totalEnergy.toFixed(2)} J`,
+    raw: {
+      "s (m)": posAlongPlane,
+      "v (m/s)": vel,
+      "a (m/s²)": acc,
+      "h (m)": heightGained,
+      "KE (J)": kineticEnergy,
+      "PE (J)": potentialEnergy,
+      "E (J)": totalEnergy,
+      "f (N)": Math.abs(forces?.friction ?? 0),
+      ...(hanging && { "T (N)": hanging.tension }),
+    },
   };
 };
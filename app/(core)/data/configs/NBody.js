@@ -0,0 +1,199 @@
+// app/data/configs/NBody.js
+import { integratorTypes } from "../../physics/Integrators.js";
+
+// Scaled units: G = 1 N·m²/kg² keeps orbits a few meters wide and a few
+// seconds long (with the real G = 6.674e-11 nothing would move on screen)
+export const INITIAL_INPUTS = {
+  preset: "earthMoon",
+  G: 1, // N·m²/kg²
+  softening: 0.05, // m
+  substeps: 4, // passi di integrazione per passo fisso
+  newMass: 5, // kg, corpi lanciati col mouse
+  showOrbits: true,
+  trailEnabled: true,
+  integrator: "verlet",
+};
+
+/**
+ * Initial conditions of each preset, around the center of mass at rest
+ * (x, y in m; vx, vy in m/s). Velocities scale with √G so every preset
+ * stays on the same orbit when G changes.
+ */
+export const PRESETS = {
+  earthMoon: {
+    label: "Earth - Moon",
+    create: (G) => {
+      const M = 100;
+      const m = M / 81.3; // rapporto reale Terra/Luna
+      const r = 2.5;
+      const v = Math.sqrt((G * (M + m)) / r); // orbita circolare relativa
+      return [
+        body(
+          "Earth",
+          M,
+          0.5,
+          "#3b82f6",
+          -(m / (M + m)) * r,
+          0,
+          0,
+          -(m / (M + m)) * v
+        ),
+        body(
+          "Moon",
+          m,
+          0.15,
+          "#d1d5db",
+          (M / (M + m)) * r,
+          0,
+          0,
+          (M / (M + m)) * v
+        ),
+      ];
+    },
+  },
+  binary: {
+    label: "Binary stars",
+    create: (G) => {
+      const [m1, m2] = [50, 30];
+      const r = 2.5;
+      // 80% della velocità circolare: orbite ellittiche (e ≈ 0.36)
+      const v = 0.8 * Math.sqrt((G * (m1 + m2)) / r);
+      const M = m1 + m2;
+      return [
+        body("Star A", m1, 0.4, "#fbbf24", -(m2 / M) * r, 0, 0, -(m2 / M) * v),
+        body("Star B", m2, 0.3, "#ef4444", (m1 / M) * r, 0, 0, (m1 / M) * v),
+      ];
+    },
+  },
+  figureEight: {
+    label: "Figure-eight (three bodies)",
+    create: (G) => {
+      // Chenciner-Montgomery (2000), unità G = m = 1 riscalate
+      const m = 10;
+      const L = 1.8; // m
+      const V = Math.sqrt((G * m) / L);
+      const [x, y] = [0.97000436, -0.24308753];
+      const [vx, vy] = [-0.93240737, -0.86473146];
+      return [
+        body(
+          "Body 1",
+          m,
+          0.2,
+          "#22c55e",
+          x * L,
+          y * L,
+          (-vx / 2) * V,
+          (-vy / 2) * V
+        ),
+        body(
+          "Body 2",
+          m,
+          0.2,
+          "#a855f7",
+          -x * L,
+          -y * L,
+          (-vx / 2) * V,
+          (-vy / 2) * V
+        ),
+        body("Body 3", m, 0.2, "#f97316", 0, 0, vx * V, vy * V),
+      ];
+    },
+  },
+};
+
+function body(name, mass, size, color, x, y, vx, vy) {
+  return { name, mass, size, color, x, y, vx, vy };
+}
+
+export const presetTypes = Object.entries(PRESETS).map(
+  ([value, { label }]) => ({
+    value,
+    label,
+  })
+);
+
+// Fields for DynamicInputs
+export const INPUT_FIELDS = [
+  {
+    name: "preset",
+    label: "Preset:",
+    type: "select",
+    options: presetTypes,
+  },
+  {
+    name: "G",
+    label: "G - Gravitational constant (N·m²/kg²):",
+    type: "number",
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    name: "softening",
+    label: "ε - Softening (m):",
+    type: "number",
+    min: 0,
+    max: 0.5,
+    step: 0.01,
+  },
+  {
+    name: "substeps",
+    label: "Substeps per step:",
+    type: "number",
+    min: 1,
+    max: 32,
+    step: 1,
+  },
+  {
+    name: "newMass",
+    label: "m - Mass of launched bodies (kg):",
+    type: "number",
+    min: 0.1,
+    max: 200,
+    step: 0.1,
+  },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
+  { name: "showOrbits", label: "Show predicted orbits", type: "checkbox" },
+  { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
+];
+
+export const FORCES = [];
+
+export const PLOT_PRESETS = [
+  { label: "Energy", x: "t", y: ["K (J)", "U (J)", "E (J)"] },
+  { label: "Angular momentum", x: "t", y: ["L (kg·m²/s)"] },
+];
+
+// Mapper for SimInfoPanel
+// orbits: [{ name, primaryName, elements }] from NBodySystem.getOrbits()
+export const SimInfoMapper = (state) => {
+  const { kinetic, potential, angularMomentum, orbits } = state;
+  if (kinetic === undefined) return {};
+
+  const info = {};
+  orbits.forEach(({ name, primaryName, elements }) => {
+    const pair = `${name} ↔ ${primaryName}`;
+    info[`T (${pair})`] = Number.isFinite(elements.period)
+      ? `${elements.period.toFixed(2)} s`
+      : "unbound";
+    info[`e (${pair})`] = elements.e.toFixed(3);
+  });
+
+  info["E (total energy)"] = `${(kinetic + potential).toFixed(3)} J`;
+  info["L (angular momentum)"] = `${angularMomentum.toFixed(3)} kg·m²/s`;
+
+  return {
+    ...info,
+    raw: {
+      "K (J)": kinetic,
+      "U (J)": potential,
+      "E (J)": kinetic + potential,
+      "L (kg·m²/s)": angularMomentum,
+    },
+  };
+};
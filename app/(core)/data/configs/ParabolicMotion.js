@@ -1,5 +1,31 @@
 // app/(core)/data/configs/ParabolicMotion.js
-import { gravityTypes, EARTH_G_SI } from "../../constants/Config.js";
+import { gravityTypes, EARTH_G_SI, DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
+import { ballDrag } from "../../physics/Projectile.js";
+
+const MAX_COMPARISON_LAUNCHES = 5;
+
+// v2: air drag is set by its Cd (dragCd) instead of a bare coefficient
+export const SCHEMA_VERSION = 2;
+export const MIGRATIONS = {
+  // Il vecchio dragCoeff (1/s, poi kg/m) non ha un Cd equivalente: si riparte senz'aria
+  1: (inputs) =>
+    Object.fromEntries(
+      Object.entries(inputs).filter(([key]) => key !== "dragCoeff")
+    ),
+};
+
+// Angle and color of each new comparison launch, in order
+const COMPARISON_PRESETS = [
+  { angle: 30, color: "#f97316" },
+  { angle: 60, color: "#22c55e" },
+  { angle: 15, color: "#a855f7" },
+  { angle: 75, color: "#ec4899" },
+  { angle: 45, color: "#eab308" },
+];
+
+// A is the main launch, B, C... the comparison ones
+const launchKey = (index) => String.fromCharCode(65 + index);
 
 export const INITIAL_INPUTS = {
   v0: 10,
@@ -8,12 +34,16 @@ export const INITIAL_INPUTS = {
   mass: 1,
   size: 0.25,
   gravity: EARTH_G_SI,
-  dragCoeff: 0,
+  dragCd: 0,
   wind: 0,
   trailEnabled: true,
   showGuides: true,
   showVectors: true,
+  targetMode: false,
   ballColor: "#7f7f7f",
+  // Lanci di confronto { v0, angle, color }, partono insieme al principale
+  launches: [],
+  integrator: DEFAULTS.integrator,
 };
 
 export const INPUT_FIELDS = [
@@ -65,8 +95,8 @@ export const INPUT_FIELDS = [
     options: gravityTypes,
   },
   {
-    name: "dragCoeff",
-    label: "c_d - Linear drag (1/s):",
+    name: "dragCd",
+    label: "Cd - Drag coefficient:",
     type: "number",
     placeholder: "Insert drag coeff...",
     min: 0,
@@ -80,6 +110,12 @@ export const INPUT_FIELDS = [
     min: 0,
     step: 0.01,
   },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
   { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
   { name: "showGuides", label: "Show guide", type: "checkbox" },
   {
@@ -87,7 +123,55 @@ export const INPUT_FIELDS = [
     label: "Show vectors",
     type: "checkbox",
   },
+  { name: "targetMode", label: "Hit the target challenge", type: "checkbox" },
   { name: "ballColor", label: "Ball color:", type: "color" },
+  {
+    name: "launches",
+    label: "Comparison launches:",
+    type: "list",
+    max: MAX_COMPARISON_LAUNCHES,
+    itemLabel: (index) => `Launch ${launchKey(index + 1)}`,
+    item: { v0: 10, angle: 30, color: COMPARISON_PRESETS[0].color },
+    createItem: (items) => ({
+      v0: 10,
+      ...COMPARISON_PRESETS[items.length % COMPARISON_PRESETS.length],
+    }),
+    fields: [
+      {
+        name: "v0",
+        label: "v₀ (m/s):",
+        type: "number",
+        min: 0,
+        step: 0.1,
+      },
+      {
+        name: "angle",
+        label: "θ (°):",
+        type: "number",
+        min: 0,
+        max: 180,
+        step: 1,
+      },
+      { name: "color", label: "Color:", type: "color" },
+    ],
+  },
+];
+
+/**
+ * Launches fired together: the main one (A) plus every comparison launch
+ * @returns {Array<{key: string, v0: number, angle: number, color: string}>}
+ */
+export const getLaunchConfigs = (inputs) => [
+  {
+    key: "A",
+    v0: inputs.v0,
+    angle: inputs.angle,
+    color: inputs.ballColor,
+  },
+  ...(inputs.launches ?? []).map((launch, i) => ({
+    ...launch,
+    key: launchKey(i + 1),
+  })),
 ];
 
 export const FORCES = [
@@ -103,12 +187,8 @@ export const FORCES = [
     key: "drag",
     color: "#fb923c",
     computeFn: ({ vel }, inputs) => {
-      const coeff = Math.max(0, inputs.dragCoeff || 0);
-      if (!coeff || !vel) return null;
-      const dragVec = vel.copy
-        ? vel.copy().mult(-inputs.mass * coeff)
-        : { x: 0, y: 0 };
-      return dragVec;
+      if (!(inputs.dragCd > 0) || !vel) return null;
+      return ballDrag(vel, inputs.size, inputs.dragCd);
     },
   },
   {
@@ -183,11 +263,18 @@ export const SimInfoMapper = (state, context, refs) => {
     vₓ: `${vx.toFixed(2)} m/s`,
     vᵧ: `${(-vy).toFixed(2)} m/s`,
     "h (height)": `${heightFromGround.toFixed(2)} m`,
+    raw: {
+      "h (m)": heightFromGround,
+      "v (m/s)": currentSpeed,
+      "vx (m/s)": vx,
+      "vy (m/s)": -vy,
+    },
   };
 
   if (launchMeta?.startPos) {
     const range = Math.max(0, pos.x - launchMeta.startPos.x);
     info["x (range)"] = `${range.toFixed(2)} m`;
+    info.raw["x (m)"] = range;
   }
 
   if (analytics) {
@@ -208,5 +295,32 @@ export const SimInfoMapper = (state, context, refs) => {
     }
   }
 
+  // Parabola ideale, solo quando aria o vento la deformano
+  const ideal = launchMeta?.ideal;
+  if (ideal && isFinite(ideal.range)) {
+    info["R₀ (range without air)"] = `${ideal.range.toFixed(2)} m`;
+  }
+
+  // Una riga per lancio quando si confrontano più traiettorie
+  const launches = refs?.launchesRef?.current ?? [];
+  if (launches.length > 1) {
+    launches.forEach(({ key, v0, angle, stats }) => {
+      const format = (value, unit) =>
+        isFinite(value) ? `${value.toFixed(2)} ${unit}` : "∞";
+      info[`${key} (v₀ ${v0} m/s, θ ${angle}°)`] =
+        `R ${format(stats.range, "m")} · H ${format(stats.apexHeight, "m")} · T ${format(stats.flightTime, "s")}`;
+    });
+  }
+
+  const challenge = refs?.challengeRef?.current;
+  if (challenge?.enabled) {
+    const { attempts, hits, lastMiss, bestMiss } = challenge;
+    info["Target attempts"] = `${attempts} (${hits} hits)`;
+    info["Last miss (distance)"] =
+      lastMiss === null ? "—" : `${lastMiss.toFixed(2)} m`;
+    info["Best miss (distance)"] =
+      bestMiss === null ? "—" : `${bestMiss.toFixed(2)} m`;
+  }
+
   return info;
 };
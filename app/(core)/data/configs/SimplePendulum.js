@@ -1,84 +1,206 @@
 // app/data/configs/SimplePendulum.js
-import { EARTH_G_SI, gravityTypes } from "../../constants/Config.js";
+import { DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
 
 // Valori iniziali della simulazione (SI)
 export const INITIAL_INPUTS = {
-  length: 2, // (m)
-  size: 0.3, // (m)
-  gravity: EARTH_G_SI, // (m/s²)
-  damping: 0.99, // adimensionale
-  bobColor: "#7f7f7f",
-  stringColor: "#00e6e6",
+  length: 3, // (m)
+  mass: 1, // (kg)
+  gravity: 9.81, // (m/s²)
+  damping: 0.1, // (1/s)
+  initialAngle: 45, // (°)
+  driven: false,
+  driveAmplitude: 1, // (rad/s²), accelerazione angolare della forzante
+  driveFrequency: 1.8, // (rad/s)
+  showForces: true,
+  showComponents: false,
+  showPeriods: true,
   trailEnabled: true,
+  bobColor: "#3b82f6",
+  ropeColor: "#9ca3af",
+  integrator: DEFAULTS.integrator,
 };
 
 // Campi per DynamicInputs
 export const INPUT_FIELDS = [
   {
     name: "length",
-    label: "l - Lenght (m):",
+    label: "Length (m)",
     type: "number",
-    min: 0.5,
+    min: 1,
     max: 5,
     step: 0.1,
-  }, // Lunghezza pendolo
+  },
   {
-    name: "size",
-    label: "r - Ball radius (m):",
+    name: "mass",
+    label: "Mass (kg)",
     type: "number",
-    min: 0.05,
-    max: 1,
-    step: 0.05,
-  }, // Raggio bob
+    min: 0.5,
+    max: 5,
+    step: 0.1,
+  },
   {
     name: "gravity",
-    label: "g - Gravity (m/s²):",
-    type: "select",
-    options: gravityTypes,
-  }, // Accelerazione di gravità
+    label: "Gravity (m/s²)",
+    type: "number",
+    min: 1,
+    max: 20,
+    step: 0.1,
+  },
   {
     name: "damping",
-    label: "ζ - Damping:",
+    label: "Damping",
     type: "number",
     min: 0,
-    max: 5,
-    step: 0.001,
-  }, // Coefficiente di smorzamento
-  { name: "trailEnabled", label: "Trail", type: "checkbox" },
-  { name: "bobColor", label: "Bob Color:", type: "color" },
-  { name: "stringColor", label: "String Color:", type: "color" },
+    max: 1,
+    step: 0.01,
+  },
+  {
+    name: "initialAngle",
+    label: "Initial Angle (°)",
+    type: "number",
+    min: -175,
+    max: 175,
+    step: 1,
+  },
+  {
+    name: "driven",
+    label: "Driven (forced) pendulum",
+    type: "checkbox",
+  },
+  {
+    name: "driveAmplitude",
+    label: "Drive Strength (rad/s²)",
+    type: "number",
+    min: 0,
+    max: 20,
+    step: 0.1,
+  },
+  {
+    name: "driveFrequency",
+    label: "Drive Frequency Ω (rad/s)",
+    type: "number",
+    min: 0.1,
+    max: 10,
+    step: 0.05,
+  },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
+  {
+    name: "showForces",
+    label: "Show Forces",
+    type: "checkbox",
+  },
+  {
+    name: "showComponents",
+    label: "Show Components",
+    type: "checkbox",
+  },
+  {
+    name: "showPeriods",
+    label: "Show Period Comparison",
+    type: "checkbox",
+  },
+  {
+    name: "trailEnabled",
+    label: "Show Trail",
+    type: "checkbox",
+  },
+  {
+    name: "bobColor",
+    label: "Bob Color",
+    type: "color",
+  },
+  {
+    name: "ropeColor",
+    label: "Rope Color",
+    type: "color",
+  },
 ];
 
+// Phase space, energy and resonance views for the plot panel
+export const PLOT_PRESETS = [
+  { label: "θ(t)", x: "t", y: ["θ (rad)"] },
+  { label: "Phase space (θ vs ω)", x: "θ (rad)", y: ["ω (rad/s)"] },
+  { label: "Energy", x: "t", y: ["KE (J)", "PE (J)", "E (J)"] },
+  {
+    label: "Period: measured vs exact",
+    x: "t",
+    y: ["T measured (s)", "T exact (s)", "T₀ (s)"],
+  },
+  {
+    // Sweep Ω slowly: each point is the amplitude of the last full swing
+    label: "Resonance (amplitude vs Ω)",
+    x: "Ω (rad/s)",
+    y: ["A measured (rad)", "A linear theory (rad)"],
+  },
+];
+
+const formatPeriod = (T) =>
+  T === null ? "—" : Number.isFinite(T) ? `${T.toFixed(3)} s` : "∞";
+
 // Mapper per SimInfoPanel
-// Riceve { angle [rad], angleVelocity [rad/s], length [m] } e { gravity [m/s²] }
-export const SimInfoMapper = (state, context) => {
-  const { angle, angleVelocity, length } = state;
-  const { gravity } = context;
+// periods: { small, exact, amplitude, measured, measuredAmplitude } (s, rad),
+// exact/amplitude null when the pendulum goes over the top
+// drive: { amplitude, frequency, naturalFrequency, damping } or null
+export const SimInfoMapper = (bodyState, context) => {
+  const { periods, drive } = bodyState;
+  const angle =
+    (Math.atan2(bodyState.position.x, -bodyState.position.y) * 180) / Math.PI;
 
-  // Periodo teorico (piccole oscillazioni)
-  let period = 0;
-  if (gravity > 0 && length > 0) {
-    period = 2 * Math.PI * Math.sqrt(length / gravity); // [s]
+  const info = {
+    Angle: `${angle.toFixed(1)}°`,
+    "Angular Velocity": `${bodyState.angularVel.toFixed(2)} rad/s`,
+    Height: `${(-bodyState.position.y).toFixed(2)} m`,
+    Speed: `${bodyState.velocity.mag().toFixed(2)} m/s`,
+    KE: `${bodyState.kineticEnergy.toFixed(2)} J`,
+    PE: `${bodyState.potentialEnergy.toFixed(2)} J`,
+    "Total E": `${(bodyState.kineticEnergy + bodyState.potentialEnergy).toFixed(2)} J`,
+    "T₀ (small angle)": formatPeriod(periods.small),
+    "T (exact, elliptic)":
+      periods.amplitude === null
+        ? "over the top"
+        : `${formatPeriod(periods.exact)} at θ₀ = ${(
+            (periods.amplitude * 180) /
+            Math.PI
+          ).toFixed(1)}°`,
+    "T (measured)": formatPeriod(periods.measured),
+  };
+  const raw = {
+    "θ (rad)": context.forces.angle,
+    "ω (rad/s)": bodyState.angularVel,
+    "v (m/s)": bodyState.velocity.mag(),
+    "KE (J)": bodyState.kineticEnergy,
+    "PE (J)": bodyState.potentialEnergy,
+    "E (J)": bodyState.kineticEnergy + bodyState.potentialEnergy,
+    "T₀ (s)": periods.small,
+  };
+  if (periods.exact !== null && Number.isFinite(periods.exact)) {
+    raw["T exact (s)"] = periods.exact;
   }
+  if (periods.measured !== null) raw["T measured (s)"] = periods.measured;
 
-  // Conversioni
-  const angleDeg = (angle * 180) / Math.PI;
-  const angVelDeg = (angleVelocity * 180) / Math.PI;
-
-  // Energetica (massa unitaria m = 1 kg)
-  const h = length * (1 - Math.cos(angle)); // altezza rispetto alla posizione di equilibrio
-  const potentialEnergy = gravity * h; // [J]
-  const kineticEnergy = 0.5 * (length * angleVelocity) ** 2; // [J]
-  const totalEnergy = potentialEnergy + kineticEnergy;
+  if (drive) {
+    const { amplitude, frequency, naturalFrequency, damping } = drive;
+    // Risposta a regime dell'oscillatore lineare forzato
+    const linear =
+      amplitude /
+      Math.hypot(naturalFrequency ** 2 - frequency ** 2, damping * frequency);
+    info["Ω / ω₀ (drive ratio)"] = (frequency / naturalFrequency).toFixed(3);
+    info["A (last swing)"] =
+      periods.measuredAmplitude === null
+        ? "—"
+        : `${((periods.measuredAmplitude * 180) / Math.PI).toFixed(1)}°`;
+    raw["Ω (rad/s)"] = frequency;
+    raw["A linear theory (rad)"] = linear;
+    if (periods.measuredAmplitude !== null) {
+      raw["A measured (rad)"] = periods.measuredAmplitude;
+    }
+  }
 
-  return {
-    "θ (angle)": `${angle.toFixed(3)} rad (${angleDeg.toFixed(2)} °)`,
-    "ω (angular vel.)": `${angleVelocity.toFixed(
-      3
-    )} rad/s (${angVelDeg.toFixed(2)} °/s)`,
-    "T (period)": `${period.toFixed(2)} s`,
-    "Eₚ (potential energy)": `${potentialEnergy.toFixed(3)} J`,
-    "Eₖ (kinetic energy)": `${kineticEnergy.toFixed(3)} J`,
-    "Eₜₒₜ (total energy)": `${totalEnergy.toFixed(3)} J`,
-  };
+  return { ...info, raw };
 };
@@ -1,4 +1,5 @@
-import { gravityTypes, EARTH_G_SI } from "../../constants/Config.js";
+import { gravityTypes, EARTH_G_SI, DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
 
 // Initial values (SI units, Y-up physics coordinates)
 export const INITIAL_INPUTS = {
@@ -13,6 +14,7 @@ export const INITIAL_INPUTS = {
   anchorColor: "#7f7f7f",
   springColor: "#00e6e6",
   bobSize: 0.5, // m (diameter)
+  integrator: DEFAULTS.integrator,
 };
 
 // Fields for DynamicInputs
@@ -79,6 +81,12 @@ export const INPUT_FIELDS = [
     max: 5,
     step: 0.1,
   },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
   { name: "bobColor", label: "Bob color:", type: "color" },
   { name: "anchorColor", label: "Anchor color:", type: "color" },
   { name: "springColor", label: "Spring color:", type: "color" },
@@ -137,5 +145,15 @@ export const SimInfoMapper = (state, context) => {
     "Eₚ (gravitational PE)": `${potentialEnergyGrav.toFixed(2)} J`,
     "Eₖ (kinetic energy)": `${kineticEnergy.toFixed(2)} J`,
     "Eₜₒₜ (total energy)": `${totalEnergy.toFixed(2)} J`,
+    raw: {
+      "y (m)": posYM,
+      "Δx (m)": displacement,
+      "v (m/s)": speedMs,
+      "F (N)": Math.abs(springForceMag),
+      "KE (J)": kineticEnergy,
+      "PE elastic (J)": potentialEnergyElastic,
+      "PE gravity (J)": potentialEnergyGrav,
+      "E (J)": totalEnergy,
+    },
   };
 };
@@ -1,5 +1,7 @@
 // app/data/configs/test.js
-import { EARTH_G_SI, gravityTypes } from "../../constants/Config.js";
+import { EARTH_G_SI, gravityTypes, DEFAULTS } from "../../constants/Config.js";
+import { integratorTypes } from "../../physics/Integrators.js";
+import { broadPhaseTypes } from "../../physics/BroadPhase.js";
 
 export const INITIAL_INPUTS = {
   size: 0.5, // diametro medio in metri
@@ -10,6 +12,10 @@ export const INITIAL_INPUTS = {
   numBodies: 20, // numero di corpi per benchmarking
   trailEnabled: true,
   color: "#ff0000",
+  integrator: DEFAULTS.integrator,
+  broadPhase: "grid", // filtro delle coppie prima della narrow phase
+  airDrag: false, // drag quadratico dell'aria (ForceFields)
+  showForces: true, // vettori delle forze sul corpo sotto il mouse
 };
 
 export const INPUT_FIELDS = [
@@ -27,18 +33,38 @@ export const INPUT_FIELDS = [
     type: "select",
     options: gravityTypes,
   },
+  {
+    name: "integrator",
+    label: "Integrator:",
+    type: "select",
+    options: integratorTypes,
+  },
+  {
+    name: "broadPhase",
+    label: "Broad-phase:",
+    type: "select",
+    options: broadPhaseTypes,
+  },
+  { name: "airDrag", label: "Air drag", type: "checkbox" },
+  { name: "showForces", label: "Show forces on hover", type: "checkbox" },
   { name: "trailEnabled", label: "Enable trail", type: "checkbox" },
 ];
 
 export const FORCES = [];
 
 // Mapper specifico per benchmarking
-export const SimInfoMapper = (_state, context) => {
+export const SimInfoMapper = (state, context) => {
   const { p } = context;
   // FPS medio
   const fps = Math.round(p.frameRate());
 
   return {
     fps: fps + " fps",
+    raw: {
+      fps,
+      "KE (J)": state.kineticEnergy,
+      "PE (J)": state.potentialEnergy,
+      "E (J)": state.kineticEnergy + state.potentialEnergy,
+    },
   };
 };
@@ -1,18 +1,23 @@
 // app/hooks/useSimInfo.ts
 import { useRef, useState, useCallback, useEffect } from "react";
+import TimeSeries from "../utils/TimeSeries";
+import type DataLogger from "../utils/DataLogger";
 
 // Tipi generici per rendere l'hook riutilizzabile
 export interface UseSimInfoOptions<TRefs = Record<string, unknown>> {
   updateIntervalMs?: number;
+  sampleIntervalMs?: number;
   customRefs?: TRefs;
 }
 
 // Tipi per la funzione mapper
+// Oltre alle stringhe da mostrare, il mapper può restituire in `raw`
+// i valori numerici (canali) da registrare per i grafici
 export type SimInfoMapper<TState, TContext, TRefs, TData> = (
   state: TState,
   context: TContext,
   refs: TRefs
-) => TData;
+) => TData & { raw?: Record<string, number> };
 
 // Hook principale
 export default function useSimInfo<
@@ -21,29 +26,47 @@ export default function useSimInfo<
   TRefs extends Record<string, unknown> = Record<string, unknown>,
   TData extends Record<string, unknown> = Record<string, unknown>,
 >(options: UseSimInfoOptions<TRefs> = {}) {
-  const { updateIntervalMs = 150, customRefs } = options;
+  const { updateIntervalMs = 150, sampleIntervalMs = 50, customRefs } = options;
 
   const [simData, setSimData] = useState<TData | Record<string, unknown>>({});
   const lastInfoUpdateMs = useRef(0);
+  const lastSampleMs = useRef(0);
+
+  // Storico dei valori numerici, letto dal PlotPanel senza passare per lo state
+  const [series] = useState(() => new TimeSeries());
 
   // 1. Usiamo un Ref per "inscatolare" le dipendenze instabili
-  const internalConfigRef = useRef({ updateIntervalMs, customRefs });
+  const internalConfigRef = useRef({
+    updateIntervalMs,
+    sampleIntervalMs,
+    customRefs,
+  });
 
   // 2. Teniamo il Ref aggiornato ad ogni render
   useEffect(() => {
-    internalConfigRef.current = { updateIntervalMs, customRefs };
-  }, [updateIntervalMs, customRefs]);
+    internalConfigRef.current = {
+      updateIntervalMs,
+      sampleIntervalMs,
+      customRefs,
+    };
+  }, [updateIntervalMs, sampleIntervalMs, customRefs]);
 
   const resetSimInfo = useCallback(() => {
     setSimData({});
+    series.clear();
     lastInfoUpdateMs.current = 0;
-  }, []);
+    lastSampleMs.current = 0;
+  }, [series]);
 
-  // 3. updateSimInfo ora ha dipendenze VUOTE []
+  // 3. updateSimInfo dipende solo da series, che è stabile
   // Non cambierà MAI riferimento, quindi p5.js non si resetterà mai
   const updateSimInfo = useCallback(
     (
-      p: { millis: () => number },
+      p: {
+        millis: () => number;
+        clock?: { elapsed: number };
+        dataLogger?: DataLogger | null;
+      },
       state: TState,
       context: TContext,
       mapper: SimInfoMapper<TState, TContext, TRefs, TData>
@@ -55,27 +78,45 @@ export default function useSimInfo<
       }
       const now = p.millis();
       // Usiamo i valori dal Ref per la logica, garantendo dati freschi
-      const { updateIntervalMs: interval, customRefs: refs } =
-        internalConfigRef.current;
+      const {
+        updateIntervalMs: interval,
+        sampleIntervalMs: sampleInterval,
+        customRefs: refs,
+      } = internalConfigRef.current;
+
+      // Tempo simulato (si ferma in pausa, torna indietro con la timeline)
+      const simTime = p.clock?.elapsed ?? now / 1000;
 
-      if (now - lastInfoUpdateMs.current < interval) return;
+      const displayDue = now - lastInfoUpdateMs.current >= interval;
+      const sampleDue = now - lastSampleMs.current >= sampleInterval;
+      // Il data logger campiona a una frequenza propria, in tempo simulato
+      const logDue = !!p.dataLogger?.isDue(simTime);
+      if (!displayDue && !sampleDue && !logDue) return;
 
       try {
         const data = mapper(state, context, (refs || {}) as TRefs);
-        if (data) setSimData(data);
+        if (data) {
+          const { raw, ...display } = data;
+
+          if (raw && sampleDue) series.add(simTime, raw);
+          if (raw && logDue) p.dataLogger?.add(simTime, raw);
+          if (displayDue) setSimData(display as TData);
+        }
       } catch (error) {
         console.warn("Error in sim info mapper:", error);
       }
 
-      lastInfoUpdateMs.current = now;
+      if (sampleDue) lastSampleMs.current = now;
+      if (displayDue) lastInfoUpdateMs.current = now;
     },
-    [] // <--- Fondamentale: dipendenze vuote
+    [series] // <--- Fondamentale: series è stabile, quindi il riferimento non cambia mai
   );
 
   return {
     simData,
     updateSimInfo,
     resetSimInfo,
+    series,
     refs: customRefs,
   };
 }
@@ -1,15 +1,39 @@
 // hooks/useSimulationState.ts
 "use client";
-import { useState, useRef, useEffect, useCallback } from "react";
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import {
+  createInputSchema,
+  parseInputs,
+  parseQueryInputs,
+  serializeInputs,
+  VERSION_PARAM,
+  type Migration,
+  type SchemaField,
+} from "../utils/inputSchema.ts";
+import { readSharedState } from "../utils/shareLink.ts";
+
+// Default stabili, per non ricreare lo schema a ogni render
+const NO_FIELDS: SchemaField[] = [];
+const NO_MIGRATIONS: Record<number, Migration> = {};
 
 /**
  * Hook per gestire lo stato di una simulazione con priorità:
  * URL params > localStorage > initialInputs
+ * I valori caricati sono validati con INPUT_FIELDS (vedi utils/inputSchema.ts)
  */
 export default function useSimulationState<T extends Record<string, unknown>>(
   initialInputs: T,
-  storageKey: string
+  storageKey: string,
+  fields: SchemaField[] = NO_FIELDS,
+  {
+    version = 1,
+    migrations = NO_MIGRATIONS,
+  }: { version?: number; migrations?: Record<number, Migration> } = {}
 ) {
+  const schema = useMemo(
+    () => createInputSchema(initialInputs, fields, { version, migrations }),
+    [initialInputs, fields, version, migrations]
+  );
   const [inputs, setInputs] = useState<T>(initialInputs);
   const inputsRef = useRef<T>(initialInputs);
   const [isInitialized, setIsInitialized] = useState(false);
@@ -24,30 +48,35 @@ export default function useSimulationState<T extends Record<string, unknown>>(
     if (typeof window === "undefined") return null;
 
     try {
+      // Link compatto (#s=...): ha la precedenza sui vecchi query params
+      const shared = readSharedState();
+      if (shared) {
+        const { inputs, issues } = parseInputs(schema, {
+          [VERSION_PARAM]: shared.schemaVersion,
+          inputs: shared.inputs,
+        });
+        if (issues.length > 0) {
+          console.warn("[useSimulationState] Link condiviso corretto:", issues);
+        }
+        return inputs;
+      }
+
       const queryString = window.location.search; // es: "?velocityX=4&..."
       if (!queryString) return null;
 
       const params = new URLSearchParams(queryString);
       if ([...params.keys()].length === 0) return null;
 
-      const parsed: Record<string, unknown> = {};
-      params.forEach((value, key) => {
-        if (value === "true") {
-          parsed[key] = true;
-        } else if (value === "false") {
-          parsed[key] = false;
-        } else {
-          const num = Number(value);
-          parsed[key] = isNaN(num) ? value : num;
-        }
-      });
-
-      return parsed as Partial<T>;
+      const { inputs, issues } = parseQueryInputs(schema, params);
+      if (issues.length > 0) {
+        console.warn("[useSimulationState] Parametri URL corretti:", issues);
+      }
+      return inputs;
     } catch (error) {
       console.warn("[useSimulationState] Errore parsing URL params:", error);
       return null;
     }
-  }, []);
+  }, [schema]);
 
   // 🔎 Leggi da localStorage
   const loadFromStorage = useCallback((): T | null => {
@@ -57,12 +86,16 @@ export default function useSimulationState<T extends Record<string, unknown>>(
     try {
       const saved = window.localStorage.getItem(storageKey);
       if (!saved) return null;
-      return JSON.parse(saved) as T;
+      const { inputs, issues } = parseInputs(schema, JSON.parse(saved));
+      if (issues.length > 0) {
+        console.warn("[useSimulationState] Dati salvati corretti:", issues);
+      }
+      return inputs;
     } catch (error) {
       console.warn("[useSimulationState] Errore parsing localStorage:", error);
       return null;
     }
-  }, [storageKey]);
+  }, [storageKey, schema]);
 
   // 🔎 Carica stato con priorità: URL > localStorage > initial
   const loadInputs = useCallback((): T => {
@@ -86,7 +119,7 @@ export default function useSimulationState<T extends Record<string, unknown>>(
     try {
       window.localStorage.setItem(
         storageKey,
-        JSON.stringify(inputsRef.current)
+        JSON.stringify(serializeInputs(schema, inputsRef.current))
       );
     } catch (error) {
       console.warn(
@@ -94,7 +127,7 @@ export default function useSimulationState<T extends Record<string, unknown>>(
         error
       );
     }
-  }, [storageKey]);
+  }, [storageKey, schema]);
 
   // 🔄 Reset
   const resetInputs = useCallback(
@@ -123,5 +156,6 @@ export default function useSimulationState<T extends Record<string, unknown>>(
     loadInputs,
     saveInputs,
     resetInputs,
+    schema,
   };
 }
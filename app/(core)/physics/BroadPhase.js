@@ -0,0 +1,135 @@
+/**
+ * BroadPhase - Cheap filter that finds the pairs of bodies that may touch
+ * Only these candidate pairs reach the narrow phase (Collisions.js).
+ *
+ *   "none" - every pair, O(n²)
+ *   "grid" - uniform spatial hash: bodies go in the cells their bounding box
+ *            overlaps, only bodies sharing a cell are paired
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ */
+
+// Options for a "Broad-phase" select input
+export const broadPhaseTypes = [
+  { value: "grid", label: "Spatial hash grid" },
+  { value: "none", label: "None (all pairs)" },
+];
+
+/**
+ * Axis-aligned bounding box of a body, from PhysicsBody.computeBounds()
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function getAABB(body) {
+  const bounds = body.computeBounds();
+
+  if (bounds.type === "circle") {
+    const { center, radius } = bounds;
+    return {
+      minX: center.x - radius,
+      minY: center.y - radius,
+      maxX: center.x + radius,
+      maxY: center.y + radius,
+    };
+  }
+
+  // rect / polygon: min and max already bound the rotated vertices
+  return {
+    minX: bounds.min.x,
+    minY: bounds.min.y,
+    maxX: bounds.max.x,
+    maxY: bounds.max.y,
+  };
+}
+
+/**
+ * Every pair of bodies
+ * @returns {Array<[object, object]>}
+ */
+export function allPairs(bodies) {
+  const pairs = [];
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      pairs.push([bodies[i], bodies[j]]);
+    }
+  }
+  return pairs;
+}
+
+export class SpatialHash {
+  /**
+   * @param {number|null} cellSize - Cell side (m), null = twice the average body size
+   */
+  constructor(cellSize = null) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "ix,iy" -> indices of the bodies in the cell
+  }
+
+  /**
+   * Pairs of bodies sharing at least one cell, each pair listed once
+   * @returns {Array<[object, object]>}
+   */
+  pairs(bodies) {
+    if (bodies.length < 2) return [];
+
+    const boxes = bodies.map(getAABB);
+    const size = this.cellSize ?? this.autoCellSize(boxes);
+    this.cells.clear();
+
+    boxes.forEach((box, index) => {
+      const x0 = Math.floor(box.minX / size);
+      const x1 = Math.floor(box.maxX / size);
+      const y0 = Math.floor(box.minY / size);
+      const y1 = Math.floor(box.maxY / size);
+
+      for (let ix = x0; ix <= x1; ix++) {
+        for (let iy = y0; iy <= y1; iy++) {
+          const key = `${ix},${iy}`;
+          const cell = this.cells.get(key);
+          if (cell) cell.push(index);
+          else this.cells.set(key, [index]);
+        }
+      }
+    });
+
+    // Bodies spanning several cells would be paired more than once
+    const seen = new Set();
+    const pairs = [];
+    this.cells.forEach((cell) => {
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) {
+          const a = Math.min(cell[i], cell[j]);
+          const b = Math.max(cell[i], cell[j]);
+          const id = a * bodies.length + b;
+          if (seen.has(id) || !overlaps(boxes[a], boxes[b])) continue;
+          seen.add(id);
+          pairs.push([bodies[a], bodies[b]]);
+        }
+      }
+    });
+    return pairs;
+  }
+
+  autoCellSize(boxes) {
+    const total = boxes.reduce(
+      (sum, box) => sum + Math.max(box.maxX - box.minX, box.maxY - box.minY),
+      0
+    );
+    return Math.max((2 * total) / boxes.length, 1e-3);
+  }
+}
+
+/**
+ * Candidate pairs with the named method
+ * @param {string} method - "grid" or "none"
+ * @param {SpatialHash} grid - Reused between steps to keep its cell map
+ */
+export function findPairs(bodies, method = "grid", grid = new SpatialHash()) {
+  return method === "none" ? allPairs(bodies) : grid.pairs(bodies);
+}
+
+function overlaps(a, b) {
+  return (
+    a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY
+  );
+}
+
+export default SpatialHash;
@@ -0,0 +1,390 @@
+/**
+ * Collisions - Body-to-body contact detection and impulse response
+ * Works on the shapes returned by PhysicsBody.computeBounds():
+ *   circle { center, radius }  and  rect / polygon { vertices }
+ * Everything but circle-circle uses the separating axis theorem (SAT) on the
+ * vertices, so rotated rectangles and any convex polygon are covered.
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ *
+ * Per-body params read here:
+ *   restitution - bounciness (0-1), combined as the average of the pair
+ *   friction    - Coulomb coefficient, combined as the geometric mean
+ *   isStatic    - infinite mass: pushes but is never pushed
+ * Bodies with getInertia() (PhysicsBody) also spin from off-center impulses.
+ */
+
+export const COLLISION_DEFAULTS = {
+  percent: 0.8, // share of the penetration corrected per step
+  slop: 0.005, // penetration (m) allowed before correcting, avoids jitter
+};
+
+/**
+ * Contact between two bodies, or null when they don't touch
+ * @returns {{normal: {x, y}, penetration: number, contact: {x, y}}|null}
+ *   normal points from a to b, penetration in meters
+ */
+export function detectCollision(a, b) {
+  const shapeA = a.computeBounds();
+  const shapeB = b.computeBounds();
+
+  if (shapeA.type === "circle" && shapeB.type === "circle") {
+    return circleCircle(shapeA, shapeB);
+  }
+  if (shapeA.type === "circle") {
+    return circlePolygon(shapeA, getVertices(shapeB));
+  }
+  if (shapeB.type === "circle") {
+    return flip(circlePolygon(shapeB, getVertices(shapeA)));
+  }
+  return polygonPolygon(getVertices(shapeA), getVertices(shapeB));
+}
+
+/**
+ * Push two touching bodies apart and exchange the normal and friction impulses
+ * at the contact point: off-center impulses also change the spin of bodies
+ * that have a moment of inertia
+ * @param {object} manifold - Result of detectCollision(a, b)
+ * @param {object} options - { percent, slop } of the positional correction
+ * @returns {{normalImpulse: number, frictionImpulse: number}} Magnitudes (N·s)
+ */
+export function resolveCollision(a, b, manifold, options = {}) {
+  const { percent, slop } = { ...COLLISION_DEFAULTS, ...options };
+  const invA = inverseMass(a);
+  const invB = inverseMass(b);
+  if (invA + invB === 0) return { normalImpulse: 0, frictionImpulse: 0 };
+
+  const { normal, penetration, contact } = manifold;
+
+  // Positional correction: the lighter body moves more
+  const correction =
+    (Math.max(penetration - slop, 0) / (invA + invB)) * percent;
+  translate(a, -normal.x * correction * invA, -normal.y * correction * invA);
+  translate(b, normal.x * correction * invB, normal.y * correction * invB);
+
+  // Lever arms from the centers to the contact point
+  const A = { body: a, invMass: invA, invInertia: inverseInertia(a) };
+  const B = { body: b, invMass: invB, invInertia: inverseInertia(b) };
+  A.r = leverArm(a, contact);
+  B.r = leverArm(b, contact);
+
+  // Already separating: nothing to exchange
+  const rv = relativeVelocity(A, B);
+  const velAlongNormal = dot(rv, normal);
+  if (velAlongNormal > 0) return { normalImpulse: 0, frictionImpulse: 0 };
+
+  const restitution = combineRestitution(a, b);
+  const j = (-(1 + restitution) * velAlongNormal) / effectiveMass(A, B, normal);
+  push(A, B, normal.x * j, normal.y * j);
+
+  // Friction along the tangent, clamped by the Coulomb cone |jt| <= μ·j
+  const tv = relativeVelocity(A, B);
+  const vn = dot(tv, normal);
+  const tangent = normalize({
+    x: tv.x - vn * normal.x,
+    y: tv.y - vn * normal.y,
+  });
+  if (!tangent) return { normalImpulse: j, frictionImpulse: 0 };
+
+  const mu = combineFriction(a, b);
+  const jt = Math.max(
+    -dot(tv, tangent) / effectiveMass(A, B, tangent),
+    -mu * j
+  );
+  push(A, B, tangent.x * jt, tangent.y * jt);
+
+  return { normalImpulse: j, frictionImpulse: Math.abs(jt) };
+}
+
+/**
+ * Detect and resolve in one call
+ * @returns {object|null} The manifold with normalImpulse/frictionImpulse, or null
+ */
+export function collide(a, b, options = {}) {
+  if (isStatic(a) && isStatic(b)) return null;
+
+  const manifold = detectCollision(a, b);
+  if (!manifold) return null;
+
+  return { ...manifold, ...resolveCollision(a, b, manifold, options) };
+}
+
+export function isStatic(body) {
+  return Boolean(body.params.isStatic) || !Number.isFinite(body.params.mass);
+}
+
+export function inverseMass(body) {
+  return isStatic(body) ? 0 : 1 / body.params.mass;
+}
+
+/**
+ * 1 / I, 0 for static bodies and for bodies without a moment of inertia
+ */
+export function inverseInertia(body) {
+  if (isStatic(body) || !body.getInertia) return 0;
+  const inertia = body.getInertia();
+  return inertia > 0 && Number.isFinite(inertia) ? 1 / inertia : 0;
+}
+
+export function combineRestitution(a, b) {
+  return ((a.params.restitution ?? 1) + (b.params.restitution ?? 1)) / 2;
+}
+
+export function combineFriction(a, b) {
+  return Math.sqrt((a.params.friction ?? 0) * (b.params.friction ?? 0));
+}
+
+// -----------------------------------------------------------------------------
+// Narrow phase
+// -----------------------------------------------------------------------------
+
+function circleCircle(a, b) {
+  const dx = b.center.x - a.center.x;
+  const dy = b.center.y - a.center.y;
+  const dist = Math.hypot(dx, dy);
+  const radii = a.radius + b.radius;
+  if (dist >= radii) return null;
+
+  // Concentric circles: any direction works, pick "up"
+  const normal = dist > 0 ? { x: dx / dist, y: dy / dist } : { x: 0, y: 1 };
+
+  return {
+    normal,
+    penetration: radii - dist,
+    contact: {
+      x: a.center.x + normal.x * a.radius,
+      y: a.center.y + normal.y * a.radius,
+    },
+  };
+}
+
+/**
+ * Circle against a convex polygon: polygon edge normals plus the axis
+ * towards the closest vertex (needed at the corners)
+ */
+function circlePolygon(circle, vertices) {
+  const { center, radius } = circle;
+
+  let closest = vertices[0];
+  let closestDist = Infinity;
+  vertices.forEach((v) => {
+    const d = (v.x - center.x) ** 2 + (v.y - center.y) ** 2;
+    if (d < closestDist) {
+      closestDist = d;
+      closest = v;
+    }
+  });
+
+  const axes = edgeNormals(vertices);
+  const toVertex = normalize({
+    x: closest.x - center.x,
+    y: closest.y - center.y,
+  });
+  if (toVertex) axes.push(toVertex);
+
+  const circleVertices = [center];
+  const result = separatingAxis(circleVertices, vertices, axes, radius);
+  if (!result) return null;
+
+  const { normal, penetration } = result;
+  return {
+    normal,
+    penetration,
+    contact: {
+      x: center.x + normal.x * (radius - penetration / 2),
+      y: center.y + normal.y * (radius - penetration / 2),
+    },
+  };
+}
+
+function polygonPolygon(a, b) {
+  const axes = [...edgeNormals(a), ...edgeNormals(b)];
+  const result = separatingAxis(a, b, axes);
+  if (!result) return null;
+
+  // Contact: average of the vertices inside the other shape (one corner,
+  // or the two ends of a resting edge)
+  const inside = [
+    ...a.filter((v) => containsPoint(b, v)),
+    ...b.filter((v) => containsPoint(a, v)),
+  ];
+  const contact = inside.length > 0 ? centroid(inside) : centroid([...a, ...b]);
+
+  return { ...result, contact };
+}
+
+/**
+ * SAT: project both shapes on every axis, the smallest overlap is the
+ * penetration. A gap on any axis means no contact.
+ * @param {number} radiusA - Extra extent of shape a (circles are a point + radius)
+ */
+function separatingAxis(a, b, axes, radiusA = 0) {
+  const centerA = centroid(a);
+  const centerB = centroid(b);
+
+  let best = null;
+  for (const axis of axes) {
+    const [minA, maxA] = project(a, axis);
+    const [minB, maxB] = project(b, axis);
+    const overlap =
+      Math.min(maxA + radiusA, maxB) - Math.max(minA - radiusA, minB);
+    if (overlap <= 0) return null;
+
+    if (!best || overlap < best.penetration) {
+      // Orient the normal from a to b
+      const towardsB =
+        (centerB.x - centerA.x) * axis.x + (centerB.y - centerA.y) * axis.y;
+      const normal = towardsB < 0 ? { x: -axis.x, y: -axis.y } : axis;
+      best = { normal, penetration: overlap };
+    }
+  }
+  return best;
+}
+
+// -----------------------------------------------------------------------------
+// Geometry helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Vertices of a shape in counter-clockwise order
+ * (axis-aligned { min, max } boxes are accepted too)
+ */
+function getVertices(shape) {
+  if (shape.vertices) return shape.vertices;
+
+  const { min, max } = shape;
+  return [
+    { x: min.x, y: min.y },
+    { x: max.x, y: min.y },
+    { x: max.x, y: max.y },
+    { x: min.x, y: max.y },
+  ];
+}
+
+function edgeNormals(vertices) {
+  const axes = [];
+  vertices.forEach((v, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    const axis = normalize({ x: next.y - v.y, y: v.x - next.x });
+    if (axis) axes.push(axis);
+  });
+  return axes;
+}
+
+// Point inside a convex counter-clockwise polygon (edges included)
+function containsPoint(vertices, point) {
+  return vertices.every((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    return (
+      cross(
+        { x: b.x - a.x, y: b.y - a.y },
+        {
+          x: point.x - a.x,
+          y: point.y - a.y,
+        }
+      ) >= -1e-12
+    );
+  });
+}
+
+function project(vertices, axis) {
+  let min = Infinity;
+  let max = -Infinity;
+  vertices.forEach((v) => {
+    const d = v.x * axis.x + v.y * axis.y;
+    min = Math.min(min, d);
+    max = Math.max(max, d);
+  });
+  return [min, max];
+}
+
+function centroid(vertices) {
+  const sum = vertices.reduce(
+    (acc, v) => ({ x: acc.x + v.x, y: acc.y + v.y }),
+    {
+      x: 0,
+      y: 0,
+    }
+  );
+  return { x: sum.x / vertices.length, y: sum.y / vertices.length };
+}
+
+function normalize({ x, y }) {
+  const len = Math.hypot(x, y);
+  return len > 1e-12 ? { x: x / len, y: y / len } : null;
+}
+
+function flip(manifold) {
+  if (!manifold) return null;
+  return {
+    ...manifold,
+    normal: { x: -manifold.normal.x, y: -manifold.normal.y },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Response helpers
+// -----------------------------------------------------------------------------
+
+function translate(body, dx, dy) {
+  if (dx === 0 && dy === 0) return;
+  body.state.position.x += dx;
+  body.state.position.y += dy;
+}
+
+// Equal and opposite impulse (jx, jy) along a -> b, applied at the contact
+function push(A, B, jx, jy) {
+  const { state: sa } = A.body;
+  const { state: sb } = B.body;
+
+  sa.velocity.x -= jx * A.invMass;
+  sa.velocity.y -= jy * A.invMass;
+  sa.angularVelocity -= cross(A.r, { x: jx, y: jy }) * A.invInertia;
+
+  sb.velocity.x += jx * B.invMass;
+  sb.velocity.y += jy * B.invMass;
+  sb.angularVelocity += cross(B.r, { x: jx, y: jy }) * B.invInertia;
+}
+
+function leverArm(body, contact) {
+  return {
+    x: contact.x - body.state.position.x,
+    y: contact.y - body.state.position.y,
+  };
+}
+
+// Velocity of b relative to a at the contact: v + ω × r
+function relativeVelocity(A, B) {
+  const pointVelocity = ({ body, r }) => ({
+    x: body.state.velocity.x - (body.state.angularVelocity || 0) * r.y,
+    y: body.state.velocity.y + (body.state.angularVelocity || 0) * r.x,
+  });
+  const va = pointVelocity(A);
+  const vb = pointVelocity(B);
+  return { x: vb.x - va.x, y: vb.y - va.y };
+}
+
+// 1/m_a + 1/m_b + (r_a × d)²/I_a + (r_b × d)²/I_b along direction d
+function effectiveMass(A, B, direction) {
+  return (
+    A.invMass +
+    B.invMass +
+    cross(A.r, direction) ** 2 * A.invInertia +
+    cross(B.r, direction) ** 2 * B.invInertia
+  );
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y;
+}
+
+function cross(a, b) {
+  return a.x * b.y - a.y * b.x;
+}
+
+const Collisions = {
+  detectCollision,
+  resolveCollision,
+  collide,
+};
+
+export default Collisions;
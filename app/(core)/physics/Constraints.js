@@ -0,0 +1,396 @@
+/**
+ * Constraints - Rigid links between two bodies, or a body and a fixed anchor
+ *
+ *   DistanceConstraint  rod: keeps the two points at a fixed distance (or range)
+ *   RopeConstraint      rope: only stops the points from moving apart (slack)
+ *   PinJoint            the two points coincide, the bodies turn freely
+ *   HingeJoint          pin joint with optional angle limits and a motor
+ *
+ * Each end is a PhysicsBody (optionally with a point fixed on it, in body
+ * coordinates) or a fixed point {x, y} of the world. Constraints correct the
+ * positions, then remove the velocity that would break them again; solving
+ * them several times per step (PhysicsWorld constraintIterations or
+ * solveConstraints) lets chains of links converge.
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ */
+
+import { physicsToScreen } from "../constants/Utils.js";
+import { inverseInertia, inverseMass } from "./Collisions.js";
+
+/**
+ * Solve a list of constraints, for simulations without a PhysicsWorld
+ * @param {Array} constraints - Anything with solve(dt)
+ * @param {number} dt - Time step (s)
+ * @param {number} iterations - More iterations = stiffer chains
+ */
+export function solveConstraints(constraints, dt, iterations = 4) {
+  for (let i = 0; i < iterations; i++) {
+    constraints.forEach((constraint) => constraint.solve(dt));
+  }
+}
+
+export class Constraint {
+  /**
+   * @param {PhysicsBody|object} a - Body, or fixed point {x, y}
+   * @param {PhysicsBody|object} b - Body, or fixed point {x, y}
+   * @param {object} options
+   * @param {object} options.localA - Point on body a, in body coordinates (default center)
+   * @param {object} options.localB - Point on body b, in body coordinates (default center)
+   * @param {number} options.stiffness - Share of the error corrected per solve (0-1)
+   * @param {string} options.color - Drawing color
+   */
+  constructor(a, b, options = {}) {
+    this.a = toEnd(a, options.localA);
+    this.b = toEnd(b, options.localB);
+    this.stiffness = options.stiffness ?? 1;
+    this.color = options.color ?? "#9ca3af";
+  }
+
+  /**
+   * World position of both ends
+   */
+  getPoints() {
+    return [worldPoint(this.a), worldPoint(this.b)];
+  }
+
+  getLength() {
+    const [pa, pb] = this.getPoints();
+    return Math.hypot(pb.x - pa.x, pb.y - pa.y);
+  }
+
+  solve() {
+    throw new Error(`${this.constructor.name} must implement solve()`);
+  }
+
+  /**
+   * Move both ends so that (pb - pa)·n changes by -error, weighted by how
+   * easily each end moves along n, and return the effective inverse mass
+   */
+  correctPosition(n, error) {
+    const ends = [this.a, this.b].map((end) => prepare(end, n));
+    const w = ends[0].w + ends[1].w;
+    if (w === 0) return 0;
+
+    const lambda = (error * this.stiffness) / w;
+    applyCorrection(ends[0], n, lambda);
+    applyCorrection(ends[1], n, -lambda);
+    return w;
+  }
+
+  /**
+   * Relative velocity of the ends along n: (vb - va)·n
+   */
+  relativeVelocity(n) {
+    const va = pointVelocity(this.a);
+    const vb = pointVelocity(this.b);
+    return (vb.x - va.x) * n.x + (vb.y - va.y) * n.y;
+  }
+
+  /**
+   * Impulse along n that cancels `velocity` = relativeVelocity(n)
+   */
+  cancelVelocity(n, velocity) {
+    const ends = [this.a, this.b].map((end) => prepare(end, n));
+    const w = ends[0].w + ends[1].w;
+    if (w === 0) return;
+
+    const j = -velocity / w;
+    applyImpulse(ends[0], n, -j);
+    applyImpulse(ends[1], n, j);
+  }
+
+  /**
+   * Draw the link between the two ends
+   */
+  draw(p, { weight = 2, dashed = false } = {}) {
+    const [pa, pb] = this.getPoints().map((point) => physicsToScreen(point, p));
+
+    p.push();
+    p.stroke(this.color);
+    p.strokeWeight(weight);
+    if (dashed) p.drawingContext.setLineDash([6, 4]);
+    p.line(pa.x, pa.y, pb.x, pb.y);
+    p.drawingContext.setLineDash([]);
+
+    // Fixed anchors
+    p.noStroke();
+    p.fill(this.color);
+    [this.a, this.b].forEach((end, i) => {
+      if (!end.body) p.circle(i === 0 ? pa.x : pb.x, i === 0 ? pa.y : pb.y, 10);
+    });
+    p.pop();
+  }
+}
+
+/**
+ * Rod: the distance between the ends never changes. With minLength and/or
+ * maxLength it only keeps the distance inside that range (a spring with end
+ * stops, a telescopic link)
+ */
+export class DistanceConstraint extends Constraint {
+  /**
+   * @param {number|null} options.length - Rest length (m), null = current distance
+   * @param {number|null} options.minLength - Shortest distance (m), null = length
+   * @param {number|null} options.maxLength - Longest distance (m), null = length
+   */
+  constructor(a, b, options = {}) {
+    super(a, b, options);
+    this.length = options.length ?? this.getLength();
+    this.minLength = options.minLength ?? null;
+    this.maxLength = options.maxLength ?? null;
+  }
+
+  solve() {
+    const axis = this.axis();
+    if (!axis) return;
+
+    const min = this.minLength ?? this.length;
+    const max = this.maxLength ?? this.length;
+    const target = clamp(axis.distance, min, max);
+    if (min < max && target === axis.distance) return;
+
+    this.correctPosition(axis.n, axis.distance - target);
+
+    // A rod removes all the velocity along the link, a limit only the part
+    // that would push the ends further out of the range
+    const velocity = this.relativeVelocity(axis.n);
+    const outward = axis.distance > target ? velocity > 0 : velocity < 0;
+    if (min === max || outward) this.cancelVelocity(axis.n, velocity);
+  }
+
+  axis() {
+    const [pa, pb] = this.getPoints();
+    const dx = pb.x - pa.x;
+    const dy = pb.y - pa.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < 1e-9) return null;
+    return { n: { x: dx / distance, y: dy / distance }, distance };
+  }
+
+  draw(p, options = {}) {
+    super.draw(p, { weight: 3, ...options });
+  }
+}
+
+/**
+ * Rope: like a rod when taut, no effect when slack
+ */
+export class RopeConstraint extends DistanceConstraint {
+  solve() {
+    const axis = this.axis();
+    if (!axis || axis.distance < this.length) return;
+
+    this.correctPosition(axis.n, axis.distance - this.length);
+
+    // Only the velocity that stretches the rope is removed
+    const velocity = this.relativeVelocity(axis.n);
+    if (velocity > 0) this.cancelVelocity(axis.n, velocity);
+  }
+
+  isTaut(tolerance = 1e-3) {
+    return this.getLength() >= this.length - tolerance;
+  }
+
+  draw(p, options = {}) {
+    Constraint.prototype.draw.call(this, p, {
+      weight: 1.5,
+      dashed: !this.isTaut(),
+      ...options,
+    });
+  }
+}
+
+/**
+ * Pin joint: the two ends stay on the same point, rotation is free
+ */
+export class PinJoint extends Constraint {
+  solve() {
+    // One axis at a time: the errors along x and y are independent
+    AXES.forEach((n) => {
+      const [pa, pb] = this.getPoints();
+      this.correctPosition(n, (pb.x - pa.x) * n.x + (pb.y - pa.y) * n.y);
+      this.cancelVelocity(n, this.relativeVelocity(n));
+    });
+  }
+
+  draw(p) {
+    const [pa] = this.getPoints().map((point) => physicsToScreen(point, p));
+    p.push();
+    p.stroke(this.color);
+    p.strokeWeight(2);
+    p.noFill();
+    p.circle(pa.x, pa.y, 8);
+    p.pop();
+  }
+}
+
+/**
+ * Hinge: pin joint that can limit the relative angle of the two bodies
+ * and drive it with a motor
+ */
+export class HingeJoint extends PinJoint {
+  /**
+   * @param {number|null} options.minAngle - Lowest angle of b relative to a (rad)
+   * @param {number|null} options.maxAngle - Highest angle of b relative to a (rad)
+   * @param {number|null} options.motorSpeed - Target relative angular velocity (rad/s)
+   * @param {number} options.maxMotorTorque - Torque limit of the motor (N·m)
+   */
+  constructor(a, b, options = {}) {
+    super(a, b, options);
+    this.minAngle = options.minAngle ?? null;
+    this.maxAngle = options.maxAngle ?? null;
+    this.motorSpeed = options.motorSpeed ?? null;
+    this.maxMotorTorque = options.maxMotorTorque ?? Infinity;
+
+    // Angolo relativo di partenza = 0
+    this.referenceAngle = rotation(this.b) - rotation(this.a);
+  }
+
+  getAngle() {
+    return rotation(this.b) - rotation(this.a) - this.referenceAngle;
+  }
+
+  solve(dt) {
+    super.solve(dt);
+
+    const wa = angularWeight(this.a);
+    const wb = angularWeight(this.b);
+    const w = wa + wb;
+    if (w === 0) return;
+
+    if (this.motorSpeed !== null && dt > 0) {
+      const relative = angularVelocity(this.b) - angularVelocity(this.a);
+      const maxImpulse = this.maxMotorTorque * dt;
+      const impulse = clamp(
+        (this.motorSpeed - relative) / w,
+        -maxImpulse,
+        maxImpulse
+      );
+      spin(this.a, -impulse * wa);
+      spin(this.b, impulse * wb);
+    }
+
+    const angle = this.getAngle();
+    const belowMin = this.minAngle !== null && angle < this.minAngle;
+    const aboveMax = this.maxAngle !== null && angle > this.maxAngle;
+    if (!belowMin && !aboveMax) return;
+
+    // Back inside the limits...
+    const limit = belowMin ? this.minAngle : this.maxAngle;
+    const error = (angle - limit) * this.stiffness;
+    turn(this.a, (error * wa) / w);
+    turn(this.b, (-error * wb) / w);
+
+    // ...and stop turning further out
+    const relative = angularVelocity(this.b) - angularVelocity(this.a);
+    if (belowMin ? relative < 0 : relative > 0) {
+      spin(this.a, (relative * wa) / w);
+      spin(this.b, (-relative * wb) / w);
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Ends
+// -----------------------------------------------------------------------------
+
+const AXES = [
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+];
+
+function toEnd(target, local = { x: 0, y: 0 }) {
+  if (target?.state) return { body: target, local };
+  return { body: null, point: { x: target.x, y: target.y } };
+}
+
+function worldPoint(end) {
+  if (!end.body) return end.point;
+
+  const { position, rotation = 0 } = end.body.state;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return {
+    x: position.x + end.local.x * cos - end.local.y * sin,
+    y: position.y + end.local.x * sin + end.local.y * cos,
+  };
+}
+
+function pointVelocity(end) {
+  if (!end.body) return { x: 0, y: 0 };
+
+  const { position, velocity, angularVelocity: omega = 0 } = end.body.state;
+  const point = worldPoint(end);
+  return {
+    x: velocity.x - omega * (point.y - position.y),
+    y: velocity.y + omega * (point.x - position.x),
+  };
+}
+
+/**
+ * Inverse masses of an end and its generalized weight along n:
+ * w = 1/m + (r × n)² / I
+ */
+function prepare(end, n) {
+  if (!end.body) return { end, w: 0 };
+
+  const invMass = inverseMass(end.body);
+  const invInertia = inverseInertia(end.body);
+  const point = worldPoint(end);
+  const r = {
+    x: point.x - end.body.state.position.x,
+    y: point.y - end.body.state.position.y,
+  };
+  const rn = r.x * n.y - r.y * n.x;
+  return { end, invMass, invInertia, rn, w: invMass + rn * rn * invInertia };
+}
+
+function applyCorrection({ end, invMass, invInertia, rn }, n, lambda) {
+  if (!end.body) return;
+  const { state } = end.body;
+  state.position.x += n.x * lambda * invMass;
+  state.position.y += n.y * lambda * invMass;
+  state.rotation = (state.rotation ?? 0) + rn * lambda * invInertia;
+}
+
+function applyImpulse({ end, invMass, invInertia, rn }, n, j) {
+  if (!end.body) return;
+  const { state } = end.body;
+  state.velocity.x += n.x * j * invMass;
+  state.velocity.y += n.y * j * invMass;
+  state.angularVelocity = (state.angularVelocity ?? 0) + rn * j * invInertia;
+}
+
+function rotation(end) {
+  return end.body?.state.rotation ?? 0;
+}
+
+function angularVelocity(end) {
+  return end.body?.state.angularVelocity ?? 0;
+}
+
+function angularWeight(end) {
+  return end.body ? inverseInertia(end.body) : 0;
+}
+
+function turn(end, delta) {
+  if (end.body) end.body.state.rotation += delta;
+}
+
+function spin(end, delta) {
+  if (end.body) end.body.state.angularVelocity += delta;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+const Constraints = {
+  DistanceConstraint,
+  RopeConstraint,
+  PinJoint,
+  HingeJoint,
+  solveConstraints,
+};
+
+export default Constraints;
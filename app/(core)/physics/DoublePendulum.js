@@ -0,0 +1,234 @@
+/**
+ * DoublePendulum - Two point masses on massless rods, hinged in a chain
+ * Integrates the Lagrangian equations of motion in the angles (θ₁, θ₂),
+ * measured from the downward vertical, with any integrator of
+ * Integrators.js (RK4 by default). The two bobs are PhysicsBody objects
+ * placed from the angles after every step, so they draw and trail like
+ * every other body.
+ * Not built on the PendulumBody of SimplePendulum: that one integrates a
+ * single angle about a fixed anchor, while here the lower pivot moves and
+ * the two angular accelerations depend on each other, so both angles have
+ * to go through the integrator as one system.
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ */
+
+import { physicsToScreen } from "../constants/Utils.js";
+import PhysicsBody from "./PhysicsBody.js";
+import { getIntegrator } from "./Integrators.js";
+
+export class DoublePendulum {
+  /**
+   * @param {p5} p - p5 instance
+   * @param {object} options
+   * @param {object} options.anchor - Fixed pivot {x, y} (m)
+   * @param {number} options.m1 - Upper bob mass (kg)
+   * @param {number} options.m2 - Lower bob mass (kg)
+   * @param {number} options.L1 - Upper rod length (m)
+   * @param {number} options.L2 - Lower rod length (m)
+   * @param {number} options.theta1 - Initial upper angle (rad)
+   * @param {number} options.theta2 - Initial lower angle (rad)
+   * @param {number} options.g - Gravity (m/s², positive)
+   * @param {number} options.damping - Viscous damping on both joints (1/s)
+   * @param {object} options.bobParams - Extra PhysicsBody params of both bobs
+   */
+  constructor(p, options = {}) {
+    this.p = p;
+    this.anchor = { ...(options.anchor ?? { x: 0, y: 0 }) };
+    this.params = {
+      m1: options.m1 ?? 1,
+      m2: options.m2 ?? 1,
+      L1: options.L1 ?? 1,
+      L2: options.L2 ?? 1,
+      g: options.g ?? 9.81,
+      damping: options.damping ?? 0,
+    };
+    this.theta = [options.theta1 ?? 0, options.theta2 ?? 0];
+    this.omega = [0, 0];
+
+    const bobParams = { shape: "circle", size: 0.25, ...options.bobParams };
+    this.bobs = [this.params.m1, this.params.m2].map(
+      (mass) => new PhysicsBody(p, { ...bobParams, mass })
+    );
+    this.syncBobs(0);
+  }
+
+  updateParams(params) {
+    this.params = { ...this.params, ...params };
+    this.bobs[0].updateParams({ mass: this.params.m1 });
+    this.bobs[1].updateParams({ mass: this.params.m2 });
+  }
+
+  /**
+   * Angular accelerations [α₁, α₂] from the Euler-Lagrange equations
+   */
+  accelerations([t1, t2], [w1, w2]) {
+    const { m1, m2, L1, L2, g, damping } = this.params;
+    const delta = t1 - t2;
+    const den = 2 * m1 + m2 - m2 * Math.cos(2 * delta);
+
+    const a1 =
+      (-g * (2 * m1 + m2) * Math.sin(t1) -
+        m2 * g * Math.sin(t1 - 2 * t2) -
+        2 *
+          Math.sin(delta) *
+          m2 *
+          (w2 * w2 * L2 + w1 * w1 * L1 * Math.cos(delta))) /
+      (L1 * den);
+    const a2 =
+      (2 *
+        Math.sin(delta) *
+        (w1 * w1 * L1 * (m1 + m2) +
+          g * (m1 + m2) * Math.cos(t1) +
+          w2 * w2 * L2 * m2 * Math.cos(delta))) /
+      (L2 * den);
+
+    return [a1 - damping * w1, a2 - damping * w2];
+  }
+
+  /**
+   * Advance the angles by dt
+   * @param {string} integrator - Integrator name (see Integrators.js)
+   */
+  step(dt, integrator = "rk4") {
+    if (dt <= 0) return;
+
+    const next = getIntegrator(integrator).step(
+      this.theta,
+      this.omega,
+      (theta, omega) => this.accelerations(theta, omega),
+      dt
+    );
+    this.theta = next.x;
+    this.omega = next.v;
+    this.syncBobs(dt);
+  }
+
+  /**
+   * Bob positions {x, y} for the current (or given) angles
+   */
+  getPositions(theta = this.theta) {
+    const { L1, L2 } = this.params;
+    const p1 = {
+      x: this.anchor.x + L1 * Math.sin(theta[0]),
+      y: this.anchor.y - L1 * Math.cos(theta[0]),
+    };
+    const p2 = {
+      x: p1.x + L2 * Math.sin(theta[1]),
+      y: p1.y - L2 * Math.cos(theta[1]),
+    };
+    return [p1, p2];
+  }
+
+  /**
+   * Place the bobs (position, velocity, interpolation, trail) from the angles
+   * @param {number} dt - Step just taken, 0 when the angles were set directly
+   */
+  syncBobs(dt) {
+    const { L1, L2 } = this.params;
+    const [t1, t2] = this.theta;
+    const [w1, w2] = this.omega;
+    const v1 = { x: L1 * w1 * Math.cos(t1), y: L1 * w1 * Math.sin(t1) };
+    const v2 = {
+      x: v1.x + L2 * w2 * Math.cos(t2),
+      y: v1.y + L2 * w2 * Math.sin(t2),
+    };
+
+    this.getPositions().forEach((point, i) => {
+      const bob = this.bobs[i];
+      const from = bob.state.position.copy();
+      const velocity = i === 0 ? v1 : v2;
+      bob.state.position.set(point.x, point.y);
+      bob.state.velocity.set(velocity.x, velocity.y);
+      bob.interpolation =
+        dt > 0 ? { from, to: bob.state.position.copy() } : null;
+      bob.bounds = bob.computeBounds();
+      if (dt > 0 && bob.trail.enabled) bob.updateTrail();
+    });
+  }
+
+  /**
+   * Set both angles (drag, reset); the pendulum starts from rest
+   */
+  setAngles(theta1, theta2) {
+    this.theta = [theta1, theta2];
+    this.omega = [0, 0];
+    this.syncBobs(0);
+  }
+
+  getKineticEnergy() {
+    const { m1, m2, L1, L2 } = this.params;
+    const [t1, t2] = this.theta;
+    const [w1, w2] = this.omega;
+    return (
+      0.5 * m1 * L1 * L1 * w1 * w1 +
+      0.5 *
+        m2 *
+        (L1 * L1 * w1 * w1 +
+          L2 * L2 * w2 * w2 +
+          2 * L1 * L2 * w1 * w2 * Math.cos(t1 - t2))
+    );
+  }
+
+  /**
+   * Potential energy, zero with both rods hanging straight down (J)
+   */
+  getPotentialEnergy() {
+    const { m1, m2, L1, L2, g } = this.params;
+    const [t1, t2] = this.theta;
+    return (
+      (m1 + m2) * g * L1 * (1 - Math.cos(t1)) + m2 * g * L2 * (1 - Math.cos(t2))
+    );
+  }
+
+  getTotalEnergy() {
+    return this.getKineticEnergy() + this.getPotentialEnergy();
+  }
+
+  /**
+   * Distance in phase space (θ₁, θ₂, ω₁, ω₂) from another pendulum,
+   * angles compared modulo 2π
+   */
+  separationFrom(other) {
+    const wrap = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+    return Math.hypot(
+      wrap(this.theta[0] - other.theta[0]),
+      wrap(this.theta[1] - other.theta[1]),
+      this.omega[0] - other.omega[0],
+      this.omega[1] - other.omega[1]
+    );
+  }
+
+  /**
+   * Draw rods, pivot and bobs
+   * @param {object} options - { rodColor, alpha } (alpha as in PhysicsBody.draw)
+   */
+  draw(p, options = {}) {
+    const { rodColor = "#9ca3af", alpha, ...bobOptions } = options;
+    const anchor = physicsToScreen(this.anchor, p);
+    const [b1, b2] = this.bobs.map((bob) => bob.toScreenPosition(alpha));
+
+    p.push();
+    p.stroke(rodColor);
+    p.strokeWeight(2);
+    p.line(anchor.x, anchor.y, b1.x, b1.y);
+    p.line(b1.x, b1.y, b2.x, b2.y);
+    p.noStroke();
+    p.fill(150);
+    p.circle(anchor.x, anchor.y, 10);
+    p.pop();
+
+    return this.bobs.map((bob) => bob.draw(p, { ...bobOptions, alpha }));
+  }
+
+  snapshot() {
+    return { theta: [...this.theta], omega: [...this.omega] };
+  }
+
+  restore(snapshot) {
+    this.theta = [...snapshot.theta];
+    this.omega = [...snapshot.omega];
+    this.syncBobs(0);
+  }
+}
+
+export default DoublePendulum;
@@ -0,0 +1,256 @@
+/**
+ * Electrostatics - Field, potential, field lines and equipotentials of point charges
+ * A charge is any object with q (C) and position {x, y} (m).
+ * Softening ε replaces r² with r² + ε² so the field stays finite on a charge.
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ */
+
+import { CONSTANTS } from "../constants/Config.js";
+import ForceCalculator from "./ForceCalculator.js";
+
+/**
+ * Electric field E at a point (N/C = V/m)
+ */
+export function electricField(
+  charges,
+  point,
+  k = CONSTANTS.coulombK,
+  softening = 0
+) {
+  // Campo = forza su una carica di prova unitaria
+  return charges.reduce(
+    (field, { q, position }) => {
+      const force = ForceCalculator.coulombVector(
+        q,
+        position,
+        1,
+        point,
+        k,
+        softening
+      );
+      return { x: field.x + force.x, y: field.y + force.y };
+    },
+    { x: 0, y: 0 }
+  );
+}
+
+/**
+ * Electric potential V at a point, zero at infinity (V)
+ */
+export function electricPotential(
+  charges,
+  point,
+  k = CONSTANTS.coulombK,
+  softening = 0
+) {
+  return charges.reduce((potential, { q, position }) => {
+    const r = Math.sqrt(
+      (point.x - position.x) ** 2 +
+        (point.y - position.y) ** 2 +
+        softening * softening
+    );
+    return r < 1e-9 ? potential : potential + (k * q) / r;
+  }, 0);
+}
+
+/**
+ * Force model for PhysicsBody (body.setForceModel): a test charge q moving
+ * in the field of `getCharges()`, re-evaluated at every integrator stage
+ * @param {Function} getCharges - () => current source charges
+ */
+export function electricForceModel(
+  getCharges,
+  q,
+  k = CONSTANTS.coulombK,
+  softening = 0
+) {
+  return (position) => {
+    const field = electricField(getCharges(), position, k, softening);
+    return { x: q * field.x, y: q * field.y };
+  };
+}
+
+/**
+ * Follow the field direction from `start` (midpoint method, fixed arc length)
+ * @param {object} options
+ * @param {number} options.direction - 1 along E, -1 against it
+ * @param {number} options.step - Arc length per step (m)
+ * @param {number} options.maxSteps - Safety limit
+ * @param {number} options.stopRadius - Stop this close to a charge (m)
+ * @param {object} options.bounds - { minX, maxX, minY, maxY }, stop outside
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function traceFieldLine(charges, start, options = {}) {
+  const {
+    direction = 1,
+    step = 0.02,
+    maxSteps = 2000,
+    stopRadius = 0.05,
+    bounds = null,
+  } = options;
+
+  const unit = (point) => {
+    const E = electricField(charges, point);
+    const mag = Math.hypot(E.x, E.y);
+    return mag < 1e-12
+      ? null
+      : { x: (direction * E.x) / mag, y: (direction * E.y) / mag };
+  };
+
+  const points = [{ ...start }];
+  let point = { ...start };
+  for (let i = 0; i < maxSteps; i++) {
+    const d1 = unit(point);
+    if (!d1) break;
+    const mid = {
+      x: point.x + (d1.x * step) / 2,
+      y: point.y + (d1.y * step) / 2,
+    };
+    const d2 = unit(mid) ?? d1;
+    point = { x: point.x + d2.x * step, y: point.y + d2.y * step };
+    points.push(point);
+
+    const hit = charges.some(
+      ({ position }) =>
+        Math.hypot(point.x - position.x, point.y - position.y) < stopRadius
+    );
+    const outside =
+      bounds &&
+      (point.x < bounds.minX ||
+        point.x > bounds.maxX ||
+        point.y < bounds.minY ||
+        point.y > bounds.maxY);
+    if (hit || outside) break;
+  }
+  return points;
+}
+
+/**
+ * Field lines of a set of charges. Lines leave the positive charges (or
+ * enter the negative ones when there are no positive charges), with a
+ * number of lines proportional to |q| (Gauss: flux ∝ charge).
+ * @param {number} options.linesPerCharge - Lines of the largest |q|
+ * @param {number} options.seedRadius - Distance of the first point from the charge (m)
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+export function fieldLines(charges, options = {}) {
+  const { linesPerCharge = 12, seedRadius = 0.1, ...traceOptions } = options;
+  if (charges.length === 0) return [];
+
+  const hasPositive = charges.some(({ q }) => q > 0);
+  const sources = charges.filter(({ q }) => (hasPositive ? q > 0 : q < 0));
+  const maxQ = Math.max(...charges.map(({ q }) => Math.abs(q)));
+  if (maxQ === 0) return [];
+
+  return sources.flatMap(({ q, position }) => {
+    const count = Math.max(
+      1,
+      Math.round((linesPerCharge * Math.abs(q)) / maxQ)
+    );
+    return Array.from({ length: count }, (_, i) => {
+      const angle = (2 * Math.PI * (i + 0.5)) / count;
+      const start = {
+        x: position.x + seedRadius * Math.cos(angle),
+        y: position.y + seedRadius * Math.sin(angle),
+      };
+      return traceFieldLine(charges, start, {
+        ...traceOptions,
+        direction: hasPositive ? 1 : -1,
+        stopRadius: seedRadius * 0.9,
+      });
+    });
+  });
+}
+
+/**
+ * Equipotential contours with marching squares on a regular grid
+ * @param {number[]} levels - Potentials to trace (V)
+ * @param {object} bounds - { minX, maxX, minY, maxY } of the grid (m)
+ * @param {number} cell - Grid spacing (m)
+ * @param {number} softening - Keep it > 0: a charge on a grid node would
+ *   otherwise leave a hole in the sampled potential
+ * @returns {Array<{level: number, segments: Array<[object, object]>}>}
+ */
+export function equipotentials(
+  charges,
+  levels,
+  bounds,
+  cell = 0.1,
+  k = CONSTANTS.coulombK,
+  softening = 0
+) {
+  const cols = Math.ceil((bounds.maxX - bounds.minX) / cell);
+  const rows = Math.ceil((bounds.maxY - bounds.minY) / cell);
+
+  // Potenziale campionato una volta sola sui nodi della griglia
+  const grid = Array.from({ length: rows + 1 }, (_, j) =>
+    Array.from({ length: cols + 1 }, (_, i) =>
+      electricPotential(
+        charges,
+        { x: bounds.minX + i * cell, y: bounds.minY + j * cell },
+        k,
+        softening
+      )
+    )
+  );
+
+  return levels.map((level) => {
+    const segments = [];
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const x0 = bounds.minX + i * cell;
+        const y0 = bounds.minY + j * cell;
+        // Corners counter-clockwise from bottom-left
+        const corners = [
+          { x: x0, y: y0, v: grid[j][i] },
+          { x: x0 + cell, y: y0, v: grid[j][i + 1] },
+          { x: x0 + cell, y: y0 + cell, v: grid[j + 1][i + 1] },
+          { x: x0, y: y0 + cell, v: grid[j + 1][i] },
+        ];
+        segments.push(...cellSegments(corners, level));
+      }
+    }
+    return { level, segments };
+  });
+}
+
+/**
+ * Segments of the contour `level` inside one cell
+ */
+function cellSegments(corners, level) {
+  // Points where the level crosses each edge (edge i: corner i -> i + 1)
+  const crossings = corners.map((a, i) => {
+    const b = corners[(i + 1) % 4];
+    if (a.v >= level === b.v >= level) return null;
+    const t = (level - a.v) / (b.v - a.v);
+    return { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+  });
+
+  const cut = crossings.filter(Boolean);
+  if (cut.length === 2) return [[cut[0], cut[1]]];
+  if (cut.length !== 4) return [];
+
+  // Sella: il valore al centro decide come accoppiare i quattro tagli
+  const center = corners.reduce((sum, { v }) => sum + v, 0) / 4;
+  const firstAbove = corners[0].v >= level;
+  return center >= level === firstAbove
+    ? [
+        [crossings[0], crossings[1]],
+        [crossings[2], crossings[3]],
+      ]
+    : [
+        [crossings[0], crossings[3]],
+        [crossings[1], crossings[2]],
+      ];
+}
+
+const Electrostatics = {
+  electricField,
+  electricPotential,
+  electricForceModel,
+  traceFieldLine,
+  fieldLines,
+  equipotentials,
+};
+
+export default Electrostatics;
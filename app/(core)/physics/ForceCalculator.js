@@ -4,6 +4,8 @@
  * Gravity is NEGATIVE Y direction (downward)
  */
 
+import { CONSTANTS } from "../constants/Config.js";
+
 export class ForceCalculator {
   /**
    * Calculate gravitational force: F = m * g (downward in Y-up coords = negative Y)
@@ -148,6 +150,41 @@ export class ForceCalculator {
     return fluidDensity * volume * g; // Positive (upward in Y-up)
   }
 
+  /**
+   * Calculate Coulomb force magnitude: F = k * q1 * q2 / r²
+   * @param {number} q1 - First charge (C)
+   * @param {number} q2 - Second charge (C)
+   * @param {number} distance - Distance between the charges (m)
+   * @param {number} k - Coulomb constant (N·m²/C²)
+   * @returns {number} Positive = repulsive, negative = attractive
+   */
+  static coulomb(q1, q2, distance, k = CONSTANTS.coulombK) {
+    if (distance < 1e-9) return 0;
+    return (k * q1 * q2) / (distance * distance);
+  }
+
+  /**
+   * Coulomb force exerted by charge q1 (at pos1) on charge q2 (at pos2)
+   * @param {number} softening - Added to r² as ε², keeps close passes finite
+   * @returns {object} Force vector {x, y} on q2 (N)
+   */
+  static coulombVector(
+    q1,
+    pos1,
+    q2,
+    pos2,
+    k = CONSTANTS.coulombK,
+    softening = 0
+  ) {
+    const dx = pos2.x - pos1.x;
+    const dy = pos2.y - pos1.y;
+    const r2 = dx * dx + dy * dy + softening * softening;
+    if (r2 < 1e-18) return { x: 0, y: 0 };
+
+    const scale = (k * q1 * q2) / (r2 * Math.sqrt(r2));
+    return { x: scale * dx, y: scale * dy };
+  }
+
   /**
    * Resolve force into components given an angle
    * @param {number} forceMagnitude - Magnitude of force
@@ -211,8 +248,14 @@ export class InclinedPlaneForces {
 
   /**
    * Calculate all forces on an inclined plane
+   * With params.pulley the block is tied over a pulley at the top of the
+   * incline to a hanging mass params.hangingMass: both move together, the
+   * block up the slope while the hanging mass goes down.
+   * A rope cannot push: when the block would climb faster than the hanging
+   * mass falls, or the rope is already slack (ropeSlack), the tension is 0,
+   * the block moves alone and the hanging mass falls freely.
    */
-  calculate(body, isMoving) {
+  calculate(body, isMoving, ropeSlack = false) {
     const {
       gravity,
       angle,
@@ -220,6 +263,8 @@ export class InclinedPlaneForces {
       frictionKinetic,
       appliedForce,
       appliedAngle,
+      pulley = false,
+      hangingMass = 0,
     } = this.params;
 
     const angleRad = (angle * Math.PI) / 180;
@@ -241,31 +286,50 @@ export class InclinedPlaneForces {
     // Normal force
     const normal = Math.max(0, weightPerp - appliedComponents.y);
 
-    // Friction force
-    let friction = 0;
-    const netWithoutFriction = appliedComponents.x - weightParallel;
-
-    if (!isMoving) {
+    // Friction against the rest of the forces along the slope
+    const frictionFor = (netWithoutFriction) => {
+      if (isMoving) {
+        const vel = body.state.velocity?.x || body.state.vel || 0;
+        return ForceCalculator.kineticFriction(normal, frictionKinetic, vel);
+      }
       const staticResult = ForceCalculator.staticFriction(
         normal,
         frictionStatic,
         netWithoutFriction
       );
+      // null: transition to kinetic
+      return staticResult !== null
+        ? staticResult
+        : -Math.sign(netWithoutFriction) * frictionKinetic * normal;
+    };
 
-      if (staticResult !== null) {
-        friction = staticResult;
-      } else {
-        // Transition to kinetic
-        friction = -Math.sign(netWithoutFriction) * frictionKinetic * normal;
-      }
-    } else {
-      // Kinetic friction
-      const vel = body.state.velocity?.x || body.state.vel || 0;
-      friction = ForceCalculator.kineticFriction(normal, frictionKinetic, vel);
+    // Hanging mass pulls the whole system up the slope with its weight
+    const m2 = pulley ? Math.max(0, hangingMass) : 0;
+    const hangingWeight = m2 * gravity;
+
+    // Block and hanging mass share the acceleration along the rope
+    let netWithoutFriction =
+      appliedComponents.x - weightParallel + hangingWeight;
+    let friction = frictionFor(netWithoutFriction);
+    let acceleration = (netWithoutFriction + friction) / (mass + m2);
+
+    // Tension from the hanging mass, whose upward acceleration is -a
+    let tension = pulley
+      ? ForceCalculator.tension(m2, gravity, -acceleration)
+      : 0;
+
+    // Slack rope: the block alone, the hanging mass in free fall
+    const slack = pulley && (ropeSlack || tension < 0);
+    if (slack) {
+      netWithoutFriction = appliedComponents.x - weightParallel;
+      friction = frictionFor(netWithoutFriction);
+      acceleration = gravity;
+      tension = 0;
     }
 
-    // Net force
-    const netParallel = -weightParallel + appliedComponents.x + friction;
+    // Net force on the block alone (= m·a)
+    const netParallel =
+      -weightParallel + appliedComponents.x + friction + tension;
 
     return {
       weight: {
@@ -280,6 +344,10 @@ export class InclinedPlaneForces {
         parallel: appliedComponents.x,
         perpendicular: appliedComponents.y,
       },
+      tension,
+      hanging: pulley
+        ? { mass: m2, weight: hangingWeight, tension, acceleration, slack }
+        : null,
       netParallel,
       angle: angleRad,
     };
@@ -0,0 +1,339 @@
+/**
+ * ForceFields - Registry of force fields for PhysicsWorld
+ *
+ *   gravity   uniform field g (or any constant acceleration/force)
+ *   radial    attraction/repulsion from a point, F ∝ 1/r^falloff
+ *   drag      quadratic air drag ½ρ·Cd·A·|v|·v on the body cross-section
+ *   buoyancy  ρ·V·g on the part of the body below a fluid line
+ *   wind      drag (or a constant push) inside a rectangular zone
+ *   custom    any computeFn
+ *
+ * A field is { key, label, colorKey, color, computeFn(body, world, position,
+ * velocity) } and goes straight into world.addForceField(); position and
+ * velocity are the state at the current integrator stage (body.state when
+ * omitted). ForceRenderer.drawFields() draws it
+ * with its label. Every numeric option can also be a function, read at each
+ * step, so a field can follow the inputs: { coefficient: () => inputs.cd }.
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ */
+
+import { CONSTANTS, DEFAULTS, EARTH_G_SI } from "../constants/Config.js";
+import { isStatic } from "./Collisions.js";
+
+const WATER_DENSITY = 1000; // kg/m³
+
+export const FORCE_FIELDS = {
+  gravity: (options = {}) => {
+    const { g = EARTH_G_SI, direction = { x: 0, y: -1 } } = options;
+    return {
+      key: "gravity",
+      label: "Weight",
+      colorKey: "weight",
+      computeFn: (body) => {
+        const m = body.params.mass * read(g);
+        const dir = read(direction);
+        return { x: m * dir.x, y: m * dir.y };
+      },
+    };
+  },
+
+  /**
+   * Same force (N) or acceleration (m/s²) on every body
+   */
+  uniform: (options = {}) => {
+    const { force = null, acceleration = null } = options;
+    return {
+      key: "uniform",
+      label: "Applied",
+      colorKey: "applied",
+      computeFn: (body) => {
+        if (force) return { ...read(force) };
+        const a = read(acceleration);
+        if (!a) return null;
+        return { x: body.params.mass * a.x, y: body.params.mass * a.y };
+      },
+    };
+  },
+
+  /**
+   * strength: N at 1 m (positive attracts, negative repels);
+   * perMass: multiply by the body mass (gravity-like); softening avoids
+   * the singularity at the center
+   */
+  radial: (options = {}) => {
+    const {
+      center = { x: 0, y: 0 },
+      strength = 1,
+      falloff = 2,
+      perMass = false,
+      softening = 0.05,
+      radius = Infinity,
+    } = options;
+    return {
+      key: "radial",
+      label: "Radial",
+      colorKey: "applied",
+      computeFn: (body, _world, position = body.state.position) => {
+        const c = read(center);
+        const dx = c.x - position.x;
+        const dy = c.y - position.y;
+        const r = Math.hypot(dx, dy);
+        if (r < 1e-9 || r > read(radius)) return null;
+
+        const eps = read(softening);
+        let magnitude = read(strength) / (r * r + eps * eps) ** (falloff / 2);
+        if (perMass) magnitude *= body.params.mass;
+        return { x: (magnitude * dx) / r, y: (magnitude * dy) / r };
+      },
+    };
+  },
+
+  /**
+   * Quadratic drag against the air (or any fluid moving at `flow`)
+   */
+  drag: (options = {}) => {
+    const {
+      density = CONSTANTS.airDensity,
+      coefficient = DEFAULTS.dragCoeff,
+      flow = { x: 0, y: 0 },
+    } = options;
+    return {
+      key: "drag",
+      label: "Drag",
+      colorKey: "drag",
+      computeFn: (body, _world, _position, velocity = body.state.velocity) =>
+        dragForce(body, velocity, read(density), read(coefficient), read(flow)),
+    };
+  },
+
+  /**
+   * Archimedes' push from a fluid filling everything below y = level
+   */
+  buoyancy: (options = {}) => {
+    const { level = 0, density = WATER_DENSITY, g = EARTH_G_SI } = options;
+    return {
+      key: "buoyancy",
+      label: "Buoyancy",
+      colorKey: "buoyancy",
+      computeFn: (body, _world, position = body.state.position) => {
+        const volume = submergedVolume(body, read(level), position);
+        if (volume <= 0) return null;
+        return { x: 0, y: read(density) * volume * read(g) };
+      },
+    };
+  },
+
+  /**
+   * Wind blowing inside zone {minX, minY, maxX, maxY}: with `velocity` it
+   * pushes through drag (depends on the body shape), with `force` it is a
+   * constant push
+   */
+  wind: (options = {}) => {
+    const {
+      zone = null,
+      velocity = null,
+      force = null,
+      density = CONSTANTS.airDensity,
+      coefficient = DEFAULTS.dragCoeff,
+    } = options;
+    return {
+      key: "wind",
+      label: "Wind",
+      colorKey: "wind",
+      computeFn: (
+        body,
+        _world,
+        position = body.state.position,
+        bodyVelocity = body.state.velocity
+      ) => {
+        const area = read(zone);
+        if (area && !insideZone(position, area)) return null;
+        if (force) return { ...read(force) };
+        if (!velocity) return null;
+        // Solo la differenza rispetto all'aria ferma: il drag normale resta
+        // compito del campo "drag"
+        const still = dragForce(
+          body,
+          bodyVelocity,
+          read(density),
+          read(coefficient)
+        );
+        const moving = dragForce(
+          body,
+          bodyVelocity,
+          read(density),
+          read(coefficient),
+          read(velocity)
+        );
+        return {
+          x: (moving?.x ?? 0) - (still?.x ?? 0),
+          y: (moving?.y ?? 0) - (still?.y ?? 0),
+        };
+      },
+    };
+  },
+
+  custom: (options = {}) => {
+    if (typeof options.computeFn !== "function") {
+      throw new Error('Force field "custom" must provide a computeFn()');
+    }
+    return { key: "custom", label: options.key ?? "Force", ...options };
+  },
+};
+
+/**
+ * Register a new field type
+ * @param {string} type - Name used in the specs
+ * @param {Function} factory - (options) => { key, label, computeFn }
+ */
+export function registerForceField(type, factory) {
+  if (typeof factory !== "function") {
+    throw new Error(`Force field "${type}" must be a factory function`);
+  }
+  FORCE_FIELDS[type] = factory;
+}
+
+/**
+ * Build a field from a spec: { type, key?, label?, color?, enabled?, ...options }
+ * `enabled` (value or function) turns the field off without removing it
+ */
+export function createForceField(spec) {
+  const { type, key, label, color, enabled = true, ...options } = spec;
+  const factory = FORCE_FIELDS[type];
+  if (!factory) throw new Error(`Unknown force field type "${type}"`);
+
+  const field = factory(options);
+  const computeFn = field.computeFn;
+  return {
+    ...field,
+    key: key ?? field.key,
+    label: label ?? field.label,
+    color: color ?? field.color,
+    computeFn: (body, world, ...state) =>
+      read(enabled) && !isStatic(body)
+        ? computeFn(body, world, ...state)
+        : null,
+  };
+}
+
+/**
+ * Build every field of a list of specs
+ */
+export function createForceFields(specs) {
+  return specs.map(createForceField);
+}
+
+/**
+ * Add the fields described by `specs` to a world
+ * @returns {{fields: object[], remove: Function}} remove() takes them all out
+ */
+export function addForceFields(world, specs) {
+  const fields = createForceFields(specs);
+  const removers = fields.map((field) => world.addForceField(field));
+  return { fields, remove: () => removers.forEach((remove) => remove()) };
+}
+
+// -----------------------------------------------------------------------------
+// Geometry
+// -----------------------------------------------------------------------------
+
+/**
+ * Area facing a flow along `direction` (m²). Circles are spheres; other
+ * shapes are prisms params.depth deep (default: size)
+ */
+export function crossSection(body, direction = { x: 1, y: 0 }) {
+  const { shape, size, depth, crossSection: area } = body.params;
+  if (area) return area;
+  if (shape === "circle") return Math.PI * (size / 2) ** 2;
+
+  // Larghezza della sagoma proiettata sulla perpendicolare al flusso
+  const length = Math.hypot(direction.x, direction.y) || 1;
+  const nx = -direction.y / length;
+  const ny = direction.x / length;
+  const projections = body
+    .getVertices({ x: 0, y: 0 })
+    .map((v) => v.x * nx + v.y * ny);
+  const width = Math.max(...projections) - Math.min(...projections);
+  return width * (depth ?? size);
+}
+
+/**
+ * Volume of the body below y = level (m³). Circles are spheres (spherical
+ * cap); other shapes are prisms params.depth deep (default: size)
+ */
+export function submergedVolume(body, level, position = body.state.position) {
+  const { shape, size, depth } = body.params;
+
+  if (shape === "circle") {
+    const r = size / 2;
+    const h = Math.min(Math.max(level - (position.y - r), 0), 2 * r);
+    return (Math.PI * h * h * (3 * r - h)) / 3;
+  }
+
+  const below = clipBelow(body.getVertices(position), level);
+  return polygonArea(below) * (depth ?? size);
+}
+
+/**
+ * Quadratic drag ½ρ·Cd·A·|v|·v against a fluid moving at `flow` (N),
+ * null when the body is (nearly) still in it
+ */
+export function dragForce(
+  body,
+  velocity,
+  density,
+  coefficient,
+  flow = { x: 0, y: 0 }
+) {
+  const vx = velocity.x - flow.x;
+  const vy = velocity.y - flow.y;
+  const speed = Math.hypot(vx, vy);
+  if (speed < 1e-3) return null;
+
+  const area = crossSection(body, { x: vx, y: vy });
+  const k = 0.5 * density * coefficient * area * speed;
+  return { x: -k * vx, y: -k * vy };
+}
+
+/**
+ * Part of a convex polygon with y <= level (Sutherland-Hodgman, one edge)
+ */
+function clipBelow(vertices, level) {
+  const result = [];
+  vertices.forEach((current, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    const currentIn = current.y <= level;
+    const nextIn = next.y <= level;
+
+    if (currentIn) result.push(current);
+    if (currentIn !== nextIn) {
+      const t = (level - current.y) / (next.y - current.y);
+      result.push({ x: current.x + t * (next.x - current.x), y: level });
+    }
+  });
+  return result;
+}
+
+function polygonArea(vertices) {
+  let twice = 0;
+  vertices.forEach((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    twice += a.x * b.y - b.x * a.y;
+  });
+  return Math.abs(twice) / 2;
+}
+
+function insideZone(point, zone) {
+  return (
+    point.x >= zone.minX &&
+    point.x <= zone.maxX &&
+    point.y >= zone.minY &&
+    point.y <= zone.maxY
+  );
+}
+
+function read(value) {
+  return typeof value === "function" ? value() : value;
+}
+
+export default FORCE_FIELDS;
@@ -26,6 +26,8 @@ export class ForceRenderer {
       tension: "#06b6d4", // cyan
       spring: "#ec4899", // pink
       drag: "#6366f1", // indigo
+      buoyancy: "#38bdf8", // sky blue
+      wind: "#94a3b8", // slate
       net: "#fbbf24", // yellow
       component: "#fca5a5", // light red (dashed)
       ...options.colors,
@@ -205,6 +207,25 @@ export class ForceRenderer {
     );
   }
 
+  /**
+   * Draw rope tension pulling along angleRad (0 = right, π/2 = up)
+   */
+  drawTension(p, x, y, magnitude, angleRad, options = {}) {
+    const fx = magnitude * Math.cos(angleRad);
+    const fy = -magnitude * Math.sin(angleRad);
+
+    this.drawVector(
+      p,
+      x,
+      y,
+      fx,
+      fy,
+      this.colors.tension,
+      options.label || "Tension",
+      options
+    );
+  }
+
   /**
    * Draw component vectors (dashed by default)
    */
@@ -287,6 +308,14 @@ export class ForceRenderer {
       );
     }
 
+    // Rope tension toward the pulley at the top of the incline
+    if (forces.tension > this.config.minMagnitude) {
+      this.drawTension(p, x, y, forces.tension, angleRad, {
+        label: "T",
+        ...options.tensionOptions,
+      });
+    }
+
     // Component vectors
     if (showComponents) {
       p.push();
@@ -320,6 +349,20 @@ export class ForceRenderer {
     }
   }
 
+  /**
+   * Free-body diagram of a mass hanging from a rope: weight down, tension up
+   * @param {object} hanging - { mass, weight, tension } (kg, N, N)
+   */
+  drawHangingMassForces(p, x, y, hanging, options = {}) {
+    this.drawVector(p, x, y, 0, hanging.weight, this.colors.weight, "m₂g", {
+      ...options.weightOptions,
+    });
+    this.drawTension(p, x, y, hanging.tension, Math.PI / 2, {
+      label: "T",
+      ...options.tensionOptions,
+    });
+  }
+
   /**
    * Draw net force vector
    */
@@ -336,6 +379,41 @@ export class ForceRenderer {
     );
   }
 
+  /**
+   * Draw the force of every field on a body, labeled with the field label
+   * @param {PhysicsBody} body - Body the forces act on
+   * @param {Array} fields - Force fields (see ForceFields.js)
+   * @param {PhysicsWorld} world - Passed to the fields' computeFn
+   * @returns {{x: number, y: number}} Sum of the drawn forces (N, Y-up)
+   */
+  drawFields(p, body, fields, world = null, options = {}) {
+    const { x, y } = body.toScreenPosition(options.alpha);
+    const total = { x: 0, y: 0 };
+
+    fields.forEach((field) => {
+      const force = field.computeFn(body, world);
+      if (!force) return;
+
+      total.x += force.x;
+      total.y += force.y;
+      const color =
+        field.color ?? this.colors[field.colorKey] ?? this.colors.applied;
+      // Fisica Y-up, schermo Y-down
+      this.drawVector(
+        p,
+        x,
+        y,
+        force.x,
+        -force.y,
+        color,
+        field.label ?? field.key,
+        options
+      );
+    });
+
+    return total;
+  }
+
   /**
    * Update configuration
    */
@@ -5,6 +5,7 @@
 
 import PhysicsBody from "./PhysicsBody.js";
 import { toPixels, toMeters } from "../constants/Utils.js";
+import { getIntegrator } from "./Integrators.js";
 
 export class InclinedPlaneBody extends PhysicsBody {
   constructor(p, params, initialPosAlongPlane = 0) {
@@ -23,18 +24,26 @@ export class InclinedPlaneBody extends PhysicsBody {
 
   /**
    * Physics step constrained to plane
+   * @param {number} dt - Time step (s)
+   * @param {number} netForceParallel - Net force along the incline (N)
+   * @param {string} integrator - Overrides params.integrator for this step
    */
-  stepAlongPlane(dt, netForceParallel) {
+  stepAlongPlane(dt, netForceParallel, integrator = this.params.integrator) {
     if (dt <= 0) return;
 
     // Calculate acceleration from net force
     this.planeState.accAlongPlane = netForceParallel / this.params.mass;
 
-    // Update velocity
-    this.planeState.velAlongPlane += this.planeState.accAlongPlane * dt;
-
-    // Update position along plane
-    this.planeState.posAlongPlane += this.planeState.velAlongPlane * dt;
+    // Update position and velocity along plane
+    const acc = this.planeState.accAlongPlane;
+    const next = getIntegrator(integrator).step(
+      [this.planeState.posAlongPlane],
+      [this.planeState.velAlongPlane],
+      () => [acc],
+      dt
+    );
+    this.planeState.posAlongPlane = next.x[0];
+    this.planeState.velAlongPlane = next.v[0];
 
     // Sync with base state for compatibility
     this.state.acceleration.set(this.planeState.accAlongPlane, 0);
@@ -72,21 +81,24 @@ export class InclinedPlaneBody extends PhysicsBody {
 
   /**
    * Constrain position to plane bounds
+   * @param {object} options - { maxPos: stop before the plane end (m),
+   *   restitution: overrides params.restitution }
    */
-  constrainToPlane(planeLength) {
+  constrainToPlane(planeLength, options = {}) {
     const size = this.params.size;
     const minPos = size / 2;
-    const maxPos = planeLength - size / 2;
+    const maxPos = Math.min(planeLength - size / 2, options.maxPos ?? Infinity);
+    const restitution = options.restitution ?? this.params.restitution;
 
     let constrained = false;
 
     if (this.planeState.posAlongPlane < minPos) {
       this.planeState.posAlongPlane = minPos;
-      this.planeState.velAlongPlane *= -this.params.restitution;
+      this.planeState.velAlongPlane *= -restitution;
       constrained = true;
     } else if (this.planeState.posAlongPlane > maxPos) {
       this.planeState.posAlongPlane = maxPos;
-      this.planeState.velAlongPlane *= -this.params.restitution;
+      this.planeState.velAlongPlane *= -restitution;
       constrained = true;
     }
 
@@ -214,6 +226,19 @@ export class InclinedPlaneBody extends PhysicsBody {
     return this.params.mass * gravity * height;
   }
 
+  /**
+   * Snapshot including the position along the incline
+   */
+  snapshot() {
+    return { ...super.snapshot(), planeState: { ...this.planeState } };
+  }
+
+  restore(snapshot) {
+    super.restore(snapshot);
+    this.planeState = { ...snapshot.planeState };
+    this.isMoving = Math.abs(this.planeState.velAlongPlane) > 0.001;
+  }
+
   /**
    * Reset to initial state
    */
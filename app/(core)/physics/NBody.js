@@ -0,0 +1,322 @@
+/**
+ * NBody - Bodies attracting each other with Newtonian gravity
+ * The whole system is integrated as one state vector [x₁, y₁, x₂, y₂, ...],
+ * so verlet/rk4 see the accelerations of every body at each sub-stage and
+ * keep orbits closed much longer than stepping the bodies one by one.
+ * Softening ε replaces r² with r² + ε²: close encounters stay finite.
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ */
+
+import { integrate } from "./Integrators.js";
+
+export class NBodySystem {
+  /**
+   * @param {p5} p - p5 instance, used to create vectors
+   * @param {object} options
+   * @param {number} options.G - Gravitational constant (N·m²/kg²)
+   * @param {number} options.softening - ε (m)
+   */
+  constructor(p, options = {}) {
+    this.p = p;
+    this.G = options.G ?? 1;
+    this.softening = options.softening ?? 0.05;
+    this.bodies = [];
+  }
+
+  addBody(body) {
+    this.bodies.push(body);
+    return body;
+  }
+
+  removeBody(body) {
+    this.bodies = this.bodies.filter((b) => b !== body);
+  }
+
+  /**
+   * Accelerations of every body for flat positions [x₁, y₁, x₂, y₂, ...]
+   */
+  accelerations(positions) {
+    const n = this.bodies.length;
+    const acc = new Array(2 * n).fill(0);
+    const eps2 = this.softening * this.softening;
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = positions[2 * j] - positions[2 * i];
+        const dy = positions[2 * j + 1] - positions[2 * i + 1];
+        const r2 = dx * dx + dy * dy + eps2;
+        if (r2 === 0) continue;
+        const inv = this.G / (r2 * Math.sqrt(r2));
+
+        // Azione e reazione: una sola distanza per coppia
+        const mi = this.bodies[i].params.mass;
+        const mj = this.bodies[j].params.mass;
+        acc[2 * i] += inv * mj * dx;
+        acc[2 * i + 1] += inv * mj * dy;
+        acc[2 * j] -= inv * mi * dx;
+        acc[2 * j + 1] -= inv * mi * dy;
+      }
+    }
+    return acc;
+  }
+
+  /**
+   * Advance every body by dt
+   * @param {string} integrator - Integrator name (see Integrators.js)
+   * @param {number} substeps - Smaller steps per dt, for close passages
+   */
+  step(dt, integrator = "verlet", substeps = 1) {
+    if (dt <= 0 || this.bodies.length === 0) return;
+
+    let x = this.bodies.flatMap(({ state }) => [
+      state.position.x,
+      state.position.y,
+    ]);
+    let v = this.bodies.flatMap(({ state }) => [
+      state.velocity.x,
+      state.velocity.y,
+    ]);
+    const h = dt / substeps;
+    for (let s = 0; s < substeps; s++) {
+      ({ x, v } = integrate(
+        integrator,
+        x,
+        v,
+        (pos) => this.accelerations(pos),
+        h
+      ));
+    }
+
+    this.bodies.forEach((body, i) => {
+      const { position, velocity } = body.state;
+      const from = position.copy();
+      position.set(x[2 * i], x[2 * i + 1]);
+      velocity.set(v[2 * i], v[2 * i + 1]);
+      body.interpolation = { from, to: position.copy() };
+      body.isMoving = velocity.mag() > 0.001;
+      body.bounds = body.computeBounds();
+      if (body.trail.enabled) body.updateTrail();
+    });
+  }
+
+  /**
+   * Gravitational force on one body from all the others (N)
+   */
+  getForceOn(body) {
+    const i = this.bodies.indexOf(body);
+    if (i < 0) return this.p.createVector(0, 0);
+
+    const positions = this.bodies.flatMap(({ state }) => [
+      state.position.x,
+      state.position.y,
+    ]);
+    const acc = this.accelerations(positions);
+    return this.p
+      .createVector(acc[2 * i], acc[2 * i + 1])
+      .mult(body.params.mass);
+  }
+
+  /**
+   * Force field for ForceRenderer.drawFields() (the system moves the bodies
+   * itself, don't add it to a PhysicsWorld that steps them too)
+   */
+  asForceField(key = "gravitation") {
+    return {
+      key,
+      label: "Gravity",
+      colorKey: "weight",
+      computeFn: (body) =>
+        this.bodies.includes(body) ? this.getForceOn(body) : null,
+    };
+  }
+
+  getTotalMass() {
+    return this.bodies.reduce((sum, body) => sum + body.params.mass, 0);
+  }
+
+  getCenterOfMass() {
+    const total = this.getTotalMass() || 1;
+    return this.bodies.reduce(
+      (com, { params, state }) => ({
+        x: com.x + (params.mass * state.position.x) / total,
+        y: com.y + (params.mass * state.position.y) / total,
+      }),
+      { x: 0, y: 0 }
+    );
+  }
+
+  getMomentum() {
+    return this.bodies.reduce(
+      (sum, { params, state }) => ({
+        x: sum.x + params.mass * state.velocity.x,
+        y: sum.y + params.mass * state.velocity.y,
+      }),
+      { x: 0, y: 0 }
+    );
+  }
+
+  /**
+   * Total angular momentum about the center of mass, Lz = Σ m (r × v) (kg·m²/s)
+   * Conserved: gravity between two bodies acts along the line joining them
+   */
+  getAngularMomentum() {
+    const com = this.getCenterOfMass();
+    return this.bodies.reduce((sum, { params, state }) => {
+      const rx = state.position.x - com.x;
+      const ry = state.position.y - com.y;
+      return (
+        sum + params.mass * (rx * state.velocity.y - ry * state.velocity.x)
+      );
+    }, 0);
+  }
+
+  getKineticEnergy() {
+    return this.bodies.reduce(
+      (sum, { params, state }) =>
+        sum + 0.5 * params.mass * state.velocity.magSq(),
+      0
+    );
+  }
+
+  /**
+   * Softened potential energy -G mᵢ mⱼ / √(r² + ε²) of every pair (J)
+   */
+  getPotentialEnergy() {
+    const eps2 = this.softening * this.softening;
+    let energy = 0;
+    this.bodies.forEach((a, i) => {
+      for (let j = i + 1; j < this.bodies.length; j++) {
+        const b = this.bodies[j];
+        const dx = b.state.position.x - a.state.position.x;
+        const dy = b.state.position.y - a.state.position.y;
+        energy -=
+          (this.G * a.params.mass * b.params.mass) /
+          Math.sqrt(dx * dx + dy * dy + eps2);
+      }
+    });
+    return energy;
+  }
+
+  getTotalEnergy() {
+    return this.getKineticEnergy() + this.getPotentialEnergy();
+  }
+
+  /**
+   * The body pulling hardest on `body` (its "primary" for orbit estimates)
+   */
+  getPrimary(body) {
+    let best = null;
+    let strongest = 0;
+    this.bodies.forEach((other) => {
+      if (other === body) return;
+      const r2 =
+        (other.state.position.x - body.state.position.x) ** 2 +
+        (other.state.position.y - body.state.position.y) ** 2;
+      const pull = other.params.mass / (r2 + this.softening ** 2);
+      if (pull > strongest) {
+        strongest = pull;
+        best = other;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Orbit pairs: every body with its primary, mutual pairs listed once
+   * (lightest body first, so the Moon orbits the Earth and not vice versa)
+   * @returns {Array<{body, primary, elements}>}
+   */
+  getOrbits() {
+    const orbits = [];
+    const byMass = [...this.bodies].sort(
+      (a, b) => a.params.mass - b.params.mass
+    );
+    byMass.forEach((body) => {
+      const primary = this.getPrimary(body);
+      if (!primary) return;
+      const listed = orbits.some(
+        (orbit) => orbit.body === primary && orbit.primary === body
+      );
+      if (listed) return;
+      orbits.push({
+        body,
+        primary,
+        elements: orbitalElements(primary, body, this.G),
+      });
+    });
+    return orbits;
+  }
+
+  snapshot() {
+    return this.bodies.map((body) => body.snapshot());
+  }
+
+  restore(snapshots) {
+    snapshots.forEach((snapshot, i) => this.bodies[i]?.restore(snapshot));
+  }
+}
+
+/**
+ * Two-body (Keplerian) elements of `body` orbiting `primary`, from their
+ * current relative position and velocity
+ * @returns {{mu, energy, h, e, omega, a, p, period, bound}}
+ *   mu = G(M + m), energy per unit reduced mass, h = r × v, e = eccentricity,
+ *   omega = direction of the periapsis (rad), a = semi-major axis (m),
+ *   p = semi-latus rectum (m), period (s, Infinity if not bound)
+ */
+export function orbitalElements(primary, body, G) {
+  const mu = G * (primary.params.mass + body.params.mass);
+  const rx = body.state.position.x - primary.state.position.x;
+  const ry = body.state.position.y - primary.state.position.y;
+  const vx = body.state.velocity.x - primary.state.velocity.x;
+  const vy = body.state.velocity.y - primary.state.velocity.y;
+  const r = Math.hypot(rx, ry);
+  const v2 = vx * vx + vy * vy;
+
+  const energy = v2 / 2 - mu / r;
+  const h = rx * vy - ry * vx;
+
+  // Vettore di Laplace-Runge-Lenz / μ: punta al periastro
+  const rv = rx * vx + ry * vy;
+  const ex = ((v2 - mu / r) * rx - rv * vx) / mu;
+  const ey = ((v2 - mu / r) * ry - rv * vy) / mu;
+  const e = Math.hypot(ex, ey);
+
+  const bound = energy < 0;
+  const a = Math.abs(energy) > 1e-12 ? -mu / (2 * energy) : Infinity;
+  return {
+    mu,
+    energy,
+    h,
+    e,
+    omega: Math.atan2(ey, ex),
+    a,
+    p: (h * h) / mu,
+    period: bound ? 2 * Math.PI * Math.sqrt(a ** 3 / mu) : Infinity,
+    bound,
+  };
+}
+
+/**
+ * Points of the conic r(θ) = p / (1 + e cos(θ - ω)) relative to the primary
+ * Open orbits stop before the asymptotes or at maxRadius
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function conicPoints(elements, steps = 180, maxRadius = 50) {
+  const { p, e, omega, h } = elements;
+  if (p <= 0) return []; // caduta radiale: nessuna conica
+
+  const span = e < 1 ? Math.PI : Math.acos(-1 / e) - 1e-3;
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    // Verso di percorrenza dato dal segno di h
+    const nu = -span + (2 * span * i) / steps;
+    const r = p / (1 + e * Math.cos(nu));
+    if (r < 0 || r > maxRadius) continue;
+    const theta = omega + Math.sign(h || 1) * nu;
+    points.push({ x: r * Math.cos(theta), y: r * Math.sin(theta) });
+  }
+  return points;
+}
+
+export default NBodySystem;
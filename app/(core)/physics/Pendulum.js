@@ -0,0 +1,98 @@
+/**
+ * Pendulum - Period of a simple pendulum beyond the small-angle limit
+ * Small-angle period T₀ = 2π√(L/g), exact period from the complete elliptic
+ * integral of the first kind (via the arithmetic-geometric mean), and a
+ * meter that measures period and amplitude of a running simulation.
+ * Angles in radians, measured from the downward vertical.
+ */
+
+/**
+ * Small-angle (harmonic) period T₀ = 2π√(L/g) (s)
+ */
+export function smallAnglePeriod(length, gravity) {
+  if (length <= 0 || gravity <= 0) return Infinity;
+  return 2 * Math.PI * Math.sqrt(length / gravity);
+}
+
+/**
+ * Arithmetic-geometric mean of a and b
+ */
+function agm(a, b) {
+  while (Math.abs(a - b) > 1e-15 * a) {
+    [a, b] = [(a + b) / 2, Math.sqrt(a * b)];
+  }
+  return a;
+}
+
+/**
+ * Exact period for swings of amplitude θ₀ (s):
+ * T = 4√(L/g)·K(sin(θ₀/2)) = T₀ / AGM(1, cos(θ₀/2)).
+ * Infinite at θ₀ = π (the pendulum balances upside down).
+ */
+export function exactPeriod(length, gravity, amplitude) {
+  const theta0 = Math.abs(amplitude);
+  if (theta0 >= Math.PI) return Infinity;
+  return smallAnglePeriod(length, gravity) / agm(1, Math.cos(theta0 / 2));
+}
+
+/**
+ * Amplitude reached with the current energy (undamped, undriven):
+ * cos θ₀ = cos θ − Lω²/(2g). Null when the pendulum goes over the top.
+ */
+export function amplitudeFromEnergy(angle, angularVel, length, gravity) {
+  const cosAmplitude =
+    Math.cos(angle) - (length * angularVel * angularVel) / (2 * gravity);
+  return cosAmplitude <= -1 ? null : Math.acos(Math.min(1, cosAmplitude));
+}
+
+/**
+ * Measures period and amplitude from the upward zero crossings of θ(t)
+ * (linear interpolation between samples). A full revolution counts as one
+ * period, the ±π wrap of the angle is not a crossing.
+ */
+export class PeriodMeter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.last = null; // { time, angle } of the previous sample
+    this.lastCrossing = null; // time of the previous upward crossing
+    this.peak = 0; // max |θ| since the previous crossing
+    this.period = null; // last measured period (s)
+    this.amplitude = null; // max |θ| over that period (rad)
+  }
+
+  /**
+   * Feed one sample; returns true when a new period was measured
+   */
+  update(time, angle) {
+    let measured = false;
+    this.peak = Math.max(this.peak, Math.abs(angle));
+
+    const last = this.last;
+    if (last && last.angle < 0 && angle >= 0 && angle - last.angle < Math.PI) {
+      const crossing =
+        last.time + ((time - last.time) * -last.angle) / (angle - last.angle);
+      if (this.lastCrossing !== null) {
+        this.period = crossing - this.lastCrossing;
+        this.amplitude = this.peak;
+        measured = true;
+      }
+      this.lastCrossing = crossing;
+      this.peak = Math.abs(angle);
+    }
+
+    this.last = { time, angle };
+    return measured;
+  }
+}
+
+const Pendulum = {
+  smallAnglePeriod,
+  exactPeriod,
+  amplitudeFromEnergy,
+  PeriodMeter,
+};
+
+export default Pendulum;
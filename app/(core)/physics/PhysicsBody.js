@@ -4,7 +4,9 @@
  * Converts to screen coordinates (Y-down) only during rendering
  */
 
-import { physicsToScreen, toPixels } from "../constants/Utils.js";
+import { physicsToScreen, toMeters, toPixels } from "../constants/Utils.js";
+import { DEFAULTS } from "../constants/Config.js";
+import { getIntegrator } from "./Integrators.js";
 
 export class PhysicsBody {
   constructor(p, params = {}) {
@@ -15,8 +17,11 @@ export class PhysicsBody {
       mass: params.mass || 1,
       size: params.size || 1,
       color: params.color || "#3b82f6",
-      shape: params.shape || "circle", // circle, square, polygon
+      shape: params.shape || "circle", // circle, square, rect, polygon
+      // rect: width/height (m, default size); polygon: convex vertices {x, y}
+      // relative to the center, or a regular polygon of `sides` inscribed in size
       restitution: params.restitution || 1, // bounciness (0-1)
+      integrator: params.integrator || DEFAULTS.integrator, // euler, semi-implicit, verlet, rk4
       ...params,
     };
 
@@ -30,6 +35,13 @@ export class PhysicsBody {
       angularAcceleration: params.angularAcceleration || 0, // rad/s²
     };
 
+    // Optional state-dependent force: (position, velocity, body) => force
+    // Evaluated by the integrator at every sub-stage (needed by verlet/rk4)
+    this.forceModel = params.forceModel || null;
+
+    // Positions before/after the last step(), for interpolated rendering
+    this.interpolation = null;
+
     // Derived state
     this.isMoving = false;
     this.isHovered = false;
@@ -66,19 +78,126 @@ export class PhysicsBody {
   }
 
   /**
-   * Update physics - standard Euler integration
+   * Apply a torque (N·m, positive = counter-clockwise): α = τ / I
+   */
+  applyTorque(torque) {
+    const inertia = this.getInertia();
+    if (inertia > 0 && Number.isFinite(inertia)) {
+      this.state.angularAcceleration += torque / inertia;
+    }
+  }
+
+  /**
+   * Apply a force at a point of the body (physics coords): it pushes the
+   * center of mass and adds the torque τ = r × F
+   * @param {p5.Vector} force - Force in N
+   * @param {object} point - Application point {x, y} in meters
+   */
+  applyForceAtPoint(force, point) {
+    this.applyForce(force);
+
+    const rx = point.x - this.state.position.x;
+    const ry = point.y - this.state.position.y;
+    this.applyTorque(rx * force.y - ry * force.x);
+  }
+
+  /**
+   * Apply an impulse at a point of the body: changes both the velocity and
+   * the angular velocity (Δω = (r × J) / I)
+   */
+  applyImpulseAtPoint(impulse, point) {
+    this.applyImpulse(impulse);
+
+    const inertia = this.getInertia();
+    if (!(inertia > 0) || !Number.isFinite(inertia)) return;
+    const rx = point.x - this.state.position.x;
+    const ry = point.y - this.state.position.y;
+    this.state.angularVelocity += (rx * impulse.y - ry * impulse.x) / inertia;
+  }
+
+  /**
+   * Velocity of a point of the body: v + ω × r
+   */
+  getPointVelocity(point) {
+    const { position, velocity, angularVelocity } = this.state;
+    return this.p.createVector(
+      velocity.x - angularVelocity * (point.y - position.y),
+      velocity.y + angularVelocity * (point.x - position.x)
+    );
+  }
+
+  /**
+   * Select the numerical integrator used by step()
+   * @param {string} name - "euler", "semi-implicit", "verlet" or "rk4"
+   */
+  setIntegrator(name) {
+    this.params.integrator = name;
+  }
+
+  /**
+   * Set a state-dependent force model (springs, drag...)
+   * @param {Function|null} fn - (position, velocity, body) => force {x, y}
+   */
+  setForceModel(fn) {
+    this.forceModel = fn;
+  }
+
+  /**
+   * Acceleration at an arbitrary (position, velocity) state.
+   * Forces accumulated with applyForce() are held constant over the step,
+   * the force model is re-evaluated at every call.
+   */
+  accelerationAt(position, velocity, constantAcc = this.state.acceleration) {
+    if (!this.forceModel) return [constantAcc.x, constantAcc.y];
+
+    const force = this.forceModel(
+      this.p.createVector(position[0], position[1]),
+      this.p.createVector(velocity[0], velocity[1]),
+      this
+    );
+    return [
+      constantAcc.x + force.x / this.params.mass,
+      constantAcc.y + force.y / this.params.mass,
+    ];
+  }
+
+  /**
+   * Update physics with the selected integrator
    * ALL CALCULATIONS IN PHYSICS COORDS (Y-UP)
+   * @param {number} dt - Time step (s)
+   * @param {string} integrator - Overrides params.integrator for this step
    */
-  step(dt) {
+  step(dt, integrator = this.params.integrator) {
     if (dt <= 0) return;
 
+    const { position, velocity } = this.state;
+    const constantAcc = this.state.acceleration.copy();
+
     // Linear motion
-    this.state.velocity.add(
-      this.p.constructor.Vector.mult(this.state.acceleration, dt)
-    );
-    this.state.position.add(
-      this.p.constructor.Vector.mult(this.state.velocity, dt)
+    const next = getIntegrator(integrator).step(
+      [position.x, position.y],
+      [velocity.x, velocity.y],
+      (x, v) => this.accelerationAt(x, v, constantAcc),
+      dt
     );
+    this.advanceTo(next.x, next.v, dt);
+  }
+
+  /**
+   * Move to the result of an integration step and update everything that
+   * follows from it (rotation, interpolation, trail). step() calls it;
+   * PhysicsWorld calls it directly when it integrates bodies together.
+   * @param {number[]} x - New position [x, y] (m)
+   * @param {number[]} v - New velocity [vx, vy] (m/s)
+   * @param {number} dt - Time step (s)
+   */
+  advanceTo(x, v, dt) {
+    const { position, velocity } = this.state;
+    const previousPosition = position.copy();
+
+    position.set(x[0], x[1]);
+    velocity.set(v[0], v[1]);
+    this.interpolation = { from: previousPosition, to: position.copy() };
 
     // Rotational motion
     this.state.angularVelocity += this.state.angularAcceleration * dt;
@@ -99,7 +218,8 @@ export class PhysicsBody {
   }
 
   /**
-   * Update physics - Verlet integration (more stable for constraints)
+   * Update physics - position Verlet integration
+   * @deprecated Use step(dt, "verlet") instead, it tracks the state itself
    */
   stepVerlet(dt, previousPosition) {
     if (dt <= 0) return;
@@ -132,12 +252,23 @@ export class PhysicsBody {
   }
 
   /**
-   * Compute kinetic energy: KE = 0.5 * m * v²
+   * Compute kinetic energy: KE = 0.5 * m * v² + 0.5 * I * ω²
    */
   getKineticEnergy() {
+    return this.getTranslationalEnergy() + this.getRotationalEnergy();
+  }
+
+  getTranslationalEnergy() {
     return 0.5 * this.params.mass * this.state.velocity.magSq();
   }
 
+  getRotationalEnergy() {
+    const { angularVelocity } = this.state;
+    // Rotazione bloccata (I = Infinity): ω è sempre 0, niente NaN
+    if (!angularVelocity) return 0;
+    return 0.5 * this.getInertia() * angularVelocity ** 2;
+  }
+
   /**
    * Compute potential energy: PE = m * g * h
    * @param {number} gravity - Gravity magnitude (positive)
@@ -158,8 +289,81 @@ export class PhysicsBody {
     return Vector.mult(this.state.velocity, this.params.mass);
   }
 
+  /**
+   * Angular momentum about the center of mass: L = I * ω
+   */
+  getAngularMomentum() {
+    const { angularVelocity } = this.state;
+    return angularVelocity ? this.getInertia() * angularVelocity : 0;
+  }
+
+  /**
+   * Vertices of the shape around its center, counter-clockwise, unrotated
+   * (meters, Y-up). Empty for circles.
+   */
+  getLocalVertices() {
+    const { shape, size, width, height, vertices, sides } = this.params;
+
+    if (shape === "circle") return [];
+
+    if (shape === "polygon") {
+      if (vertices?.length >= 3) return toCounterClockwise(vertices);
+
+      const n = Math.max(3, Math.round(sides || 6));
+      return Array.from({ length: n }, (_, i) => {
+        const angle = Math.PI / 2 + (i * 2 * Math.PI) / n; // vertice in alto
+        return {
+          x: (size / 2) * Math.cos(angle),
+          y: (size / 2) * Math.sin(angle),
+        };
+      });
+    }
+
+    // Rectangle/square
+    const w = (shape === "rect" && width) || size;
+    const h = (shape === "rect" && height) || size;
+    return [
+      { x: -w / 2, y: -h / 2 },
+      { x: w / 2, y: -h / 2 },
+      { x: w / 2, y: h / 2 },
+      { x: -w / 2, y: h / 2 },
+    ];
+  }
+
+  /**
+   * Vertices in world coordinates: rotated by state.rotation (counter-clockwise)
+   * and moved to the position
+   * @param {object} position - Defaults to the current position
+   */
+  getVertices(position = this.state.position) {
+    const cos = Math.cos(this.state.rotation);
+    const sin = Math.sin(this.state.rotation);
+
+    return this.getLocalVertices().map(({ x, y }) => ({
+      x: position.x + x * cos - y * sin,
+      y: position.y + x * sin + y * cos,
+    }));
+  }
+
+  /**
+   * Moment of inertia about the center (kg·m²), from the shape and the mass.
+   * In 2D the inertia tensor reduces to this single value (axis out of the
+   * screen). params.inertia overrides it, Infinity locks the rotation.
+   */
+  getInertia() {
+    const { mass, size, inertia } = this.params;
+    if (inertia !== undefined) return inertia;
+
+    // Disco pieno: I = ½ m r²
+    if (this.params.shape === "circle") return 0.5 * mass * (size / 2) ** 2;
+
+    return polygonInertia(mass, this.getLocalVertices());
+  }
+
   /**
    * Compute bounds for collision detection (in physics coords)
+   * circle: { center, radius }
+   * rect / polygon: { vertices, min, max }, min/max are the bounding box
    */
   computeBounds() {
     const pos = this.state.position;
@@ -171,14 +375,17 @@ export class PhysicsBody {
         center: pos.copy(),
         radius: size / 2,
       };
-    } else {
-      // Rectangle/square
-      return {
-        type: "rect",
-        min: this.p.createVector(pos.x - size / 2, pos.y - size / 2),
-        max: this.p.createVector(pos.x + size / 2, pos.y + size / 2),
-      };
     }
+
+    const vertices = this.getVertices();
+    const xs = vertices.map((v) => v.x);
+    const ys = vertices.map((v) => v.y);
+    return {
+      type: this.params.shape === "polygon" ? "polygon" : "rect",
+      vertices,
+      min: this.p.createVector(Math.min(...xs), Math.min(...ys)),
+      max: this.p.createVector(Math.max(...xs), Math.max(...ys)),
+    };
   }
 
   /**
@@ -189,14 +396,8 @@ export class PhysicsBody {
 
     if (this.bounds.type === "circle") {
       return Vector.dist(point, this.bounds.center) <= this.bounds.radius;
-    } else {
-      return (
-        point.x >= this.bounds.min.x &&
-        point.x <= this.bounds.max.x &&
-        point.y >= this.bounds.min.y &&
-        point.y <= this.bounds.max.y
-      );
     }
+    return insideConvex(point, this.bounds.vertices);
   }
 
   /**
@@ -211,11 +412,12 @@ export class PhysicsBody {
       this.isHovered =
         p.dist(screenPos.x, screenPos.y, mousePx.x, mousePx.y) <= sizePx / 2;
     } else {
-      this.isHovered =
-        mousePx.x >= screenPos.x - sizePx / 2 &&
-        mousePx.x <= screenPos.x + sizePx / 2 &&
-        mousePx.y >= screenPos.y - sizePx / 2 &&
-        mousePx.y <= screenPos.y + sizePx / 2;
+      // Mouse relative to the drawn center, in meters (Y-up)
+      const offset = {
+        x: toMeters(mousePx.x - screenPos.x),
+        y: -toMeters(mousePx.y - screenPos.y),
+      };
+      this.isHovered = insideConvex(offset, this.getVertices({ x: 0, y: 0 }));
     }
 
     return this.isHovered;
@@ -270,12 +472,32 @@ export class PhysicsBody {
     this.trail.points = [];
   }
 
+  /**
+   * Position blended between the last two physics steps
+   * @param {number} alpha - Interpolation factor from the fixed-step scheduler (0-1)
+   */
+  getInterpolatedPosition(alpha = 1) {
+    const { position } = this.state;
+
+    // Moved outside step() (drag, constraint, reset): nothing to blend
+    if (!this.interpolation || !position.equals(this.interpolation.to)) {
+      return position.copy();
+    }
+
+    return this.interpolation.from.copy().lerp(this.interpolation.to, alpha);
+  }
+
   /**
    * Convert physics position to screen coordinates
    * This is where Y-up becomes Y-down for rendering
+   * @param {number} alpha - Optional interpolation factor (see getInterpolatedPosition)
    */
-  toScreenPosition() {
-    return physicsToScreen(this.state.position, this.p);
+  toScreenPosition(alpha) {
+    const position =
+      alpha === undefined
+        ? this.state.position
+        : this.getInterpolatedPosition(alpha);
+    return physicsToScreen(position, this.p);
   }
 
   /**
@@ -283,12 +505,13 @@ export class PhysicsBody {
    * Converts from physics coords to screen coords for rendering
    */
   draw(p, options = {}) {
-    const screenPos = this.toScreenPosition();
+    const screenPos = this.toScreenPosition(options.alpha);
     const sizePx = toPixels(this.params.size);
 
     p.push();
     p.translate(screenPos.x, screenPos.y);
-    p.rotate(this.state.rotation);
+    // Rotation is counter-clockwise in Y-up, clockwise on screen (Y-down)
+    p.rotate(-this.state.rotation);
 
     // Hover effect
     if (this.isHovered && options.hoverEffect !== false) {
@@ -303,8 +526,11 @@ export class PhysicsBody {
     if (this.params.shape === "circle") {
       p.circle(0, 0, sizePx);
     } else {
-      p.rectMode(p.CENTER);
-      p.rect(0, 0, sizePx, sizePx);
+      p.beginShape();
+      this.getLocalVertices().forEach(({ x, y }) =>
+        p.vertex(toPixels(x), -toPixels(y))
+      );
+      p.endShape(p.CLOSE);
     }
 
     p.drawingContext.shadowBlur = 0;
@@ -349,6 +575,36 @@ export class PhysicsBody {
     this.bounds = this.computeBounds();
   }
 
+  /**
+   * Copy of the dynamic state, stored by the timeline history
+   */
+  snapshot() {
+    const { position, velocity, acceleration } = this.state;
+    return {
+      ...this.state,
+      position: position.copy(),
+      velocity: velocity.copy(),
+      acceleration: acceleration.copy(),
+    };
+  }
+
+  /**
+   * Restore a state produced by snapshot()
+   */
+  restore(snapshot) {
+    // Plain { x, y } vectors are accepted too (snapshots decoded from a share link)
+    const toVector = ({ x, y }) => this.p.createVector(x, y);
+    this.state = {
+      ...snapshot,
+      position: toVector(snapshot.position),
+      velocity: toVector(snapshot.velocity),
+      acceleration: toVector(snapshot.acceleration),
+    };
+    this.isMoving = this.state.velocity.mag() > 0.001;
+    this.interpolation = null;
+    this.bounds = this.computeBounds();
+  }
+
   /**
    * Reset to initial state
    */
@@ -362,9 +618,50 @@ export class PhysicsBody {
       angularAcceleration: initialState.angularAcceleration || 0,
     };
     this.isMoving = false;
+    this.interpolation = null;
     this.clearTrail();
     this.bounds = this.computeBounds();
   }
 }
 
+/**
+ * Same vertices in counter-clockwise order (positive signed area)
+ */
+function toCounterClockwise(vertices) {
+  let area = 0;
+  vertices.forEach((v, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    area += v.x * next.y - next.x * v.y;
+  });
+  return area < 0 ? [...vertices].reverse() : vertices;
+}
+
+/**
+ * Moment of inertia of a uniform convex polygon about the origin
+ * I = m/6 · Σ cross_i (p_i·p_i + p_i·p_i+1 + p_i+1·p_i+1) / Σ cross_i
+ */
+function polygonInertia(mass, vertices) {
+  let numerator = 0;
+  let denominator = 0;
+  vertices.forEach((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    const cross = Math.abs(a.x * b.y - b.x * a.y);
+    numerator +=
+      cross *
+      (a.x * a.x + a.y * a.y + a.x * b.x + a.y * b.y + b.x * b.x + b.y * b.y);
+    denominator += cross;
+  });
+  return denominator > 0 ? (mass / 6) * (numerator / denominator) : 0;
+}
+
+/**
+ * Point inside a convex counter-clockwise polygon (edges included)
+ */
+function insideConvex(point, vertices) {
+  return vertices.every((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    return (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x) >= 0;
+  });
+}
+
 export default PhysicsBody;
@@ -0,0 +1,443 @@
+/**
+ * PhysicsWorld - Container that owns the bodies of a simulation
+ * Holds bodies, global force fields, constraints and boundaries, steps them
+ * together and reports what happened through events.
+ * Uses the same Y-UP meters as PhysicsBody.
+ *
+ * Events (world.on(name, listener)):
+ *   "collision" { a, b, normal, impulse,   two bodies touched (impulses in N·s)
+ *                 friction, contact, penetration }
+ *   "boundary"  { body, side }             body hit "left" | "right" | "bottom" | "top"
+ *   "rest"      { body }                   body stopped moving
+ *   "wake"      { body }                   a resting body moved again
+ */
+
+import { collide, isStatic } from "./Collisions.js";
+import { SpatialHash, findPairs } from "./BroadPhase.js";
+import { integrate } from "./Integrators.js";
+
+const SNAPSHOT_STRIDE = 6; // numbers per body in snapshot()
+
+export class PhysicsWorld {
+  /**
+   * @param {p5} p - p5 instance, used to create vectors
+   * @param {object} options
+   * @param {number} options.gravity - Downward acceleration (m/s², positive)
+   * @param {string|null} options.integrator - Overrides the integrator of every body
+   * @param {object|null} options.bounds - { minX, maxX, minY, maxY } in meters
+   * @param {boolean} options.collisions - Resolve body-body collisions
+   * @param {number} options.restSpeed - Below this speed (m/s) a body may be at rest
+   * @param {number} options.restTime - Seconds below restSpeed before "rest" fires
+   * @param {object} options.collisionCorrection - { percent, slop } of Collisions.js
+   * @param {string} options.broadPhase - "grid" (spatial hash) or "none" (all pairs)
+   * @param {number|null} options.cellSize - Grid cell side (m), null = automatic
+   */
+  constructor(p, options = {}) {
+    this.p = p;
+
+    this.config = {
+      gravity: 0,
+      integrator: null,
+      bounds: null,
+      collisions: true,
+      restSpeed: 0.01,
+      restTime: 0.25,
+      constraintIterations: 1,
+      collisionCorrection: {}, // { percent, slop }, see COLLISION_DEFAULTS
+      broadPhase: "grid",
+      cellSize: null,
+      ...options,
+    };
+
+    this.bodies = [];
+    this.forceFields = [];
+    this.constraints = [];
+
+    this.listeners = new Map();
+    this.restTimers = new Map(); // body -> seconds spent below restSpeed
+    this.resting = new Set();
+
+    this.grid = new SpatialHash(this.config.cellSize);
+    // Collision step of the last step(): pairs sent to the narrow phase,
+    // pairs actually touching and time spent (ms)
+    this.stats = { pairs: 0, contacts: 0, collisionTime: 0 };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Contents
+  // ---------------------------------------------------------------------------
+
+  addBody(body) {
+    this.bodies.push(body);
+    return body;
+  }
+
+  removeBody(body) {
+    this.bodies = this.bodies.filter((b) => b !== body);
+    this.restTimers.delete(body);
+    this.resting.delete(body);
+  }
+
+  /**
+   * Remove every body (force fields and constraints are kept)
+   */
+  clearBodies() {
+    this.bodies = [];
+    this.restTimers.clear();
+    this.resting.clear();
+  }
+
+  /**
+   * Add a force acting on every body, like the FORCES entries of the configs
+   * @param {object} field
+   * @param {string} field.key - Name (e.g. "gravity", "drag")
+   * @param {Function} field.computeFn - (body, world, position, velocity) =>
+   *   force {x, y} in N, or null. position/velocity are the state at the
+   *   current integrator stage: read them instead of body.state
+   * @returns {Function} Removes the field
+   */
+  addForceField(field) {
+    this.forceFields.push(field);
+    return () => {
+      this.forceFields = this.forceFields.filter((f) => f !== field);
+    };
+  }
+
+  /**
+   * Add a constraint solved after every integration step
+   * @param {object} constraint - Anything with solve(dt, world)
+   * @returns {Function} Removes the constraint
+   */
+  addConstraint(constraint) {
+    this.constraints.push(constraint);
+    return () => {
+      this.constraints = this.constraints.filter((c) => c !== constraint);
+    };
+  }
+
+  /**
+   * Walls of the world, null for none
+   * @param {object|null} bounds - { minX, maxX, minY, maxY } in meters
+   */
+  setBounds(bounds) {
+    this.config.bounds = bounds;
+  }
+
+  setGravity(gravity) {
+    this.config.gravity = gravity;
+  }
+
+  setIntegrator(name) {
+    this.config.integrator = name;
+  }
+
+  /**
+   * @param {string} method - "grid" or "none"
+   */
+  setBroadPhase(method) {
+    this.config.broadPhase = method;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string} event - "collision", "boundary", "rest" or "wake"
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach((listener) => listener(payload));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Simulation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Advance the whole world by dt
+   * Order: integration (forces at every stage) -> constraints -> boundaries -> collisions -> rest
+   * @param {number} dt - Time step (s), normally the fixed step of the scheduler
+   */
+  step(dt) {
+    if (dt <= 0) return;
+
+    // Static bodies never move. Bodies sharing an integrator advance as one
+    // system, and nobody moves until every group is integrated.
+    const groups = new Map();
+    this.bodies
+      .filter((body) => !isStatic(body))
+      .forEach((body) => {
+        const name = this.config.integrator ?? body.params.integrator;
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(body);
+      });
+    const results = [...groups].flatMap(([name, bodies]) =>
+      this.integrate(bodies, name, dt)
+    );
+    results.forEach(({ body, x, v }) => body.advanceTo(x, v, dt));
+
+    for (let i = 0; i < this.config.constraintIterations; i++) {
+      this.constraints.forEach((constraint) => constraint.solve(dt, this));
+    }
+
+    if (this.config.bounds) {
+      this.bodies.forEach((body) => this.constrainBody(body));
+    }
+
+    if (this.config.collisions) {
+      this.resolveCollisions();
+    }
+
+    this.bodies.forEach((body) => this.updateRest(body, dt));
+  }
+
+  /**
+   * One integration step of a group of bodies, without moving them.
+   * At every stage of the integrator all the bodies of the group are put at
+   * that stage before any force is evaluated, so interactions (springs
+   * between bodies) stay equal and opposite and verlet/rk4 keep their order.
+   * Forces added with applyForce() before step() are held constant.
+   * @returns {Array<{body, x: number[], v: number[]}>}
+   */
+  integrate(bodies, integrator, dt) {
+    const start = bodies.map(({ state }) => ({
+      position: state.position.copy(),
+      velocity: state.velocity.copy(),
+      acceleration: state.acceleration.copy(),
+    }));
+
+    const accel = (x, v) => {
+      bodies.forEach(({ state }, i) => {
+        state.position.set(x[2 * i], x[2 * i + 1]);
+        state.velocity.set(v[2 * i], v[2 * i + 1]);
+      });
+      return bodies.flatMap((body, i) =>
+        this.accelerationOf(body, start[i].acceleration)
+      );
+    };
+
+    const next = integrate(
+      integrator,
+      start.flatMap(({ position }) => [position.x, position.y]),
+      start.flatMap(({ velocity }) => [velocity.x, velocity.y]),
+      accel,
+      dt
+    );
+
+    // Back to the start: the other groups must see it
+    bodies.forEach(({ state }, i) => {
+      state.position.set(start[i].position);
+      state.velocity.set(start[i].velocity);
+    });
+
+    return bodies.map((body, i) => ({
+      body,
+      x: next.x.slice(2 * i, 2 * i + 2),
+      v: next.v.slice(2 * i, 2 * i + 2),
+    }));
+  }
+
+  /**
+   * Acceleration of a body at its current state: world gravity, force
+   * fields, the body's own force model and the constant forces
+   * @returns {number[]} [ax, ay] (m/s²)
+   */
+  accelerationOf(body, constantAcc = body.state.acceleration) {
+    const { position, velocity } = body.state;
+    const { mass } = body.params;
+    const acc = body.accelerationAt(
+      [position.x, position.y],
+      [velocity.x, velocity.y],
+      constantAcc
+    );
+
+    acc[1] -= this.config.gravity;
+    this.forceFields.forEach((field) => {
+      const force = field.computeFn(body, this, position, velocity);
+      if (!force) return;
+      acc[0] += force.x / mass;
+      acc[1] += force.y / mass;
+    });
+    return acc;
+  }
+
+  /**
+   * Keep a body inside the bounds and report which wall it hit
+   */
+  constrainBody(body) {
+    const { minX, maxX, minY, maxY } = this.config.bounds;
+    const { x, y } = body.state.position;
+
+    // Bounding box of the (possibly rotated) shape
+    const bounds = body.computeBounds();
+    const { min, max } =
+      bounds.type === "circle"
+        ? {
+            min: { x: x - bounds.radius, y: y - bounds.radius },
+            max: { x: x + bounds.radius, y: y + bounds.radius },
+          }
+        : bounds;
+
+    const limits = {
+      left: minX + (x - min.x),
+      right: maxX - (max.x - x),
+      bottom: minY + (y - min.y),
+      top: maxY - (max.y - y),
+    };
+
+    const side =
+      x < limits.left
+        ? "left"
+        : x > limits.right
+          ? "right"
+          : y < limits.bottom
+            ? "bottom"
+            : y > limits.top
+              ? "top"
+              : null;
+
+    if (
+      body.constrainToBounds(
+        limits.left,
+        limits.right,
+        limits.bottom,
+        limits.top
+      )
+    ) {
+      this.emit("boundary", { body, side });
+    }
+  }
+
+  /**
+   * Contacts between the candidate pairs of the broad phase (circles, rects),
+   * resolved with impulses using the restitution and friction of each body
+   */
+  resolveCollisions() {
+    const start = performance.now();
+    const pairs = findPairs(this.bodies, this.config.broadPhase, this.grid);
+    let contacts = 0;
+
+    pairs.forEach(([a, b]) => {
+      const contact = collide(a, b, this.config.collisionCorrection);
+      if (!contact) return;
+      contacts++;
+
+      this.emit("collision", {
+        a,
+        b,
+        normal: this.p.createVector(contact.normal.x, contact.normal.y),
+        impulse: contact.normalImpulse,
+        friction: contact.frictionImpulse,
+        contact: contact.contact,
+        penetration: contact.penetration,
+      });
+    });
+
+    this.stats = {
+      pairs: pairs.length,
+      contacts,
+      collisionTime: performance.now() - start,
+    };
+
+    // Positions moved: keep hit-testing (contains, hover) in sync
+    this.bodies.forEach((body) => {
+      body.bounds = body.computeBounds();
+    });
+  }
+
+  updateRest(body, dt) {
+    const slow = body.state.velocity.mag() < this.config.restSpeed;
+    const timer = slow ? (this.restTimers.get(body) ?? 0) + dt : 0;
+    this.restTimers.set(body, timer);
+
+    if (timer >= this.config.restTime && !this.resting.has(body)) {
+      this.resting.add(body);
+      this.emit("rest", { body });
+    } else if (!slow && this.resting.has(body)) {
+      this.resting.delete(body);
+      this.emit("wake", { body });
+    }
+  }
+
+  isResting(body) {
+    return this.resting.has(body);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering & timeline
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Draw the constraints that can draw themselves, then every body
+   * @param {object} options - Passed to body.draw (alpha, hoverEffect...)
+   */
+  draw(p, options = {}) {
+    this.constraints.forEach((constraint) => constraint.draw?.(p));
+    this.bodies.forEach((body) => body.draw(p, options));
+  }
+
+  /**
+   * State of every body, for clock.track(): plain numbers, SNAPSHOT_STRIDE
+   * per body (x, y, vx, vy, rotation, ω), so a long history of many bodies
+   * costs no vectors and survives a share link
+   * @returns {number[]}
+   */
+  snapshot() {
+    const values = [];
+    this.bodies.forEach(({ state }) => {
+      values.push(
+        state.position.x,
+        state.position.y,
+        state.velocity.x,
+        state.velocity.y,
+        state.rotation ?? 0,
+        state.angularVelocity ?? 0
+      );
+    });
+    return values;
+  }
+
+  restore(values) {
+    if (!Array.isArray(values) || values.some((v) => typeof v !== "number")) {
+      throw new Error("PhysicsWorld.restore() expects a world snapshot");
+    }
+    // Taken with other bodies: applying part of it gives a frame that never was
+    if (values.length !== this.bodies.length * SNAPSHOT_STRIDE) {
+      throw new Error(
+        `PhysicsWorld.restore(): snapshot of ${values.length / SNAPSHOT_STRIDE} bodies, world has ${this.bodies.length}`
+      );
+    }
+
+    this.bodies.forEach((body, i) => {
+      const o = i * SNAPSHOT_STRIDE;
+
+      const { state } = body;
+      state.position.set(values[o], values[o + 1]);
+      state.velocity.set(values[o + 2], values[o + 3]);
+      state.rotation = values[o + 4];
+      state.angularVelocity = values[o + 5];
+      state.acceleration.set(0, 0);
+      state.angularAcceleration = 0;
+
+      body.isMoving = state.velocity.mag() > 0.001;
+      body.interpolation = null;
+      body.bounds = body.computeBounds();
+    });
+    this.restTimers.clear();
+    this.resting.clear();
+  }
+
+  getKineticEnergy() {
+    return this.bodies.reduce((sum, body) => sum + body.getKineticEnergy(), 0);
+  }
+}
+
+export default PhysicsWorld;
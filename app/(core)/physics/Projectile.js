@@ -0,0 +1,123 @@
+/**
+ * Projectile - Ball under gravity, quadratic air drag and wind
+ * The same force model drives the live body (PhysicsBody.setForceModel) and
+ * the predicted trajectory, which is integrated with the same integrator and
+ * step, so the prediction matches the flight even when drag bends it away
+ * from the parabola.
+ * Frame-agnostic: gravity and wind are acceleration vectors {x, y} in the
+ * caller's coordinates.
+ */
+
+import { CONSTANTS } from "../constants/Config.js";
+import { integrate } from "./Integrators.js";
+import { dragForce } from "./ForceFields.js";
+
+/**
+ * Air drag on a ball of diameter `size` (m), same formula as
+ * FORCE_FIELDS.drag: F = -½ρ·Cd·A·|v|·v (N)
+ */
+export function ballDrag(
+  velocity,
+  size,
+  dragCd,
+  density = CONSTANTS.airDensity
+) {
+  const ball = { params: { shape: "circle", size } };
+  return (
+    dragForce(ball, velocity, density, Math.max(0, dragCd)) ?? { x: 0, y: 0 }
+  );
+}
+
+/**
+ * Force model (position, velocity) => {x, y} for PhysicsBody
+ * @param {object} options
+ * @param {number} options.mass - kg
+ * @param {number} options.size - Ball diameter (m)
+ * @param {object} options.gravity - Acceleration vector (m/s²)
+ * @param {number} options.dragCd - Drag coefficient Cd (0 = no air)
+ * @param {number} options.density - Air density (kg/m³)
+ * @param {object} options.wind - Acceleration vector pushed by the wind (m/s²)
+ */
+export function projectileForceModel({
+  mass,
+  size,
+  gravity,
+  dragCd = 0,
+  density = CONSTANTS.airDensity,
+  wind = { x: 0, y: 0 },
+}) {
+  return (_position, velocity) => {
+    const drag = ballDrag(velocity, size, dragCd, density);
+    return {
+      x: mass * (gravity.x + wind.x) + drag.x,
+      y: mass * (gravity.y + wind.y) + drag.y,
+    };
+  };
+}
+
+/**
+ * Integrate a flight until it reaches the ground
+ * @param {object} options
+ * @param {object} options.position - Launch position {x, y} (m)
+ * @param {object} options.velocity - Launch velocity {x, y} (m/s)
+ * @param {number} options.mass - kg
+ * @param {Function} options.force - (position, velocity) => force {x, y}
+ * @param {Function} options.height - position => height above the ground (m)
+ * @param {string} options.integrator - Integrator name (see Integrators.js)
+ * @param {number} options.dt - Step (s), use the simulation step
+ * @param {number} options.maxTime - Give up after this time (s)
+ * @returns {{points: Array<{x, y, t}>, landed: boolean, flightTime: number,
+ *   landing: object|null, apex: {x, y, t, height}}}
+ */
+export function predictTrajectory({
+  position,
+  velocity,
+  mass,
+  force,
+  height,
+  integrator,
+  dt = 1 / 60,
+  maxTime = 30,
+}) {
+  const accel = ([x, y], [vx, vy]) => {
+    const f = force({ x, y }, { x: vx, y: vy });
+    return [f.x / mass, f.y / mass];
+  };
+
+  let x = [position.x, position.y];
+  let v = [velocity.x, velocity.y];
+  let t = 0;
+  const points = [{ x: x[0], y: x[1], t }];
+  let apex = { x: x[0], y: x[1], t, height: height(position) };
+
+  while (t < maxTime) {
+    const next = integrate(integrator, x, v, accel, dt);
+    const point = { x: next.x[0], y: next.x[1] };
+    const h = height(point);
+
+    // Arrivo a terra: interpolazione lineare sull'ultimo passo
+    if (h < 0 || (h <= 0 && t > 0)) {
+      const h0 = height({ x: x[0], y: x[1] });
+      const s = h0 === h ? 1 : h0 / (h0 - h);
+      const landing = {
+        x: x[0] + s * (point.x - x[0]),
+        y: x[1] + s * (point.y - x[1]),
+        t: t + s * dt,
+      };
+      points.push(landing);
+      return { points, landed: true, flightTime: landing.t, landing, apex };
+    }
+
+    x = next.x;
+    v = next.v;
+    t += dt;
+    points.push({ ...point, t });
+    if (h > apex.height) apex = { ...point, t, height: h };
+  }
+
+  return { points, landed: false, flightTime: Infinity, landing: null, apex };
+}
+
+const Projectile = { ballDrag, projectileForceModel, predictTrajectory };
+
+export default Projectile;
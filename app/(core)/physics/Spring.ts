@@ -11,12 +11,22 @@ interface SpringConfig {
   anchorColor?: string;
   numCoils?: number;
   coilWidth?: number;
+  damping?: number; // N·s/m, along the spring axis
 }
 
+/**
+ * Spring between a fixed anchor and a body, or between two bodies
+ * (see Spring.between). Forces are always equal and opposite on the ends.
+ */
 export default class Spring {
   public anchor: p5.Vector;
   public restLength: number;
   public k: number;
+  public damping: number;
+
+  // Ends attached to bodies: bodyA replaces the anchor, bodyB is the free end
+  public bodyA: PhysicsBody | null = null;
+  public bodyB: PhysicsBody | null = null;
 
   public readonly config: Required<SpringConfig>;
   private p: p5;
@@ -32,30 +42,135 @@ export default class Spring {
     this.anchor = anchor.copy();
     this.restLength = restLengthMeters;
     this.k = k;
+    this.damping = config.damping ?? 0;
 
     this.config = {
       color: config.color ?? "#ec4899",
       anchorColor: config.anchorColor ?? "#9ca3af",
       numCoils: config.numCoils ?? 10,
       coilWidth: config.coilWidth ?? 8,
+      damping: this.damping,
     };
   }
 
+  /**
+   * Spring connecting two bodies
+   * @param restLengthMeters - Defaults to the current distance between them
+   */
+  public static between(
+    p: p5,
+    a: PhysicsBody,
+    b: PhysicsBody,
+    restLengthMeters: number | null = null,
+    k: number = 50,
+    config: SpringConfig = {}
+  ): Spring {
+    const spring = new Spring(
+      p,
+      a.state.position,
+      restLengthMeters ?? p5.Vector.dist(a.state.position, b.state.position),
+      k,
+      config
+    );
+    spring.bodyA = a;
+    spring.bodyB = b;
+    return spring;
+  }
+
+  /**
+   * Fixed end of the spring: the anchor, or the position of bodyA
+   */
+  public getStart(): p5.Vector {
+    return this.bodyA ? this.bodyA.state.position : this.anchor;
+  }
+
   public connect(body: PhysicsBody): void {
-    const force = p5.Vector.sub(this.anchor, body.state.position);
+    body.applyForce(this.getForceAt(body.state.position, body.state.velocity));
+  }
+
+  /**
+   * Apply the spring (and damping) force to both attached bodies
+   */
+  public apply(): void {
+    if (!this.bodyB) return;
+
+    const force = this.getForceOn(this.bodyB);
+    this.bodyB.applyForce(force);
+    this.bodyA?.applyForce(force.copy().mult(-1));
+  }
+
+  /**
+   * Spring force on a body located at `position` (Hooke's law),
+   * pulled towards the start of the spring
+   * Usable inside a PhysicsBody force model, so integrators can
+   * re-evaluate it at intermediate states
+   * @param velocity - Adds the damping force when given
+   */
+  public getForceAt(position: p5.Vector, velocity?: p5.Vector): p5.Vector {
+    return this.forceFrom(
+      this.getStart(),
+      this.bodyA?.state.velocity ?? null,
+      position,
+      velocity ?? null
+    );
+  }
+
+  /**
+   * Force on one of the attached bodies, at its current state unless
+   * another position/velocity is given (force models, integrator stages)
+   */
+  public getForceOn(
+    body: PhysicsBody,
+    position: p5.Vector = body.state.position,
+    velocity: p5.Vector = body.state.velocity
+  ): p5.Vector {
+    if (body !== this.bodyA && body !== this.bodyB) {
+      return this.p.createVector(0, 0);
+    }
+
+    // Other end: the other body, or the anchor
+    const other = body === this.bodyA ? this.bodyB : this.bodyA;
+    return this.forceFrom(
+      other?.state.position ?? this.anchor,
+      other?.state.velocity ?? null,
+      position,
+      velocity
+    );
+  }
+
+  /**
+   * Force on the end at `position` from the end at `otherPosition`:
+   * F = -k (L - L₀) n - c ((v - v_other) · n) n
+   */
+  private forceFrom(
+    otherPosition: p5.Vector,
+    otherVelocity: p5.Vector | null,
+    position: p5.Vector,
+    velocity: p5.Vector | null
+  ): p5.Vector {
+    const force = p5.Vector.sub(position, otherPosition);
     const currentLength = force.mag();
 
-    if (currentLength < 0.0001) return;
+    if (currentLength < 0.0001) return this.p.createVector(0, 0);
 
+    const direction = force.copy().div(currentLength);
     const displacement = currentLength - this.restLength;
-    const springForceMag = -this.k * displacement;
+    let forceMag = -this.k * displacement;
+
+    if (this.damping > 0 && velocity) {
+      const relative = otherVelocity
+        ? p5.Vector.sub(velocity, otherVelocity)
+        : velocity;
+      forceMag -= this.damping * relative.dot(direction);
+    }
 
-    force.normalize().mult(springForceMag);
-    body.applyForce(force);
+    return direction.mult(forceMag);
   }
 
   /**
    * Constrain physical distance between anchor and body
+   * @deprecated Use a DistanceConstraint with minLength/maxLength
+   * (Constraints.js), it only removes the velocity that breaks the limit
    */
   public constrainLength(body: PhysicsBody, min: number, max: number): void {
     const direction = p5.Vector.sub(body.state.position, this.anchor);
@@ -96,8 +211,12 @@ export default class Spring {
    * Draw spring connection
    * Converts physics coords to screen coords
    */
-  public showLine(body: PhysicsBody, stylized: boolean = true): void {
-    const anchorScreen = physicsToScreen(this.anchor, this.p);
+  public showLine(
+    body: PhysicsBody | null = this.bodyB,
+    stylized: boolean = true
+  ): void {
+    if (!body) return;
+    const anchorScreen = physicsToScreen(this.getStart(), this.p);
     const bodyScreen = physicsToScreen(body.state.position, this.p);
 
     this.p.push();
@@ -139,7 +258,7 @@ export default class Spring {
     this.p.endShape();
   }
 
-  public getElasticPotentialEnergy(body: PhysicsBody): number {
+  public getElasticPotentialEnergy(body = this.bodyB): number {
     const displacement = this.getDisplacement(body);
     return 0.5 * this.k * displacement * displacement;
   }
@@ -147,7 +266,7 @@ export default class Spring {
   /**
    * Get spring force magnitude: F = -k * x
    */
-  public getSpringForce(body: PhysicsBody): number {
+  public getSpringForce(body = this.bodyB): number {
     const displacement = this.getDisplacement(body);
     return -this.k * displacement;
   }
@@ -166,11 +285,12 @@ export default class Spring {
     }
   }
 
-  public getLength(body: PhysicsBody): number {
-    return p5.Vector.dist(this.anchor, body.state.position);
+  public getLength(body = this.bodyB): number {
+    if (!body) return this.restLength;
+    return p5.Vector.dist(this.getStart(), body.state.position);
   }
 
-  public getDisplacement(body: PhysicsBody): number {
+  public getDisplacement(body = this.bodyB): number {
     return this.getLength(body) - this.restLength;
   }
 }
@@ -0,0 +1,367 @@
+/**
+ * SpringNetwork - Masses linked by springs: chains, lattices, coupled oscillators
+ * Owns the bodies and the Spring objects between them; plug it in a
+ * PhysicsWorld with world.addForceField(network.asForceField()).
+ * ALL VALUES IN PHYSICS COORDINATES (Y-UP, meters)
+ */
+
+import p5 from "p5";
+import PhysicsBody from "./PhysicsBody.js";
+import Spring from "./Spring";
+
+export class SpringNetwork {
+  /**
+   * @param {p5} p - p5 instance, used to create vectors and bodies
+   */
+  constructor(p) {
+    this.p = p;
+    this.bodies = [];
+    this.springs = [];
+  }
+
+  addBody(body) {
+    this.bodies.push(body);
+    return body;
+  }
+
+  /**
+   * Link two bodies, or a fixed point {x, y} and a body
+   * @param {object} options - { restLength (default current distance), damping, color }
+   * @returns {Spring}
+   */
+  connect(a, b, k, options = {}) {
+    const { restLength = null, ...config } = options;
+
+    let spring;
+    if (a instanceof PhysicsBody) {
+      spring = Spring.between(this.p, a, b, restLength, k, config);
+    } else {
+      const anchor = this.p.createVector(a.x, a.y);
+      spring = new Spring(
+        this.p,
+        anchor,
+        restLength ?? p5.Vector.dist(anchor, b.state.position),
+        k,
+        config
+      );
+      spring.bodyB = b;
+    }
+
+    this.springs.push(spring);
+    return spring;
+  }
+
+  /**
+   * Sum of the spring forces on a body
+   * @param {p5.Vector} position - Defaults to the body position
+   * @param {p5.Vector} velocity - Defaults to the body velocity
+   */
+  getForceOn(body, position = body.state.position, velocity = undefined) {
+    const total = this.p.createVector(0, 0);
+    this.springs.forEach((spring) => {
+      if (spring.bodyA === body || spring.bodyB === body) {
+        total.add(
+          spring.getForceOn(body, position, velocity ?? body.state.velocity)
+        );
+      }
+    });
+    return total;
+  }
+
+  /**
+   * Force field for PhysicsWorld: the world puts every body at the same
+   * integrator stage before asking, so each spring stays equal and opposite
+   */
+  asForceField(key = "springs") {
+    return {
+      key,
+      computeFn: (body, _world, position, velocity) =>
+        this.bodies.includes(body)
+          ? this.getForceOn(body, position, velocity)
+          : null,
+    };
+  }
+
+  /**
+   * Apply every spring once, for simulations without a PhysicsWorld
+   */
+  apply() {
+    this.springs.forEach((spring) => spring.apply());
+  }
+
+  /**
+   * Elastic energy stored in all the springs (J)
+   */
+  getPotentialEnergy() {
+    return this.springs.reduce(
+      (sum, spring) => sum + spring.getElasticPotentialEnergy(),
+      0
+    );
+  }
+
+  /**
+   * Energy "owned" by one mass: its kinetic energy, the springs tying it to
+   * fixed anchors and half of each spring shared with another mass.
+   * Summed over the masses it gives the total energy of the network.
+   */
+  getBodyEnergy(body) {
+    return this.springs.reduce((energy, spring) => {
+      if (spring.bodyB !== body && spring.bodyA !== body) return energy;
+      const share = spring.bodyA ? 0.5 : 1;
+      return energy + share * spring.getElasticPotentialEnergy();
+    }, body.getKineticEnergy());
+  }
+
+  getTotalEnergy() {
+    return (
+      this.bodies.reduce((sum, body) => sum + body.getKineticEnergy(), 0) +
+      this.getPotentialEnergy()
+    );
+  }
+
+  /**
+   * Draw springs (with their anchors), then bodies
+   * @param {object} options - { stylized, alpha, hoverEffect } for springs/bodies
+   */
+  draw(p, options = {}) {
+    const { stylized = true, ...bodyOptions } = options;
+    this.springs.forEach((spring) => {
+      spring.showLine(spring.bodyB, stylized);
+      if (!spring.bodyA) spring.show();
+    });
+    this.bodies.forEach((body) => body.draw(p, bodyOptions));
+  }
+
+  snapshot() {
+    return this.bodies.map((body) => body.snapshot());
+  }
+
+  restore(snapshots) {
+    snapshots.forEach((snapshot, i) => this.bodies[i]?.restore(snapshot));
+  }
+
+  /**
+   * Masses evenly spaced on a segment, each linked to the next one
+   * @param {object} options
+   * @param {object} options.start - First end {x, y} (m)
+   * @param {object} options.end - Last end {x, y} (m)
+   * @param {number} options.count - Number of masses
+   * @param {boolean} options.fixedEnds - Tie the first/last mass to start/end
+   * @param {number|number[]} options.k - Spring constant, or one per spring
+   * @param {number|number[]} options.mass - Mass, or one per body
+   * @param {object} options.bodyParams - Extra PhysicsBody params (size, color...)
+   * @param {object} options.springConfig - Extra Spring config (damping, color...)
+   */
+  static chain(p, options) {
+    const {
+      start,
+      end,
+      count,
+      fixedEnds = true,
+      k = 50,
+      mass = 1,
+      bodyParams = {},
+      springConfig = {},
+    } = options;
+    const network = new SpringNetwork(p);
+
+    // With fixed ends the masses sit between the anchors, not on them
+    const segments = fixedEnds ? count + 1 : Math.max(count - 1, 1);
+    const offset = fixedEnds ? 1 : 0;
+    const dx = (end.x - start.x) / segments;
+    const dy = (end.y - start.y) / segments;
+    const restLength = Math.hypot(dx, dy);
+    const pick = (value, i) => (Array.isArray(value) ? value[i] : value);
+
+    for (let i = 0; i < count; i++) {
+      network.addBody(
+        new PhysicsBody(p, {
+          shape: "circle",
+          ...bodyParams,
+          mass: pick(mass, i),
+          position: p.createVector(
+            start.x + dx * (i + offset),
+            start.y + dy * (i + offset)
+          ),
+        })
+      );
+    }
+
+    let s = 0;
+    const link = (a, b) =>
+      network.connect(a, b, pick(k, s++), { restLength, ...springConfig });
+
+    const { bodies } = network;
+    if (fixedEnds) link(start, bodies[0]);
+    for (let i = 1; i < count; i++) link(bodies[i - 1], bodies[i]);
+    if (fixedEnds) link(end, bodies[count - 1]);
+
+    return network;
+  }
+
+  /**
+   * Grid of masses linked to their neighbours (cloth, jelly, crystal models)
+   * @param {object} options
+   * @param {object} options.origin - Bottom-left mass {x, y} (m)
+   * @param {number} options.rows - Masses along y
+   * @param {number} options.cols - Masses along x
+   * @param {number} options.spacing - Rest distance between neighbours (m)
+   * @param {boolean} options.diagonals - Add shear springs across each cell
+   * @param {boolean} options.pinTop - Tie the top row to fixed anchors
+   */
+  static lattice(p, options) {
+    const {
+      origin,
+      rows,
+      cols,
+      spacing,
+      diagonals = false,
+      pinTop = false,
+      k = 50,
+      mass = 1,
+      bodyParams = {},
+      springConfig = {},
+    } = options;
+    const network = new SpringNetwork(p);
+
+    const grid = Array.from({ length: rows }, (_, r) =>
+      Array.from({ length: cols }, (_, c) =>
+        network.addBody(
+          new PhysicsBody(p, {
+            shape: "circle",
+            ...bodyParams,
+            mass,
+            position: p.createVector(
+              origin.x + c * spacing,
+              origin.y + r * spacing
+            ),
+          })
+        )
+      )
+    );
+
+    const link = (a, b) => network.connect(a, b, k, springConfig);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (c + 1 < cols) link(grid[r][c], grid[r][c + 1]);
+        if (r + 1 < rows) link(grid[r][c], grid[r + 1][c]);
+        if (diagonals && r + 1 < rows && c + 1 < cols) {
+          link(grid[r][c], grid[r + 1][c + 1]);
+          link(grid[r][c + 1], grid[r + 1][c]);
+        }
+      }
+    }
+
+    if (pinTop) {
+      grid[rows - 1].forEach((body) =>
+        network.connect(
+          { x: body.state.position.x, y: body.state.position.y },
+          body,
+          k * 10,
+          { ...springConfig, restLength: 0 }
+        )
+      );
+    }
+
+    return network;
+  }
+}
+
+/**
+ * Normal modes of a 1D chain of masses between two walls
+ * Solves K x = ω² M x (Jacobi eigenvalue method, fine for small chains)
+ * @param {number[]} masses - n masses (kg)
+ * @param {number[]} stiffnesses - n + 1 spring constants (N/m): wall-m₁,
+ *   m₁-m₂, ..., mₙ-wall. Use 0 for a free end.
+ * @returns {Array<{omega: number, frequency: number, period: number, shape: number[]}>}
+ *   Sorted from the slowest mode; shape is normalised to a max of 1
+ */
+export function chainNormalModes(masses, stiffnesses) {
+  const n = masses.length;
+  const invSqrtM = masses.map((m) => 1 / Math.sqrt(m));
+
+  // Mass-weighted stiffness matrix M^-1/2 K M^-1/2 (symmetric)
+  const A = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => {
+      if (i === j)
+        return (stiffnesses[i] + stiffnesses[i + 1]) * invSqrtM[i] ** 2;
+      if (Math.abs(i - j) === 1) {
+        return -stiffnesses[Math.max(i, j)] * invSqrtM[i] * invSqrtM[j];
+      }
+      return 0;
+    })
+  );
+  const { values, vectors } = jacobiEigen(A);
+
+  return values
+    .map((value, m) => {
+      const omega = Math.sqrt(Math.max(value, 0));
+      const shape = vectors.map((row, i) => row[m] * invSqrtM[i]);
+      const max = Math.max(...shape.map(Math.abs)) || 1;
+      // Segno fisso: prima componente non negativa
+      const sign = shape.find((x) => Math.abs(x) > 1e-9) < 0 ? -1 : 1;
+      return {
+        omega,
+        frequency: omega / (2 * Math.PI),
+        period: omega > 0 ? (2 * Math.PI) / omega : Infinity,
+        shape: shape.map((x) => (sign * x) / max),
+      };
+    })
+    .sort((a, b) => a.omega - b.omega);
+}
+
+/**
+ * Eigenvalues and eigenvectors (columns) of a small symmetric matrix
+ */
+function jacobiEigen(matrix, maxSweeps = 50) {
+  const n = matrix.length;
+  const a = matrix.map((row) => [...row]);
+  const v = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+  );
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let off = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) off += a[i][j] ** 2;
+    }
+    if (off < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+
+        // Rotation that zeroes a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t =
+          Math.sign(theta || 1) /
+          (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: a.map((row, i) => row[i]), vectors: v };
+}
+
+export default SpringNetwork;
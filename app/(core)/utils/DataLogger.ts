@@ -0,0 +1,137 @@
+// app/(core)/utils/DataLogger.ts
+
+export interface LogRow {
+  t: number; // simulated time (s)
+  values: Record<string, number>;
+}
+
+export const TIME_COLUMN = "t (s)";
+
+/**
+ * Records the numeric channels of a simulation run at a fixed rate of
+ * simulated time. Fed by updateSimInfo (useSimInfo.ts), so every
+ * simulation whose mapper returns `raw` values can be logged.
+ */
+export default class DataLogger {
+  recording = false;
+  rate = 20; // campioni per secondo simulato
+  rows: LogRow[] = [];
+  channels: string[] = [];
+  maxRows: number;
+  private lastT: number | null = null;
+  private listeners = new Set<(row: LogRow) => void>();
+
+  constructor(maxRows = 100000) {
+    this.maxRows = maxRows;
+  }
+
+  /**
+   * Start a new recording (previous rows are discarded)
+   * @param rate - Samples per simulated second
+   */
+  start(rate = this.rate) {
+    this.clear();
+    this.rate = rate;
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  clear() {
+    this.rows = [];
+    this.channels = [];
+    this.lastT = null;
+  }
+
+  /**
+   * True when a new row should be taken at simulated time t
+   */
+  isDue(t: number) {
+    if (!this.recording) return false;
+    if (this.lastT === null || t < this.lastT) return true;
+    // Tolleranza per gli errori di arrotondamento del passo fisso
+    return t - this.lastT >= 1 / this.rate - 1e-9;
+  }
+
+  /**
+   * Append a row. An earlier time (timeline rewind) drops the rows after it.
+   */
+  add(t: number, values: Record<string, number>) {
+    if (!this.recording) return;
+
+    if (this.lastT !== null && t < this.lastT) {
+      this.rows = this.rows.filter((row) => row.t <= t);
+    }
+
+    const numeric: Record<string, number> = {};
+    for (const [name, value] of Object.entries(values)) {
+      if (typeof value === "number" && Number.isFinite(value)) {
+        numeric[name] = value;
+        if (!this.channels.includes(name)) this.channels.push(name);
+      }
+    }
+
+    const row = { t, values: numeric };
+    this.rows.push(row);
+    if (this.rows.length > this.maxRows) this.rows.shift();
+    this.lastT = t;
+    this.listeners.forEach((listener) => listener(row));
+  }
+
+  /**
+   * Be notified of every new row (e.g. to stream it to an embedding page)
+   * @returns Unsubscribe function
+   */
+  subscribe(listener: (row: LogRow) => void) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * CSV with units in the headers, one row per sample
+   * @param columns - Channels to export (default: all)
+   */
+  toCSV(columns: string[] = this.channels) {
+    const escape = (text: string) =>
+      /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+
+    const header = [TIME_COLUMN, ...columns].map(escape).join(",");
+    const lines = this.rows.map((row) =>
+      [row.t, ...columns.map((name) => row.values[name])]
+        .map((value) => (value === undefined ? "" : String(value)))
+        .join(",")
+    );
+    return [header, ...lines].join("\n");
+  }
+
+  /**
+   * JSON export: metadata plus one object per sample
+   * @param columns - Channels to export (default: all)
+   * @param meta - Extra fields (simulation name, inputs...)
+   */
+  toJSON(
+    columns: string[] = this.channels,
+    meta: Record<string, unknown> = {}
+  ) {
+    return JSON.stringify(
+      {
+        ...meta,
+        rate: this.rate,
+        columns: [TIME_COLUMN, ...columns],
+        rows: this.rows.map((row) => {
+          const entry: Record<string, number> = { [TIME_COLUMN]: row.t };
+          columns.forEach((name) => {
+            if (name in row.values) entry[name] = row.values[name];
+          });
+          return entry;
+        }),
+      },
+      null,
+      2
+    );
+  }
+}
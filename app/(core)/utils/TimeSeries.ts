@@ -0,0 +1,74 @@
+// app/(core)/utils/TimeSeries.ts
+
+export interface Sample {
+  t: number; // simulated time (s)
+  values: Record<string, number>;
+}
+
+/**
+ * Bounded list of numeric samples over simulated time.
+ * Filled by useSimInfo from the `raw` numbers returned by each SimInfoMapper,
+ * read by PlotPanel (and anything else that needs the history of a channel).
+ */
+export default class TimeSeries {
+  maxSamples: number;
+  samples: Sample[] = [];
+  channels: string[] = [];
+  version = 0; // incrementato ad ogni modifica, per sapere quando ridisegnare
+
+  constructor(maxSamples = 1200) {
+    this.maxSamples = maxSamples;
+  }
+
+  /**
+   * Add a sample. Same time as the last one (paused, dragging) replaces it,
+   * an earlier time (reset, timeline rewind) drops the samples after it.
+   */
+  add(t: number, values: Record<string, number>) {
+    const numeric: Record<string, number> = {};
+    for (const [name, value] of Object.entries(values)) {
+      if (typeof value === "number" && Number.isFinite(value)) {
+        numeric[name] = value;
+        if (!this.channels.includes(name)) this.channels.push(name);
+      }
+    }
+
+    const last = this.samples[this.samples.length - 1];
+    if (last && t < last.t) this.truncateAfter(t);
+
+    const previous = this.samples[this.samples.length - 1];
+    if (previous && previous.t === t) {
+      previous.values = numeric;
+    } else {
+      this.samples.push({ t, values: numeric });
+      if (this.samples.length > this.maxSamples) this.samples.shift();
+    }
+
+    this.version++;
+  }
+
+  /**
+   * Drop every sample recorded after time t
+   */
+  truncateAfter(t: number) {
+    let end = this.samples.length;
+    while (end > 0 && this.samples[end - 1].t > t) end--;
+    this.samples.length = end;
+    this.version++;
+  }
+
+  clear() {
+    this.samples = [];
+    this.channels = [];
+    this.version++;
+  }
+
+  /**
+   * Values of a channel ("t" is the time axis), NaN where missing
+   */
+  column(name: string): number[] {
+    return this.samples.map((sample) =>
+      name === "t" ? sample.t : (sample.values[name] ?? NaN)
+    );
+  }
+}
@@ -0,0 +1,196 @@
+// app/utils/canvasCapture.js
+import { encodeGif, quantize } from "./gifEncoder.js";
+
+const GIF_FPS = 15;
+const GIF_MAX_WIDTH = 480;
+const GIF_MAX_FRAMES = 300; // 20 s a 15 FPS
+
+/**
+ * Main p5 canvas inside a P5Wrapper screen
+ */
+export function getScreenCanvas(screen) {
+  return (
+    screen?.querySelector("canvas.p5Canvas") ??
+    screen?.querySelector("canvas") ??
+    null
+  );
+}
+
+/**
+ * Rows currently shown by the SimInfoPanel (hidden keys are skipped)
+ */
+export function getSimInfoLines(screen) {
+  if (!screen) return [];
+  return [...screen.querySelectorAll(".sim-info-panel .sim-info-row")]
+    .map((row) => {
+      const label = row.querySelector(".sim-info-label")?.textContent ?? "";
+      const value = row.querySelector(".sim-info-value")?.textContent ?? "";
+      return value ? `${label} ${value}` : "";
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Copy the canvas into ctx (scaled to fit) and draw the optional overlay
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLCanvasElement} source - Simulation canvas
+ * @param {string[]} lines - Overlay text, empty for none
+ */
+export function drawFrame(ctx, source, lines = []) {
+  const { width, height } = ctx.canvas;
+  ctx.drawImage(source, 0, 0, width, height);
+  if (lines.length === 0) return;
+
+  const fontSize = Math.max(10, Math.round(width / 60));
+  const lineHeight = fontSize * 1.3;
+  ctx.font = `${fontSize}px monospace`;
+  const boxWidth =
+    Math.max(...lines.map((line) => ctx.measureText(line).width)) + fontSize;
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.fillRect(8, 8, boxWidth, lines.length * lineHeight + fontSize * 0.6);
+  ctx.fillStyle = "#fff";
+  ctx.textBaseline = "top";
+  lines.forEach((line, i) => {
+    ctx.fillText(line, 8 + fontSize / 2, 8 + fontSize * 0.4 + i * lineHeight);
+  });
+}
+
+/**
+ * PNG of the simulation canvas, with the overlay if requested
+ * @returns {Promise<Blob|null>}
+ */
+export function captureSnapshot(screen, { overlayLines = [] } = {}) {
+  const source = getScreenCanvas(screen);
+  if (!source) return Promise.resolve(null);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  drawFrame(canvas.getContext("2d"), source, overlayLines);
+
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * Start recording the simulation canvas.
+ * Frames are grabbed in real time, so the clip plays at the speed seen on
+ * screen (i.e. it follows the clock timeScale).
+ * @param {HTMLElement} screen - P5Wrapper screen element
+ * @param {object} options
+ * @param {"webm"|"gif"} options.format
+ * @param {Function} options.getOverlay - () => string[] drawn on every frame
+ * @param {Function} options.onAutoStop - Called when the GIF frame limit is reached
+ * @returns {{ stop: () => Promise<Blob|null>, cancel: () => void } | null}
+ *   stop() ends the clip and encodes it, cancel() drops it
+ */
+export function startClipRecording(
+  screen,
+  { format = "webm", getOverlay = () => [], onAutoStop } = {}
+) {
+  const source = getScreenCanvas(screen);
+  if (!source) return null;
+
+  return format === "gif"
+    ? recordGif(source, getOverlay, onAutoStop)
+    : recordWebM(source, getOverlay);
+}
+
+export function isWebMSupported() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    MediaRecorder.isTypeSupported("video/webm")
+  );
+}
+
+function recordWebM(source, getOverlay) {
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext("2d");
+
+  let frameId = null;
+  const loop = () => {
+    drawFrame(ctx, source, getOverlay());
+    frameId = requestAnimationFrame(loop);
+  };
+  loop();
+
+  const mimeType = MediaRecorder.isTypeSupported("video/webm;codecs=vp9")
+    ? "video/webm;codecs=vp9"
+    : "video/webm";
+  const recorder = new MediaRecorder(canvas.captureStream(30), { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  recorder.start();
+
+  return {
+    stop: () =>
+      new Promise((resolve) => {
+        recorder.onstop = () => {
+          cancelAnimationFrame(frameId);
+          resolve(new Blob(chunks, { type: "video/webm" }));
+        };
+        recorder.stop();
+      }),
+    cancel: () => {
+      recorder.onstop = null;
+      cancelAnimationFrame(frameId);
+      if (recorder.state !== "inactive") recorder.stop();
+    },
+  };
+}
+
+function recordGif(source, getOverlay, onAutoStop) {
+  const scale = Math.min(1, GIF_MAX_WIDTH / source.width);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(source.width * scale);
+  canvas.height = Math.round(source.height * scale);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  const frames = [];
+  let last = performance.now();
+
+  const grab = () => {
+    const now = performance.now();
+    if (frames.length > 0) frames[frames.length - 1].delay = now - last;
+    last = now;
+
+    drawFrame(ctx, source, getOverlay());
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    frames.push({ pixels: quantize(data), delay: 1000 / GIF_FPS });
+
+    if (frames.length >= GIF_MAX_FRAMES) {
+      clearInterval(interval);
+      onAutoStop?.();
+    }
+  };
+  const interval = setInterval(grab, 1000 / GIF_FPS);
+  grab();
+
+  return {
+    stop: () => {
+      clearInterval(interval);
+      const bytes = encodeGif(frames, canvas.width, canvas.height);
+      return Promise.resolve(new Blob([bytes], { type: "image/gif" }));
+    },
+    cancel: () => {
+      clearInterval(interval);
+      frames.length = 0;
+    },
+  };
+}
+
+/**
+ * Save a blob with the given file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,180 @@
+// app/utils/gifEncoder.js
+/**
+ * Minimal animated GIF encoder (GIF89a, looping).
+ * Colors are reduced to a fixed 3-3-2 RGB palette, which is fast enough to
+ * run while the simulation is playing and fine for flat simulation graphics.
+ */
+
+// Palette 3-3-2: 8 livelli di rosso e verde, 4 di blu
+const PALETTE = (() => {
+  const palette = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    palette[i * 3] = Math.round(((i >> 5) * 255) / 7);
+    palette[i * 3 + 1] = Math.round((((i >> 2) & 7) * 255) / 7);
+    palette[i * 3 + 2] = Math.round(((i & 3) * 255) / 3);
+  }
+  return palette;
+})();
+
+/**
+ * Map RGBA pixels (ImageData.data) to palette indices
+ */
+export function quantize(rgba) {
+  const indexed = new Uint8Array(rgba.length / 4);
+  for (let i = 0, j = 0; j < indexed.length; i += 4, j++) {
+    indexed[j] =
+      (rgba[i] & 0xe0) | ((rgba[i + 1] & 0xe0) >> 3) | (rgba[i + 2] >> 6);
+  }
+  return indexed;
+}
+
+/**
+ * Build the GIF file
+ * @param {Array<{ pixels: Uint8Array, delay: number }>} frames - Indexed pixels
+ *   from quantize() and frame duration in ms
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function encodeGif(frames, width, height) {
+  const out = new ByteWriter();
+
+  // Header + logical screen descriptor with a 256 color global table
+  out.string("GIF89a");
+  out.word(width);
+  out.word(height);
+  out.byte(0xf7);
+  out.byte(0);
+  out.byte(0);
+  out.bytes(PALETTE);
+
+  // NETSCAPE2.0: loop forever
+  out.bytes([0x21, 0xff, 0x0b]);
+  out.string("NETSCAPE2.0");
+  out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+  frames.forEach(({ pixels, delay }) => {
+    // Graphic control extension (delay in hundredths of a second)
+    out.bytes([0x21, 0xf9, 0x04, 0x00]);
+    out.word(Math.max(2, Math.round(delay / 10)));
+    out.bytes([0x00, 0x00]);
+
+    // Image descriptor, no local color table
+    out.byte(0x2c);
+    out.word(0);
+    out.word(0);
+    out.word(width);
+    out.word(height);
+    out.byte(0);
+
+    out.byte(8); // LZW minimum code size
+    const data = lzw(pixels);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      out.byte(block.length);
+      out.bytes(block);
+    }
+    out.byte(0);
+  });
+
+  out.byte(0x3b); // trailer
+  return out.result();
+}
+
+/**
+ * Variable-length LZW compression as required by GIF (8-bit pixels)
+ */
+function lzw(pixels) {
+  const clearCode = 256;
+  const endCode = 257;
+  const out = new ByteWriter();
+
+  let codeSize = 9;
+  let nextCode = 258;
+  let dictionary = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.byte(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = pixels[0];
+
+  for (let i = 1; i < pixels.length; i++) {
+    const pixel = pixels[i];
+    const key = (prefix << 8) | pixel;
+    const code = dictionary.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode < 4096) {
+      dictionary.set(key, nextCode++);
+      if (nextCode > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      // Table full: start over
+      emit(clearCode);
+      dictionary = new Map();
+      nextCode = 258;
+      codeSize = 9;
+    }
+    prefix = pixel;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) out.byte(bitBuffer & 0xff);
+
+  return out.result();
+}
+
+class ByteWriter {
+  constructor() {
+    this.buffer = new Uint8Array(1 << 16);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  byte(value) {
+    this.ensure(1);
+    this.buffer[this.length++] = value;
+  }
+
+  word(value) {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  bytes(values) {
+    this.ensure(values.length);
+    this.buffer.set(values, this.length);
+    this.length += values.length;
+  }
+
+  string(text) {
+    for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+  }
+
+  result() {
+    return this.buffer.slice(0, this.length);
+  }
+}
@@ -0,0 +1,264 @@
+// app/(core)/utils/inputSchema.ts
+
+/**
+ * INPUT_FIELDS doubles as the schema of the simulation inputs: every value
+ * coming from a link, localStorage or an uploaded file goes through here
+ * before reaching the sketch.
+ *
+ * When a config changes in an incompatible way (renamed key, new unit...),
+ * bump its schema version and add a migration from the previous one:
+ *
+ *   export const SCHEMA_VERSION = 2;
+ *   export const MIGRATIONS = {
+ *     1: ({ angle, ...rest }) => ({ ...rest, initialAngle: angle }),
+ *   };
+ *
+ * and pass them to useSimulationState as `{ version, migrations }`.
+ */
+
+type Values = Record<string, unknown>;
+
+export interface SchemaField {
+  name: string;
+  type: string;
+  min?: number;
+  max?: number; // "list": most items
+  options?: { value: string | number; label: string }[];
+  fields?: SchemaField[]; // "list": fields of every item
+  item?: Values; // "list": values of an item where its own are missing
+}
+
+export type Migration = (inputs: Values) => Values;
+
+export interface InputSchema<T extends Values = Values> {
+  version: number;
+  defaults: T;
+  fields: SchemaField[];
+  migrations: Record<number, Migration>;
+}
+
+export interface StoredInputs {
+  schemaVersion: number;
+  inputs: Values;
+}
+
+export interface ParseResult<T> {
+  inputs: T;
+  issues: string[]; // valori scartati o corretti, per i messaggi all'utente
+}
+
+// Nome riservato nei link condivisi, non è un input
+export const VERSION_PARAM = "schemaVersion";
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+export function createInputSchema<T extends Values>(
+  defaults: T,
+  fields: SchemaField[] = [],
+  { version = 1, migrations = {} }: Partial<InputSchema<T>> = {}
+): InputSchema<T> {
+  return { version, defaults, fields, migrations };
+}
+
+/**
+ * Envelope written to localStorage and to downloaded files
+ */
+export function serializeInputs(
+  schema: InputSchema,
+  inputs: Values
+): StoredInputs {
+  return { schemaVersion: schema.version, inputs };
+}
+
+/**
+ * Parse anything that claims to be a set of inputs: a versioned envelope or
+ * a plain object (files and saves made before versioning, treated as v1).
+ * Missing or invalid values fall back to the defaults.
+ */
+export function parseInputs<T extends Values>(
+  schema: InputSchema<T>,
+  payload: unknown
+): ParseResult<T> {
+  if (!isPlainObject(payload)) {
+    return { inputs: { ...schema.defaults }, issues: ["not an object"] };
+  }
+
+  const isEnvelope = VERSION_PARAM in payload && isPlainObject(payload.inputs);
+  const raw = isEnvelope ? (payload.inputs as Values) : payload;
+  const version = isEnvelope ? Number(payload[VERSION_PARAM]) : 1;
+
+  return validate(schema, migrate(schema, raw, version));
+}
+
+/**
+ * Same as parseInputs for URL query parameters, where every value is a
+ * string: each one is converted according to its field type.
+ */
+export function parseQueryInputs<T extends Values>(
+  schema: InputSchema<T>,
+  params: URLSearchParams
+): ParseResult<Partial<T>> {
+  const raw: Values = {};
+  params.forEach((value, key) => {
+    if (key !== VERSION_PARAM) raw[key] = value;
+  });
+  const version = Number(params.get(VERSION_PARAM) ?? 1);
+
+  return parsePartialInputs(schema, raw, version);
+}
+
+/**
+ * Validate only the given values (no defaults added), e.g. a partial update
+ * @param version - Schema version the values were written for
+ */
+export function parsePartialInputs<T extends Values>(
+  schema: InputSchema<T>,
+  raw: Values,
+  version = schema.version
+): ParseResult<Partial<T>> {
+  const migrated = migrate(schema, raw, version);
+  const { inputs, issues } = validate(schema, migrated);
+  // Solo i valori ricevuti: il resto lo decide il chiamante
+  const partial = Object.fromEntries(
+    Object.entries(inputs).filter(([key]) => key in migrated)
+  ) as Partial<T>;
+  return { inputs: partial, issues };
+}
+
+function migrate(schema: InputSchema, raw: Values, from: number): Values {
+  let values = { ...raw };
+  if (!Number.isInteger(from) || from < 1) return values;
+
+  for (let v = from; v < schema.version; v++) {
+    const migration = schema.migrations[v];
+    if (migration) values = migration(values);
+  }
+  return values;
+}
+
+function validate<T extends Values>(
+  schema: InputSchema<T>,
+  raw: Values
+): ParseResult<T> {
+  const inputs: Values = { ...schema.defaults };
+  const issues: string[] = [];
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in schema.defaults)) {
+      issues.push(`${key}: unknown input, ignored`);
+      continue;
+    }
+
+    const field = schema.fields.find((f) => f.name === key);
+    const result = field
+      ? coerceField(field, value)
+      : coerceLike(schema.defaults[key], value);
+
+    if (result === undefined) {
+      issues.push(
+        `${key}: invalid value ${JSON.stringify(value)}, default used`
+      );
+      continue;
+    }
+    if (typeof result === "number" && result !== Number(value)) {
+      issues.push(`${key}: ${value} out of range, set to ${result}`);
+    }
+    inputs[key] = result;
+  }
+
+  return { inputs: inputs as T, issues };
+}
+
+/**
+ * Value converted to the field type, or undefined when it can't be
+ */
+function coerceField(field: SchemaField, value: unknown): unknown {
+  switch (field.type) {
+    case "number": {
+      const num = toNumber(value);
+      if (num === undefined) return undefined;
+      return Math.min(
+        field.max ?? Infinity,
+        Math.max(field.min ?? -Infinity, num)
+      );
+    }
+    case "checkbox":
+      return toBoolean(value);
+    case "color":
+      return typeof value === "string" && HEX_COLOR.test(value)
+        ? value
+        : undefined;
+    case "select":
+      // Le select restituiscono stringhe: confronto sul testo, valore originale
+      return field.options?.find((opt) => String(opt.value) === String(value))
+        ?.value;
+    case "list": {
+      // Dai parametri della query arriva come JSON
+      const items = typeof value === "string" ? parseJson(value) : value;
+      if (!Array.isArray(items)) return undefined;
+      return items
+        .slice(0, field.max ?? Infinity)
+        .map((item) => coerceItem(field, item));
+    }
+    default:
+      return typeof value === "string" ? value : undefined;
+  }
+}
+
+/**
+ * One item of a "list" field: every value checked against its own field,
+ * missing or invalid ones taken from field.item
+ */
+function coerceItem(field: SchemaField, item: unknown): Values {
+  const defaults = field.item ?? {};
+  if (!isPlainObject(item)) return { ...defaults };
+
+  return Object.fromEntries(
+    (field.fields ?? []).map((sub) => [
+      sub.name,
+      coerceField(sub, item[sub.name]) ?? defaults[sub.name],
+    ])
+  );
+}
+
+/**
+ * Inputs without a field (internal settings): same type as the default
+ */
+function coerceLike(fallback: unknown, value: unknown): unknown {
+  switch (typeof fallback) {
+    case "number":
+      return toNumber(value);
+    case "boolean":
+      return toBoolean(value);
+    case "string":
+      return typeof value === "string" ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+function toNumber(value: unknown) {
+  if (typeof value === "string" && value.trim() === "") return undefined;
+  if (typeof value !== "number" && typeof value !== "string") return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+function parseJson(text: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function toBoolean(value: unknown) {
+  if (typeof value === "boolean") return value;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return undefined;
+}
+
+function isPlainObject(value: unknown): value is Values {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
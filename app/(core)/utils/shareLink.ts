@@ -0,0 +1,140 @@
+// app/(core)/utils/shareLink.ts
+import { serializeInputs, type InputSchema } from "./inputSchema.ts";
+
+/**
+ * Share links keep the whole scene in the URL fragment:
+ *   /simulation#s=<base64url JSON>
+ * The JSON holds the schema version, the inputs that differ from the
+ * defaults and the clock scene (elapsed time + tracked body state), so
+ * opening the link restores the exact moment that was shared.
+ */
+
+type Values = Record<string, unknown>;
+
+export interface Scene {
+  time: number; // simulated seconds
+  state: unknown; // recorder.capture() of the sketch
+}
+
+export interface SharedState {
+  schemaVersion: number;
+  inputs: Values;
+  scene: Scene | null;
+}
+
+// Compact keys of the encoded payload
+interface Payload {
+  v: number;
+  i: Values;
+  t?: number;
+  s?: unknown;
+}
+
+const FRAGMENT_PARAM = "s";
+const PRECISION = 9; // cifre significative: basta per riprendere la traiettoria
+
+/**
+ * URL of the simulation with inputs and (optionally) the current scene
+ * @param path - Page path, e.g. "/simulations/BouncingBall"
+ * @param search - Extra query string, e.g. "?controls=play" for embeds
+ */
+export function buildShareUrl(
+  path: string,
+  schema: InputSchema,
+  inputs: Values,
+  scene: Scene | null = null,
+  search = ""
+) {
+  const { schemaVersion } = serializeInputs(schema, inputs);
+
+  // Solo gli input modificati: i default li conosce già chi apre il link
+  const changed = Object.fromEntries(
+    Object.entries(inputs).filter(
+      ([key, value]) => schema.defaults[key] !== value
+    )
+  );
+
+  const payload: Payload = { v: schemaVersion, i: compact(changed) as Values };
+  if (scene) {
+    payload.t = round(scene.time);
+    payload.s = compact(scene.state);
+  }
+
+  const fragment = new URLSearchParams({
+    [FRAGMENT_PARAM]: toBase64Url(JSON.stringify(payload)),
+  });
+  return `${window.location.origin}${path}${search}#${fragment}`;
+}
+
+/**
+ * Decode the state shared in the current URL fragment, if any
+ */
+export function readSharedState(): SharedState | null {
+  if (typeof window === "undefined" || !window.location.hash) return null;
+
+  try {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const encoded = params.get(FRAGMENT_PARAM);
+    if (!encoded) return null;
+
+    const payload = JSON.parse(fromBase64Url(encoded)) as Payload;
+    if (typeof payload !== "object" || payload === null) return null;
+
+    return {
+      schemaVersion: Number(payload.v) || 1,
+      inputs: typeof payload.i === "object" && payload.i ? payload.i : {},
+      scene:
+        typeof payload.t === "number" && payload.s !== undefined
+          ? { time: payload.t, state: payload.s }
+          : null,
+    };
+  } catch (error) {
+    console.warn("[shareLink] Invalid shared state:", error);
+    return null;
+  }
+}
+
+/**
+ * Plain JSON copy of a snapshot: vectors (p5.Vector, planck.Vec2) become
+ * { x, y } and numbers are rounded
+ */
+function compact(value: unknown): unknown {
+  if (typeof value === "number") return round(value);
+  if (Array.isArray(value)) return value.map(compact);
+  if (typeof value !== "object" || value === null) return value;
+
+  const record = value as Values;
+  if (
+    Object.getPrototypeOf(value) !== Object.prototype &&
+    typeof record.x === "number" &&
+    typeof record.y === "number"
+  ) {
+    return { x: round(record.x), y: round(record.y) };
+  }
+
+  return Object.fromEntries(
+    Object.entries(record)
+      .filter(([, v]) => typeof v !== "function")
+      .map(([key, v]) => [key, compact(v)])
+  );
+}
+
+function round(value: number) {
+  return Number.isFinite(value) ? Number(value.toPrecision(PRECISION)) : 0;
+}
+
+function toBase64Url(text: string) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary)
+    .replaceAll("+", "-")
+    .replaceAll("/", "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded: string) {
+  const binary = atob(encoded.replaceAll("-", "+").replaceAll("_", "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
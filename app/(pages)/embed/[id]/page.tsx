@@ -0,0 +1,54 @@
+// app/(pages)/embed/[id]/page.tsx
+import chapters from "@/app/(core)/data/chapters";
+import SimulationWrapper from "../../simulations/[id]/_components/SimulationWrapper";
+import { EmbedProvider } from "@/app/(core)/context/EmbedProvider.tsx";
+import { notFound } from "next/navigation";
+import { Metadata } from "next";
+
+export const dynamicParams = false;
+
+type Props = {
+  params: Promise<{ id: string }>;
+};
+
+function getSimulationId(path: string): string {
+  const parts = path.split("simulations/");
+  return parts.length > 1 ? parts[1].split(/[?#]/)[0] : "";
+}
+
+export async function generateStaticParams() {
+  return chapters.map((chapter) => ({
+    id: getSimulationId(chapter.link),
+  }));
+}
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const { id } = await params;
+  const chapter = chapters.find((c) => getSimulationId(c.link) === id);
+
+  return {
+    title: chapter
+      ? `${chapter.name} | PhysicsHub`
+      : "Simulation Not Found | PhysicsHub",
+    // La pagina completa è /simulations/[id], l'embed non va indicizzato
+    robots: "noindex",
+  };
+}
+
+// Chrome-less simulation for iframes: canvas, minimal controls, postMessage API
+export default async function Page({ params }: Props) {
+  const { id } = await params;
+  const chapter = chapters.find((c) => getSimulationId(c.link) === id);
+
+  if (!chapter) {
+    notFound();
+  }
+
+  return (
+    <EmbedProvider>
+      <div className="simulation-page embed-page">
+        <SimulationWrapper id={id} />
+      </div>
+    </EmbedProvider>
+  );
+}
@@ -63,4 +63,28 @@ export const routes = [
     changefreq: "weekly",
     priority: 0.7,
   },
+  {
+    path: "/simulations/CoupledOscillators",
+    component: "CoupledOscillators",
+    changefreq: "weekly",
+    priority: 0.7,
+  },
+  {
+    path: "/simulations/NBody",
+    component: "NBody",
+    changefreq: "weekly",
+    priority: 0.7,
+  },
+  {
+    path: "/simulations/Electrostatics",
+    component: "Electrostatics",
+    changefreq: "weekly",
+    priority: 0.7,
+  },
+  {
+    path: "/simulations/DoublePendulum",
+    component: "DoublePendulum",
+    changefreq: "weekly",
+    priority: 0.7,
+  },
 ];
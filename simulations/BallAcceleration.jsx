@@ -7,9 +7,7 @@ import { usePathname } from "next/navigation.js";
 // --- Core Physics & Constants ---
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
@@ -27,6 +25,7 @@ import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState.ts";
@@ -36,9 +35,10 @@ import getBackgroundColor from "../app/(core)/utils/getBackgroundColor.ts";
 export default function BallAcceleration() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
@@ -47,7 +47,7 @@ export default function BallAcceleration() {
   const forceRendererRef = useRef(null);
 
   // Sim info
-  const { simData, updateSimInfo } = useSimInfo();
+  const { simData, updateSimInfo, series } = useSimInfo();
 
   const handleInputChange = useCallback(
     (name, value) => {
@@ -57,8 +57,9 @@ export default function BallAcceleration() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
       let trailLayer = null;
+      const stepper = createFixedStepper();
 
       const setupSimulation = () => {
         const w = p.width;
@@ -107,6 +108,11 @@ export default function BallAcceleration() {
         trailLayer.clear();
 
         setupSimulation();
+        // Timeline: the body state is all we need to rewind
+        clock.track({
+          capture: () => bodyRef.current.snapshot(),
+          restore: (snapshot) => bodyRef.current.restore(snapshot),
+        });
         p.background(getBackgroundColor());
       };
 
@@ -114,54 +120,66 @@ export default function BallAcceleration() {
         if (!bodyRef.current) return;
 
         const dt = computeDelta(p);
-        if (dt <= 0) return;
+        if (dt <= 0 && !clock.consumeRedraw()) return;
 
-        const { size, acceleration, maxspeed, color, trailEnabled } =
-          inputsRef.current;
+        const {
+          size,
+          acceleration,
+          maxspeed,
+          color,
+          trailEnabled,
+          integrator,
+        } = inputsRef.current;
 
         // Sync body parameters
         bodyRef.current.updateParams({
           size,
           color,
+          integrator,
         });
         bodyRef.current.trail.enabled = trailEnabled;
         bodyRef.current.trail.color = color;
 
         // Calculate acceleration toward mouse
         const target = p.createVector(toMeters(p.mouseX), toMeters(p.mouseY));
-        const offset = p.constructor.Vector.sub(
-          target,
-          bodyRef.current.state.position
-        );
-
-        let accelerationForce = p.createVector(0, 0);
-        if (offset.magSq() > 1e-8) {
-          const direction = offset.copy().normalize();
-          accelerationForce = direction.mult(
-            acceleration * bodyRef.current.params.mass
-          ); // F = ma
-        }
-
-        // Apply acceleration force
-        if (accelerationForce.magSq() > 0) {
-          bodyRef.current.applyForce(accelerationForce);
-        }
+        const computeAccelerationForce = () => {
+          const offset = p.constructor.Vector.sub(
+            target,
+            bodyRef.current.state.position
+          );
 
-        // Physics step
-        bodyRef.current.step(dt);
+          if (offset.magSq() <= 1e-8) return p.createVector(0, 0);
 
-        // Clamp velocity to max speed
-        if (bodyRef.current.state.velocity.mag() > maxspeed) {
-          bodyRef.current.state.velocity.setMag(maxspeed);
-        }
+          const direction = offset.copy().normalize();
+          return direction.mult(acceleration * bodyRef.current.params.mass); // F = ma
+        };
+
+        // Fixed-step physics
+        stepper.advance(dt, (h) => {
+          // Apply acceleration force
+          const force = computeAccelerationForce();
+          if (force.magSq() > 0) {
+            bodyRef.current.applyForce(force);
+          }
+
+          bodyRef.current.step(h);
+
+          // Clamp velocity to max speed
+          if (bodyRef.current.state.velocity.mag() > maxspeed) {
+            bodyRef.current.state.velocity.setMag(maxspeed);
+          }
+
+          // Keep in bounds
+          bodyRef.current.constrainToBounds(
+            size / 2,
+            toMeters(p.width) - size / 2,
+            size / 2,
+            toMeters(p.height) - size / 2
+          );
 
-        // Keep in bounds
-        bodyRef.current.constrainToBounds(
-          size / 2,
-          toMeters(p.width) - size / 2,
-          size / 2,
-          toMeters(p.height) - size / 2
-        );
+          clock.record(h);
+        });
+        const accelerationForce = computeAccelerationForce();
 
         // Render scene
         renderScene(p, { accelerationForce });
@@ -201,7 +219,10 @@ export default function BallAcceleration() {
 
         // Draw body
         bodyRef.current.checkHover(p, bodyRef.current.toScreenPosition());
-        const screenPos = bodyRef.current.draw(p, { hoverEffect: true });
+        const screenPos = bodyRef.current.draw(p, {
+          hoverEffect: true,
+          alpha: stepper.getAlpha(),
+        });
 
         // Draw vectors
         const renderer = forceRendererRef.current;
@@ -262,12 +283,10 @@ export default function BallAcceleration() {
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        const wasPaused = isPaused();
-        resetTime();
-        if (wasPaused) setPause(true);
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
@@ -284,7 +303,12 @@ export default function BallAcceleration() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} />
+          </>
+        }
       />
     </SimulationLayout>
   );
@@ -7,9 +7,7 @@ import { usePathname } from "next/navigation.js";
 // --- Core Physics & Constants ---
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
@@ -30,6 +28,7 @@ import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState.ts";
@@ -39,9 +38,10 @@ import getBackgroundColor from "../app/(core)/utils/getBackgroundColor.ts";
 export default function BallGravity() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
@@ -55,7 +55,7 @@ export default function BallGravity() {
   const maxHeightRef = useRef(0);
 
   // Sim info
-  const { simData, updateSimInfo } = useSimInfo({
+  const { simData, updateSimInfo, series } = useSimInfo({
     customRefs: { maxHeightRef },
   });
 
@@ -72,8 +72,9 @@ export default function BallGravity() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
       let trailLayer = null;
+      const stepper = createFixedStepper();
 
       const setupSimulation = () => {
         const w = p.width;
@@ -132,6 +133,11 @@ export default function BallGravity() {
         trailLayer.clear();
 
         setupSimulation();
+        // Timeline: the body state is all we need to rewind
+        clock.track({
+          capture: () => bodyRef.current.snapshot(),
+          restore: (snapshot) => bodyRef.current.restore(snapshot),
+        });
         p.background(getBackgroundColor());
       };
 
@@ -139,7 +145,7 @@ export default function BallGravity() {
         if (!bodyRef.current) return;
 
         const dt = computeDelta(p);
-        if (dt <= 0) return;
+        if (dt <= 0 && !clock.consumeRedraw()) return;
 
         const {
           mass,
@@ -150,6 +156,7 @@ export default function BallGravity() {
           size,
           restitution,
           frictionMu,
+          integrator,
         } = inputsRef.current;
 
         // Sync body parameters
@@ -158,53 +165,61 @@ export default function BallGravity() {
           size,
           color,
           restitution: Math.max(0, Math.min(1, restitution)),
+          integrator,
         });
         bodyRef.current.trail.enabled = trailEnabled;
         bodyRef.current.trail.color = color;
 
         // Calculate forces
         const gravityForce = ForceCalculator.gravity(mass, gravity);
-        bodyRef.current.applyForce(
-          p.createVector(gravityForce.x, gravityForce.y)
-        );
 
         // Wind force (when mouse pressed)
         let windForce = null;
         if (p.mouseIsPressed && wind > 0) {
           windForce = p.createVector(wind, 0);
-          bodyRef.current.applyForce(windForce);
         }
 
-        // Ground friction (simplified)
         const bottomM = toMeters(p.height);
-        const onGround =
+        const isOnGround = () =>
           bodyRef.current.state.position.y + size / 2 >= bottomM - 0.01;
-        if (
-          onGround &&
-          bodyRef.current.state.velocity.mag() > 0.01 &&
-          frictionMu > 0
-        ) {
-          const friction = ForceCalculator.friction(
-            mass * gravity, // Normal force
-            frictionMu,
-            frictionMu * 0.8,
-            bodyRef.current.state.velocity.x,
-            0
-          );
-          bodyRef.current.applyForce(p.createVector(friction, 0));
-        }
+        const onGround = isOnGround();
 
-        // Physics step (if not dragging)
+        // Fixed-step physics (if not dragging)
         if (!dragControllerRef.current.isDragging()) {
-          bodyRef.current.step(dt);
-
-          // Constrain to bounds
-          bodyRef.current.constrainToBounds(
-            size / 2,
-            toMeters(p.width) - size / 2,
-            size / 2,
-            toMeters(p.height) - size / 2
-          );
+          stepper.advance(dt, (h) => {
+            bodyRef.current.applyForce(
+              p.createVector(gravityForce.x, gravityForce.y)
+            );
+            if (windForce) bodyRef.current.applyForce(windForce);
+
+            // Ground friction (simplified)
+            if (
+              isOnGround() &&
+              bodyRef.current.state.velocity.mag() > 0.01 &&
+              frictionMu > 0
+            ) {
+              const friction = ForceCalculator.friction(
+                mass * gravity, // Normal force
+                frictionMu,
+                frictionMu * 0.8,
+                bodyRef.current.state.velocity.x,
+                0
+              );
+              bodyRef.current.applyForce(p.createVector(friction, 0));
+            }
+
+            bodyRef.current.step(h);
+
+            // Constrain to bounds
+            bodyRef.current.constrainToBounds(
+              size / 2,
+              toMeters(p.width) - size / 2,
+              size / 2,
+              toMeters(p.height) - size / 2
+            );
+
+            clock.record(h);
+          });
         }
 
         // Update max height
@@ -258,7 +273,10 @@ export default function BallGravity() {
 
         // Draw body
         bodyRef.current.checkHover(p, bodyRef.current.toScreenPosition());
-        const screenPos = bodyRef.current.draw(p, { hoverEffect: true });
+        const screenPos = bodyRef.current.draw(p, {
+          hoverEffect: true,
+          alpha: stepper.getAlpha(),
+        });
 
         // Draw forces
         const renderer = forceRendererRef.current;
@@ -337,10 +355,6 @@ export default function BallGravity() {
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        const wasPaused = isPaused();
-        resetTime();
-        if (wasPaused) setPause(true);
-
         maxHeightRef.current = 0;
         if (bodyRef.current) {
           const w = 800; // default width
@@ -356,6 +370,7 @@ export default function BallGravity() {
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
@@ -373,7 +388,12 @@ export default function BallGravity() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} />
+          </>
+        }
       />
 
       {/* Wind overlay */}
@@ -8,9 +8,7 @@ import { usePathname } from "next/navigation";
 import { toMeters } from "../app/(core)/constants/Utils.js";
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
@@ -30,6 +28,7 @@ import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState.ts";
@@ -39,9 +38,10 @@ import getBackgroundColor from "../app/(core)/utils/getBackgroundColor.ts";
 export default function BouncingBall() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
@@ -53,7 +53,7 @@ export default function BouncingBall() {
   const fallStartTimeRef = useRef(0);
 
   // Sim info
-  const { simData, updateSimInfo } = useSimInfo({
+  const { simData, updateSimInfo, series } = useSimInfo({
     customRefs: { maxHeightRef, fallStartTimeRef },
   });
 
@@ -70,8 +70,9 @@ export default function BouncingBall() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
       let trailLayer = null;
+      const stepper = createFixedStepper();
 
       const setupSimulation = () => {
         const w = p.width;
@@ -132,6 +133,11 @@ export default function BouncingBall() {
         trailLayer.clear();
 
         setupSimulation();
+        // Timeline: the body state is all we need to rewind
+        clock.track({
+          capture: () => bodyRef.current.snapshot(),
+          restore: (snapshot) => bodyRef.current.restore(snapshot),
+        });
 
         const bg = getBackgroundColor();
         const [r, g, b] = Array.isArray(bg) ? bg : [20, 20, 30];
@@ -143,10 +149,17 @@ export default function BouncingBall() {
         if (!bodyRef.current || !trailLayer) return;
 
         const dt = computeDelta(p);
-        if (dt <= 0) return;
+        if (dt <= 0 && !clock.consumeRedraw()) return;
 
-        const { size, gravity, trailEnabled, ballColor, mass, restitution } =
-          inputsRef.current;
+        const {
+          size,
+          gravity,
+          trailEnabled,
+          ballColor,
+          mass,
+          restitution,
+          integrator,
+        } = inputsRef.current;
 
         // Sync body parameters
         bodyRef.current.updateParams({
@@ -154,27 +167,33 @@ export default function BouncingBall() {
           size,
           color: ballColor,
           restitution,
+          integrator,
         });
         bodyRef.current.trail.enabled = trailEnabled;
         bodyRef.current.trail.color = ballColor;
 
-        // Apply gravity
         const gravityForce = ForceCalculator.gravity(mass, gravity);
-        bodyRef.current.applyForce(
-          p.createVector(gravityForce.x, gravityForce.y)
-        );
 
-        // Physics step (if not dragging)
+        // Fixed-step physics (if not dragging)
         if (!dragControllerRef.current.isDragging()) {
-          bodyRef.current.step(dt);
-
-          // Constrain to bounds
-          bodyRef.current.constrainToBounds(
-            size / 2,
-            toMeters(p.width) - size / 2,
-            size / 2,
-            toMeters(p.height) - size / 2
-          );
+          stepper.advance(dt, (h) => {
+            // Apply gravity
+            bodyRef.current.applyForce(
+              p.createVector(gravityForce.x, gravityForce.y)
+            );
+
+            bodyRef.current.step(h);
+
+            // Constrain to bounds
+            bodyRef.current.constrainToBounds(
+              size / 2,
+              toMeters(p.width) - size / 2,
+              size / 2,
+              toMeters(p.height) - size / 2
+            );
+
+            clock.record(h);
+          });
         }
 
         // Update max height
@@ -232,7 +251,10 @@ export default function BouncingBall() {
 
         // Draw body
         bodyRef.current.checkHover(p, bodyRef.current.toScreenPosition());
-        const screenPos = bodyRef.current.draw(p, { hoverEffect: true });
+        const screenPos = bodyRef.current.draw(p, {
+          hoverEffect: true,
+          alpha: stepper.getAlpha(),
+        });
 
         // Draw forces
         const renderer = forceRendererRef.current;
@@ -319,16 +341,10 @@ export default function BouncingBall() {
 
   // Reset handler
   const handleReset = useCallback(() => {
-    const wasPaused = isPaused();
-    resetTime();
-
     maxHeightRef.current = 0;
     fallStartTimeRef.current = 0;
 
-    setTimeout(() => {
-      if (wasPaused) setPause(true);
-      setResetVersion((v) => v + 1);
-    }, 0);
+    setResetVersion((v) => v + 1);
   }, []);
 
   return (
@@ -336,6 +352,7 @@ export default function BouncingBall() {
       resetVersion={resetVersion}
       onReset={handleReset}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
@@ -355,7 +372,12 @@ export default function BouncingBall() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} />
+          </>
+        }
       />
     </SimulationLayout>
   );
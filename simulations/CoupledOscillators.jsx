@@ -0,0 +1,337 @@
+// app/pages/simulations/CoupledOscillators.jsx
+"use client";
+
+import { useState, useCallback, useMemo, useRef } from "react";
+import { usePathname } from "next/navigation";
+
+// --- Core Physics & Constants ---
+import {
+  computeDelta,
+  createFixedStepper,
+} from "../app/(core)/constants/Time.js";
+import {
+  INITIAL_INPUTS,
+  INPUT_FIELDS,
+  SimInfoMapper,
+  getPlotPresets,
+} from "../app/(core)/data/configs/CoupledOscillators.js";
+import chapters from "../app/(core)/data/chapters.js";
+import {
+  toMeters,
+  toPixels,
+  setCanvasHeight,
+  physicsToScreen,
+} from "../app/(core)/constants/Utils.js";
+
+// --- Centralized Physics Components ---
+import PhysicsWorld from "../app/(core)/physics/PhysicsWorld.js";
+import SpringNetwork, {
+  chainNormalModes,
+} from "../app/(core)/physics/SpringNetwork.js";
+import DragController from "../app/(core)/physics/DragController.js";
+
+// --- Reusable UI Components ---
+import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
+import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
+import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
+import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
+
+// --- Hooks & Utils ---
+import useSimulationState from "../app/(core)/hooks/useSimulationState";
+import useSimInfo from "../app/(core)/hooks/useSimInfo";
+import getBackgroundColor from "../app/(core)/utils/getBackgroundColor";
+
+const WALL_MARGIN = 0.5; // m tra il bordo del canvas e le pareti
+
+export default function CoupledOscillators() {
+  const location = usePathname();
+  const storageKey = location.replaceAll(/[/#]/g, "");
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
+    INITIAL_INPUTS,
+    storageKey,
+    INPUT_FIELDS
+  );
+  const [resetVersion, setResetVersion] = useState(0);
+
+  // References
+  const worldRef = useRef(null);
+  const networkRef = useRef(null);
+  const dragControllerRef = useRef(null);
+
+  const { simData, updateSimInfo, series } = useSimInfo();
+
+  const handleInputChange = useCallback(
+    (name, value) => {
+      setInputs((prev) => ({ ...prev, [name]: value }));
+      // Masses and initial state define a new experiment: restart it
+      if (["numMasses", "initialMode", "amplitude"].includes(name)) {
+        setResetVersion((v) => v + 1);
+      }
+    },
+    [setInputs]
+  );
+
+  const theory = useMemo(
+    () => chapters.find((ch) => ch.link === location)?.theory,
+    [location]
+  );
+
+  const plotPresets = useMemo(
+    () => getPlotPresets(inputs.numMasses),
+    [inputs.numMasses]
+  );
+
+  const sketch = useCallback(
+    (p, clock) => {
+      const stepper = createFixedStepper();
+      let walls = null; // x of the two walls and y of the chain (m)
+      let equilibrium = []; // x at rest of every mass (m)
+
+      // Stiffness of every spring, wall to wall
+      const getStiffnesses = (n) => {
+        const { wallK, couplingK } = inputsRef.current;
+        return [wallK, ...Array(n - 1).fill(couplingK), wallK];
+      };
+
+      const getModes = () => {
+        const { numMasses, mass } = inputsRef.current;
+        return chainNormalModes(
+          Array(numMasses).fill(mass),
+          getStiffnesses(numMasses)
+        );
+      };
+
+      const setupSimulation = () => {
+        setCanvasHeight(p.height);
+
+        const {
+          numMasses,
+          mass,
+          massSize,
+          massColor,
+          springColor,
+          damping,
+          initialMode,
+          amplitude,
+        } = inputsRef.current;
+
+        walls = {
+          left: WALL_MARGIN,
+          right: toMeters(p.width) - WALL_MARGIN,
+          y: toMeters(p.height) / 2,
+        };
+
+        const network = SpringNetwork.chain(p, {
+          start: { x: walls.left, y: walls.y },
+          end: { x: walls.right, y: walls.y },
+          count: numMasses,
+          mass,
+          k: getStiffnesses(numMasses),
+          bodyParams: { size: massSize, color: massColor },
+          springConfig: { damping, color: springColor, numCoils: 12 },
+        });
+        equilibrium = network.bodies.map((body) => body.state.position.x);
+
+        // Initial displacement: one normal mode, or only the first mass
+        const modes = getModes();
+        const shape =
+          initialMode === "beats"
+            ? network.bodies.map((_, i) => (i === 0 ? 1 : 0))
+            : modes[Math.min(Number(initialMode), numMasses) - 1].shape;
+        network.bodies.forEach((body, i) => {
+          body.state.position.x += amplitude * shape[i];
+        });
+
+        const world = new PhysicsWorld(p, { collisions: false });
+        network.bodies.forEach((body) => world.addBody(body));
+        world.addForceField(network.asForceField());
+
+        worldRef.current = world;
+        networkRef.current = network;
+      };
+
+      p.setup = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.createCanvas(w, h);
+        setupSimulation();
+        dragControllerRef.current = new DragController();
+
+        // Timeline: positions and velocities of every mass
+        clock.track({
+          capture: () => worldRef.current.snapshot(),
+          restore: (snapshots) => worldRef.current.restore(snapshots),
+        });
+      };
+
+      p.draw = () => {
+        const world = worldRef.current;
+        const network = networkRef.current;
+        if (!world || !network) return;
+
+        const dt = computeDelta(p);
+        if (dt <= 0 && !clock.consumeRedraw()) return;
+
+        const {
+          mass,
+          massSize,
+          massColor,
+          springColor,
+          damping,
+          integrator,
+          numMasses,
+        } = inputsRef.current;
+
+        // 1. Sync parameters (springs in order: wall, couplings, wall)
+        const stiffnesses = getStiffnesses(numMasses);
+        network.springs.forEach((spring, i) => {
+          spring.k = stiffnesses[i];
+          spring.damping = damping;
+          spring.config.color = springColor;
+        });
+        network.bodies.forEach((body) =>
+          body.updateParams({ mass, size: massSize, color: massColor })
+        );
+        world.setIntegrator(integrator);
+
+        // 2. Fixed-step physics (paused while a mass is dragged)
+        if (!dragControllerRef.current.isDragging()) {
+          stepper.advance(dt, (h) => {
+            world.step(h);
+            clock.record(h);
+          });
+        }
+
+        // 3. Rendering
+        renderScene();
+
+        // 4. Energy of each mass and normal modes
+        updateSimInfo(
+          p,
+          {
+            displacements: network.bodies.map(
+              (body, i) => body.state.position.x - equilibrium[i]
+            ),
+            energies: network.bodies.map((body) => network.getBodyEnergy(body)),
+            totalEnergy: network.getTotalEnergy(),
+            modes: getModes(),
+          },
+          {},
+          SimInfoMapper
+        );
+      };
+
+      const renderScene = () => {
+        p.background(getBackgroundColor());
+
+        // Walls
+        const left = physicsToScreen({ x: walls.left, y: walls.y }, p);
+        const right = physicsToScreen({ x: walls.right, y: walls.y }, p);
+        const wallHeight = toPixels(1);
+        p.push();
+        p.stroke("#9ca3af");
+        p.strokeWeight(4);
+        p.line(
+          left.x,
+          left.y - wallHeight / 2,
+          left.x,
+          left.y + wallHeight / 2
+        );
+        p.line(
+          right.x,
+          right.y - wallHeight / 2,
+          right.x,
+          right.y + wallHeight / 2
+        );
+
+        // Equilibrium positions
+        p.strokeWeight(1);
+        p.drawingContext.setLineDash([4, 4]);
+        equilibrium.forEach((x) => {
+          const screen = physicsToScreen({ x, y: walls.y }, p);
+          p.line(screen.x, screen.y - 40, screen.x, screen.y + 40);
+        });
+        p.drawingContext.setLineDash([]);
+        p.pop();
+
+        networkRef.current.springs.forEach((spring) =>
+          spring.showLine(spring.bodyB, true)
+        );
+        networkRef.current.bodies.forEach((body, i) => {
+          body.checkHover(p, body.toScreenPosition());
+          const screenPos = body.draw(p, {
+            hoverEffect: true,
+            alpha: stepper.getAlpha(),
+          });
+
+          p.push();
+          p.noStroke();
+          p.fill(255);
+          p.textAlign(p.CENTER, p.CENTER);
+          p.textSize(12);
+          p.text(i + 1, screenPos.x, screenPos.y);
+          p.pop();
+        });
+      };
+
+      // Drag a mass along the line to set any initial state
+      p.mousePressed = () => {
+        dragControllerRef.current.handlePress(p, networkRef.current.bodies);
+      };
+
+      p.mouseDragged = () => {
+        const drag = dragControllerRef.current;
+        if (!drag.isDragging()) return;
+
+        const body = drag.getDraggedBody();
+        const x = toMeters(p.mouseX + drag.state.offset.x);
+        body.state.position.x = p.constrain(x, walls.left, walls.right);
+        body.state.velocity.set(0, 0);
+      };
+
+      p.mouseReleased = () => dragControllerRef.current.handleRelease();
+
+      p.windowResized = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.resizeCanvas(w, h);
+        setupSimulation();
+      };
+    },
+    [inputsRef, updateSimInfo]
+  );
+
+  return (
+    <SimulationLayout
+      resetVersion={resetVersion}
+      onReset={() => {
+        setResetVersion((v) => v + 1);
+      }}
+      inputs={inputs}
+      schema={schema}
+      simulation={location}
+      onLoad={(loaded) => {
+        setInputs(loaded);
+        setResetVersion((v) => v + 1);
+      }}
+      theory={theory}
+      dynamicInputs={
+        <DynamicInputs
+          config={INPUT_FIELDS}
+          values={inputs}
+          onChange={handleInputChange}
+        />
+      }
+    >
+      <P5Wrapper
+        sketch={sketch}
+        key={resetVersion}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} presets={plotPresets} />
+          </>
+        }
+      />
+    </SimulationLayout>
+  );
+}
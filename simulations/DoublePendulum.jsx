@@ -0,0 +1,321 @@
+// app/pages/simulations/DoublePendulum.jsx
+"use client";
+
+import { useState, useCallback, useMemo, useRef } from "react";
+import { usePathname } from "next/navigation";
+
+// --- Core Physics & Constants ---
+import {
+  computeDelta,
+  createFixedStepper,
+} from "../app/(core)/constants/Time.js";
+import {
+  INITIAL_INPUTS,
+  INPUT_FIELDS,
+  PLOT_PRESETS,
+  SimInfoMapper,
+} from "../app/(core)/data/configs/DoublePendulum.js";
+import chapters from "../app/(core)/data/chapters.js";
+import {
+  toMeters,
+  toPixels,
+  setCanvasHeight,
+  screenToPhysics,
+} from "../app/(core)/constants/Utils.js";
+
+// --- Centralized Physics Components ---
+import DoublePendulum from "../app/(core)/physics/DoublePendulum.js";
+
+// --- Reusable UI Components ---
+import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
+import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
+import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
+import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
+
+// --- Hooks & Utils ---
+import useSimulationState from "../app/(core)/hooks/useSimulationState";
+import useSimInfo from "../app/(core)/hooks/useSimInfo";
+import getBackgroundColor from "../app/(core)/utils/getBackgroundColor";
+
+const BOB_SIZE = 0.25; // m
+const TRAIL_LENGTH = 400;
+const DIVERGED = 1; // separazione oltre cui i gemelli sono "scorrelati"
+const DEG = Math.PI / 180;
+
+export default function DoublePendulumSim() {
+  const location = usePathname();
+  const storageKey = location.replaceAll(/[/#]/g, "");
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
+    INITIAL_INPUTS,
+    storageKey,
+    INPUT_FIELDS
+  );
+  const [resetVersion, setResetVersion] = useState(0);
+
+  // References
+  const pendulumRef = useRef(null);
+  const twinRef = useRef(null);
+
+  const { simData, updateSimInfo, series } = useSimInfo();
+
+  const handleInputChange = useCallback(
+    (name, value) => {
+      setInputs((prev) => ({ ...prev, [name]: value }));
+      // Le condizioni iniziali valgono solo dal reset
+      if (name === "theta1" || name === "theta2") {
+        setResetVersion((v) => v + 1);
+      }
+    },
+    [setInputs]
+  );
+
+  const theory = useMemo(
+    () => chapters.find((ch) => ch.link === location)?.theory,
+    [location]
+  );
+
+  const sketch = useCallback(
+    (p, clock) => {
+      const stepper = createFixedStepper();
+      let twinInfo = null; // { initialSeparation, time, divergenceTime }
+      let twinKey = null; // twinRun/twinOffset the twin was built with
+      let dragged = null; // index of the dragged bob
+
+      const getParams = () => {
+        const { m1, m2, L1, L2, gravity, damping } = inputsRef.current;
+        return { m1, m2, L1, L2, g: Math.abs(gravity), damping };
+      };
+
+      const createPendulum = (theta1, theta2, color) => {
+        const pendulum = new DoublePendulum(p, {
+          anchor: {
+            x: toMeters(p.width) / 2,
+            y: toMeters(p.height) * 0.6,
+          },
+          ...getParams(),
+          theta1,
+          theta2,
+          bobParams: { size: BOB_SIZE, color },
+        });
+        pendulum.bobs.forEach((bob) => {
+          bob.trail.enabled = inputsRef.current.trailEnabled;
+          bob.trail.maxLength = TRAIL_LENGTH;
+          bob.trail.color = color;
+        });
+        return pendulum;
+      };
+
+      // Twin: same state as the main pendulum, θ₁ shifted by the offset
+      const startTwin = () => {
+        const { twinRun, twinOffset, twinColor } = inputsRef.current;
+        twinKey = `${twinRun}:${twinOffset}`;
+        twinRef.current = null;
+        twinInfo = null;
+        if (!twinRun) return;
+
+        const main = pendulumRef.current;
+        const twin = createPendulum(
+          main.theta[0] + twinOffset * DEG,
+          main.theta[1],
+          twinColor
+        );
+        twin.omega = [...main.omega];
+        twin.syncBobs(0);
+        twinRef.current = twin;
+        twinInfo = {
+          initialSeparation: main.separationFrom(twin),
+          time: 0,
+          divergenceTime: null,
+        };
+      };
+
+      const setupSimulation = () => {
+        setCanvasHeight(p.height);
+        const { theta1, theta2, bobColor } = inputsRef.current;
+        pendulumRef.current = createPendulum(
+          theta1 * DEG,
+          theta2 * DEG,
+          bobColor
+        );
+        startTwin();
+      };
+
+      p.setup = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.createCanvas(w, h);
+        setupSimulation();
+
+        clock.track({
+          capture: () => ({
+            main: pendulumRef.current.snapshot(),
+            twin: twinRef.current?.snapshot() ?? null,
+            twinInfo: twinInfo && { ...twinInfo },
+          }),
+          restore: (snap) => {
+            pendulumRef.current.restore(snap.main);
+            if (snap.twin && twinRef.current) {
+              twinRef.current.restore(snap.twin);
+              twinInfo = { ...snap.twinInfo };
+            }
+          },
+        });
+      };
+
+      p.draw = () => {
+        const dt = computeDelta(p);
+        if (dt <= 0 && !clock.consumeRedraw()) return;
+
+        const {
+          integrator,
+          trailEnabled,
+          twinRun,
+          twinOffset,
+          bobColor,
+          twinColor,
+        } = inputsRef.current;
+        const main = pendulumRef.current;
+
+        // 1. Sync parameters (twin rebuilt when its settings change)
+        if (twinKey !== `${twinRun}:${twinOffset}`) startTwin();
+        const pendulums = [main, twinRef.current].filter(Boolean);
+        pendulums.forEach((pendulum) => {
+          pendulum.updateParams(getParams());
+          pendulum.bobs.forEach((bob) => {
+            bob.trail.enabled = trailEnabled;
+            if (!trailEnabled) bob.clearTrail();
+          });
+        });
+        [
+          [main, bobColor],
+          [twinRef.current, twinColor],
+        ].forEach(([pendulum, color]) =>
+          pendulum?.bobs.forEach((bob) => {
+            bob.params.color = color;
+            bob.trail.color = color;
+          })
+        );
+
+        // 2. Fixed-step physics (paused while a bob is dragged)
+        if (dragged === null) {
+          stepper.advance(dt, (h) => {
+            pendulums.forEach((pendulum) => pendulum.step(h, integrator));
+            if (twinInfo) {
+              twinInfo.time += h;
+              if (
+                twinInfo.divergenceTime === null &&
+                main.separationFrom(twinRef.current) > DIVERGED
+              ) {
+                twinInfo.divergenceTime = twinInfo.time;
+              }
+            }
+            clock.record(h);
+          });
+        }
+
+        // 3. Rendering
+        renderScene();
+
+        updateSimInfo(
+          p,
+          {
+            theta: main.theta,
+            omega: main.omega,
+            kinetic: main.getKineticEnergy(),
+            potential: main.getPotentialEnergy(),
+            twin: twinInfo && {
+              ...twinInfo,
+              separation: main.separationFrom(twinRef.current),
+            },
+          },
+          {},
+          SimInfoMapper
+        );
+      };
+
+      const renderScene = () => {
+        const { rodColor, twinColor } = inputsRef.current;
+        const alpha = dragged === null ? stepper.getAlpha() : undefined;
+        p.background(getBackgroundColor());
+
+        if (twinRef.current) {
+          twinRef.current.draw(p, { rodColor: twinColor, alpha });
+        }
+        pendulumRef.current.draw(p, { rodColor, alpha });
+      };
+
+      // Grab a bob of the main pendulum: it moves on its rod's circle
+      p.mousePressed = () => {
+        // Lower bob first: it is drawn on top
+        dragged =
+          [1, 0].find((i) => {
+            const screen = pendulumRef.current.bobs[i].toScreenPosition();
+            return (
+              Math.hypot(p.mouseX - screen.x, p.mouseY - screen.y) <
+              toPixels(BOB_SIZE)
+            );
+          }) ?? null;
+      };
+
+      p.mouseDragged = () => {
+        if (dragged === null) return;
+        const main = pendulumRef.current;
+        const mouse = screenToPhysics({ x: p.mouseX, y: p.mouseY }, p);
+        const pivot = dragged === 0 ? main.anchor : main.bobs[0].state.position;
+        const angle = Math.atan2(mouse.x - pivot.x, pivot.y - mouse.y);
+        const theta = [...main.theta];
+        theta[dragged] = angle;
+        main.setAngles(theta[0], theta[1]);
+      };
+
+      p.mouseReleased = () => {
+        if (dragged === null) return;
+        dragged = null;
+        pendulumRef.current.bobs.forEach((bob) => bob.clearTrail());
+        startTwin();
+      };
+
+      p.windowResized = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.resizeCanvas(w, h);
+        setupSimulation();
+      };
+    },
+    [inputsRef, updateSimInfo]
+  );
+
+  return (
+    <SimulationLayout
+      resetVersion={resetVersion}
+      onReset={() => {
+        setResetVersion((v) => v + 1);
+      }}
+      inputs={inputs}
+      schema={schema}
+      simulation={location}
+      onLoad={(loaded) => {
+        setInputs(loaded);
+        setResetVersion((v) => v + 1);
+      }}
+      theory={theory}
+      dynamicInputs={
+        <DynamicInputs
+          config={INPUT_FIELDS}
+          values={inputs}
+          onChange={handleInputChange}
+        />
+      }
+    >
+      <P5Wrapper
+        sketch={sketch}
+        key={resetVersion}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} presets={PLOT_PRESETS} />
+          </>
+        }
+      />
+    </SimulationLayout>
+  );
+}
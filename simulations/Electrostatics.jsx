@@ -0,0 +1,478 @@
+// app/pages/simulations/Electrostatics.jsx
+"use client";
+
+import { useState, useCallback, useMemo, useRef } from "react";
+import { usePathname } from "next/navigation";
+
+// --- Core Physics & Constants ---
+import {
+  computeDelta,
+  createFixedStepper,
+} from "../app/(core)/constants/Time.js";
+import {
+  INITIAL_INPUTS,
+  INPUT_FIELDS,
+  PRESETS,
+  PLOT_PRESETS,
+  MICRO,
+  GRAM,
+  SimInfoMapper,
+} from "../app/(core)/data/configs/Electrostatics.js";
+import chapters from "../app/(core)/data/chapters.js";
+import {
+  toMeters,
+  setCanvasHeight,
+  physicsToScreen,
+  screenToPhysics,
+} from "../app/(core)/constants/Utils.js";
+import { CONSTANTS } from "../app/(core)/constants/Config.js";
+
+// --- Centralized Physics Components ---
+import PhysicsBody from "../app/(core)/physics/PhysicsBody.js";
+import DragController from "../app/(core)/physics/DragController.js";
+import {
+  electricField,
+  electricPotential,
+  electricForceModel,
+  fieldLines,
+  equipotentials,
+} from "../app/(core)/physics/Electrostatics.js";
+
+// --- Reusable UI Components ---
+import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
+import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
+import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
+import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
+
+// --- Hooks & Utils ---
+import useSimulationState from "../app/(core)/hooks/useSimulationState";
+import useSimInfo from "../app/(core)/hooks/useSimInfo";
+import getBackgroundColor from "../app/(core)/utils/getBackgroundColor";
+
+const SOURCE_SIZE = 0.3; // m
+const TEST_SIZE = 0.1; // m
+const SOFTENING = 0.05; // m, le cariche di prova attraversano le sorgenti
+const LAUNCH_SCALE = 2; // m/s per metro di trascinamento
+const MAX_TEST_CHARGES = 20;
+// Equipotenziali: potenziale di una sola carica |Q| a queste distanze
+const CONTOUR_RADII = [0.3, 0.5, 0.8, 1.3, 2, 3.2];
+
+export default function Electrostatics() {
+  const location = usePathname();
+  const storageKey = location.replaceAll(/[/#]/g, "");
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
+    INITIAL_INPUTS,
+    storageKey,
+    INPUT_FIELDS
+  );
+  const [resetVersion, setResetVersion] = useState(0);
+
+  // References
+  const sourcesRef = useRef([]);
+  const testsRef = useRef([]);
+  const dragControllerRef = useRef(null);
+
+  const { simData, updateSimInfo, series } = useSimInfo();
+
+  const handleInputChange = useCallback(
+    (name, value) => {
+      setInputs((prev) => ({ ...prev, [name]: value }));
+      if (name === "preset") setResetVersion((v) => v + 1);
+    },
+    [setInputs]
+  );
+
+  const theory = useMemo(
+    () => chapters.find((ch) => ch.link === location)?.theory,
+    [location]
+  );
+
+  const sketch = useCallback(
+    (p, clock) => {
+      const stepper = createFixedStepper();
+      let nextTestId = 0; // matches restored test charges with the live ones
+      let launch = null; // { start } while a test charge is being aimed
+      let cache = { key: null, lines: [], contours: [] };
+
+      // Source charges in the form used by Electrostatics.js (q in C)
+      const getCharges = () => {
+        const { chargeMagnitude } = inputsRef.current;
+        return sourcesRef.current.map((body) => ({
+          q: body.params.sign * chargeMagnitude * MICRO,
+          position: body.state.position,
+        }));
+      };
+
+      const getBounds = () => ({
+        minX: 0,
+        maxX: toMeters(p.width),
+        minY: 0,
+        maxY: toMeters(p.height),
+      });
+
+      // New test charge: charge q (C) and mass (kg) default to the inputs and
+      // stay its own, like the colour of its sign
+      const createTestCharge = ({ id, q, mass, position, velocity }) => {
+        const { testCharge, testMass, trailEnabled } = inputsRef.current;
+        const charge = q ?? testCharge * MICRO;
+        const body = new PhysicsBody(p, {
+          testId: id ?? nextTestId++,
+          q: charge,
+          mass: mass ?? testMass * GRAM,
+          size: TEST_SIZE,
+          color: charge >= 0 ? "#fbbf24" : "#22d3ee",
+          shape: "circle",
+          position: p.createVector(position.x, position.y),
+          velocity: p.createVector(velocity.x, velocity.y),
+          forceModel: electricForceModel(
+            getCharges,
+            charge,
+            CONSTANTS.coulombK,
+            SOFTENING
+          ),
+        });
+        body.trail.enabled = trailEnabled;
+        body.trail.maxLength = 300;
+        return body;
+      };
+
+      const setupSimulation = () => {
+        setCanvasHeight(p.height);
+
+        const { preset } = inputsRef.current;
+        const cx = toMeters(p.width) / 2;
+        const cy = toMeters(p.height) / 2;
+        sourcesRef.current = (PRESETS[preset] ?? PRESETS.dipole).charges.map(
+          ({ sign, x, y }) =>
+            new PhysicsBody(p, {
+              sign,
+              mass: Infinity,
+              size: SOURCE_SIZE,
+              color: sign > 0 ? "#ef4444" : "#3b82f6",
+              shape: "circle",
+              position: p.createVector(cx + x, cy + y),
+            })
+        );
+        testsRef.current = [];
+        cache.key = null;
+      };
+
+      // Field lines and contours only change when the sources do
+      const updateFieldCache = () => {
+        const { chargeMagnitude, linesPerCharge } = inputsRef.current;
+        const charges = getCharges();
+        const key = JSON.stringify([
+          charges.map(({ q, position }) => [q, position.x, position.y]),
+          linesPerCharge,
+          p.width,
+          p.height,
+        ]);
+        if (key === cache.key) return;
+
+        const bounds = getBounds();
+        const V0 = CONSTANTS.coulombK * chargeMagnitude * MICRO;
+        const levels = CONTOUR_RADII.flatMap((r) => [V0 / r, -V0 / r]);
+        const mixedSigns =
+          charges.some(({ q }) => q > 0) && charges.some(({ q }) => q < 0);
+        if (mixedSigns) levels.push(0);
+
+        cache = {
+          key,
+          lines: fieldLines(charges, {
+            linesPerCharge: Math.round(linesPerCharge),
+            seedRadius: SOURCE_SIZE / 2,
+            bounds: {
+              minX: bounds.minX - 1,
+              maxX: bounds.maxX + 1,
+              minY: bounds.minY - 1,
+              maxY: bounds.maxY + 1,
+            },
+          }),
+          contours: equipotentials(
+            charges,
+            levels,
+            bounds,
+            0.1,
+            CONSTANTS.coulombK,
+            SOFTENING
+          ),
+        };
+      };
+
+      p.setup = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.createCanvas(w, h);
+        setupSimulation();
+        dragControllerRef.current = new DragController();
+
+        // Timeline: sources and the test charges alive at each step
+        clock.track({
+          capture: () => ({
+            sources: sourcesRef.current.map((body) => body.snapshot()),
+            // Whole state, not references: charges gone from the scene are
+            // rebuilt from here and nothing else has to keep them alive
+            tests: testsRef.current.map((body) => ({
+              id: body.params.testId,
+              q: body.params.q,
+              mass: body.params.mass,
+              state: body.snapshot(),
+            })),
+          }),
+          restore: ({ sources, tests }) => {
+            sources.forEach((s, i) => sourcesRef.current[i]?.restore(s));
+            testsRef.current = tests.map(({ id, q, mass, state }) => {
+              const body =
+                testsRef.current.find(({ params }) => params.testId === id) ??
+                createTestCharge({ id, q, mass, ...state });
+              body.restore(state);
+              return body;
+            });
+          },
+        });
+      };
+
+      p.draw = () => {
+        const dt = computeDelta(p);
+        if (dt <= 0 && !clock.consumeRedraw()) return;
+
+        const { integrator, trailEnabled } = inputsRef.current;
+        const bounds = getBounds();
+
+        // 1. Sync the trails (charge and mass are fixed at launch)
+        testsRef.current.forEach((body) => {
+          body.trail.enabled = trailEnabled;
+          if (!trailEnabled) body.clearTrail();
+        });
+
+        // 2. Fixed-step physics: only the test charges move
+        stepper.advance(dt, (h) => {
+          testsRef.current.forEach((body) => body.step(h, integrator));
+
+          // Absorbed by a source or gone off screen
+          testsRef.current = testsRef.current.filter(({ state }) => {
+            const absorbed = sourcesRef.current.some(
+              (source) =>
+                source.state.position.dist(state.position) < SOURCE_SIZE / 2
+            );
+            const outside =
+              state.position.x < bounds.minX - 1 ||
+              state.position.x > bounds.maxX + 1 ||
+              state.position.y < bounds.minY - 1 ||
+              state.position.y > bounds.maxY + 1;
+            return !absorbed && !outside;
+          });
+          clock.record(h);
+        });
+
+        // 3. Rendering
+        updateFieldCache();
+        renderScene();
+
+        // 4. Probe under the mouse and energy of the last test charge
+        const charges = getCharges();
+        const mouse = screenToPhysics({ x: p.mouseX, y: p.mouseY }, p);
+        const probe = insideCanvas()
+          ? {
+              field: electricField(
+                charges,
+                mouse,
+                CONSTANTS.coulombK,
+                SOFTENING
+              ),
+              potential: electricPotential(
+                charges,
+                mouse,
+                CONSTANTS.coulombK,
+                SOFTENING
+              ),
+            }
+          : null;
+
+        const last = testsRef.current[testsRef.current.length - 1];
+        const test = last
+          ? {
+              speed: last.state.velocity.mag(),
+              kinetic: last.getKineticEnergy(),
+              potential:
+                last.params.q *
+                electricPotential(
+                  charges,
+                  last.state.position,
+                  CONSTANTS.coulombK,
+                  SOFTENING
+                ),
+            }
+          : null;
+
+        updateSimInfo(
+          p,
+          { probe, test, testCount: testsRef.current.length },
+          {},
+          SimInfoMapper
+        );
+      };
+
+      const renderScene = () => {
+        const { showFieldLines, showEquipotentials } = inputsRef.current;
+        p.background(getBackgroundColor());
+
+        if (showEquipotentials) {
+          p.push();
+          p.strokeWeight(1);
+          cache.contours.forEach(({ level, segments }) => {
+            if (level > 0) p.stroke(239, 68, 68, 120);
+            else if (level < 0) p.stroke(59, 130, 246, 120);
+            else p.stroke(156, 163, 175, 160);
+            segments.forEach(([a, b]) => {
+              const sa = physicsToScreen(a, p);
+              const sb = physicsToScreen(b, p);
+              p.line(sa.x, sa.y, sb.x, sb.y);
+            });
+          });
+          p.pop();
+        }
+
+        if (showFieldLines) {
+          p.push();
+          p.noFill();
+          p.stroke(255, 255, 255, 140);
+          p.strokeWeight(1.2);
+          cache.lines.forEach((line) => {
+            p.beginShape();
+            line.forEach((point) => {
+              const screen = physicsToScreen(point, p);
+              p.vertex(screen.x, screen.y);
+            });
+            p.endShape();
+            drawLineArrow(line);
+          });
+          p.pop();
+        }
+
+        // Test charges (with trails)
+        testsRef.current.forEach((body) =>
+          body.draw(p, { alpha: stepper.getAlpha() })
+        );
+
+        // Source charges
+        sourcesRef.current.forEach((body) => {
+          body.checkHover(p, body.toScreenPosition());
+          const screenPos = body.draw(p, { hoverEffect: true });
+          p.push();
+          p.noStroke();
+          p.fill(255);
+          p.textAlign(p.CENTER, p.CENTER);
+          p.textSize(18);
+          p.text(body.params.sign > 0 ? "+" : "−", screenPos.x, screenPos.y);
+          p.pop();
+        });
+
+        // Launch arrow: the test charge starts with the dragged velocity
+        if (launch) {
+          const start = physicsToScreen(launch.start, p);
+          p.push();
+          p.stroke(255);
+          p.strokeWeight(2);
+          p.drawingContext.setLineDash([5, 5]);
+          p.line(start.x, start.y, p.mouseX, p.mouseY);
+          p.drawingContext.setLineDash([]);
+          p.pop();
+        }
+      };
+
+      // Small arrowhead halfway along a field line, pointing along E
+      const drawLineArrow = (line) => {
+        if (line.length < 4) return;
+        const i = Math.floor(line.length / 2);
+        const a = physicsToScreen(line[i - 1], p);
+        const b = physicsToScreen(line[i], p);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        p.push();
+        p.translate(b.x, b.y);
+        p.rotate(angle);
+        p.fill(255, 255, 255, 160);
+        p.noStroke();
+        p.triangle(0, 0, -8, -4, -8, 4);
+        p.pop();
+      };
+
+      const insideCanvas = () =>
+        p.mouseX >= 0 &&
+        p.mouseX <= p.width &&
+        p.mouseY >= 0 &&
+        p.mouseY <= p.height;
+
+      // Drag a source charge, or press on empty space to launch a test charge
+      p.mousePressed = () => {
+        if (!insideCanvas()) return;
+        if (dragControllerRef.current.handlePress(p, sourcesRef.current)) {
+          return;
+        }
+        launch = { start: screenToPhysics({ x: p.mouseX, y: p.mouseY }, p) };
+      };
+
+      p.mouseDragged = () => {
+        dragControllerRef.current.handleDrag(p);
+      };
+
+      p.mouseReleased = () => {
+        dragControllerRef.current.handleRelease();
+        if (!launch) return;
+
+        const end = screenToPhysics({ x: p.mouseX, y: p.mouseY }, p);
+        const body = createTestCharge({
+          position: launch.start,
+          velocity: {
+            x: (end.x - launch.start.x) * LAUNCH_SCALE,
+            y: (end.y - launch.start.y) * LAUNCH_SCALE,
+          },
+        });
+        testsRef.current = [...testsRef.current, body].slice(-MAX_TEST_CHARGES);
+        launch = null;
+      };
+
+      p.windowResized = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.resizeCanvas(w, h);
+        setupSimulation();
+      };
+    },
+    [inputsRef, updateSimInfo]
+  );
+
+  return (
+    <SimulationLayout
+      resetVersion={resetVersion}
+      onReset={() => {
+        setResetVersion((v) => v + 1);
+      }}
+      inputs={inputs}
+      schema={schema}
+      simulation={location}
+      onLoad={(loaded) => {
+        setInputs(loaded);
+        setResetVersion((v) => v + 1);
+      }}
+      theory={theory}
+      dynamicInputs={
+        <DynamicInputs
+          config={INPUT_FIELDS}
+          values={inputs}
+          onChange={handleInputChange}
+        />
+      }
+    >
+      <P5Wrapper
+        sketch={sketch}
+        key={resetVersion}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} presets={PLOT_PRESETS} />
+          </>
+        }
+      />
+    </SimulationLayout>
+  );
+}
@@ -7,9 +7,7 @@ import { usePathname } from "next/navigation.js";
 // --- Core Physics & Constants ---
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
@@ -30,19 +28,25 @@ import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState.ts";
 import useSimInfo from "../app/(core)/hooks/useSimInfo.ts";
 import getBackgroundColor from "../app/(core)/utils/getBackgroundColor.ts";
 
+const PULLEY_RADIUS = 0.12; // m
+const HANGING_SIZE = 0.35; // m
+const SLACK_TOLERANCE = 1e-6; // m
+
 export default function InclinedPlane() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
 
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
@@ -54,7 +58,7 @@ export default function InclinedPlane() {
   const dragControllerRef = useRef(null);
 
   // Sim info
-  const { simData, updateSimInfo } = useSimInfo();
+  const { simData, updateSimInfo, series } = useSimInfo();
 
   const handleInputChange = useCallback(
     (name, value) => {
@@ -69,8 +73,22 @@ export default function InclinedPlane() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
       let trailLayer = null;
+      const stepper = createFixedStepper();
+      // Hanging mass in rope coordinates: depth below the pulley, measured
+      // like posAlongPlane, and downward velocity. Taut rope: same as the block
+      const hanging = { depth: 0, velocity: 0 };
+
+      const tightenRope = () => {
+        hanging.depth = bodyRef.current.planeState.posAlongPlane;
+        hanging.velocity = bodyRef.current.planeState.velAlongPlane;
+      };
+
+      // The hanging mass is above where a taut rope would hold it
+      const isRopeSlack = () =>
+        hanging.depth <
+        bodyRef.current.planeState.posAlongPlane - SLACK_TOLERANCE;
 
       const setupSimulation = () => {
         const w = p.width;
@@ -106,6 +124,7 @@ export default function InclinedPlane() {
         } else {
           bodyRef.current.reset(initialPos);
         }
+        tightenRope();
 
         // Initialize force calculator
         if (!forceCalculatorRef.current) {
@@ -116,6 +135,8 @@ export default function InclinedPlane() {
             frictionKinetic: inputsRef.current.frictionKinetic,
             appliedForce: inputsRef.current.appliedForce,
             appliedAngle: inputsRef.current.appliedAngle,
+            pulley: inputsRef.current.pulley,
+            hangingMass: inputsRef.current.hangingMass,
           });
         }
 
@@ -149,6 +170,17 @@ export default function InclinedPlane() {
         trailLayer.clear();
 
         setupSimulation();
+        // Timeline: the block and the hanging mass (apart on a slack rope)
+        clock.track({
+          capture: () => ({
+            body: bodyRef.current.snapshot(),
+            hanging: { ...hanging },
+          }),
+          restore: (snapshot) => {
+            bodyRef.current.restore(snapshot.body);
+            Object.assign(hanging, snapshot.hanging);
+          },
+        });
         p.background(getBackgroundColor());
       };
 
@@ -163,6 +195,7 @@ export default function InclinedPlane() {
           mass: inputsRef.current.mass,
           size: inputsRef.current.size,
           color: inputsRef.current.blockColor,
+          integrator: inputsRef.current.integrator,
         });
         bodyRef.current.trail.enabled = inputsRef.current.trailEnabled;
         bodyRef.current.trail.color = inputsRef.current.blockColor;
@@ -175,23 +208,41 @@ export default function InclinedPlane() {
           frictionKinetic: inputsRef.current.frictionKinetic,
           appliedForce: inputsRef.current.appliedForce,
           appliedAngle: inputsRef.current.appliedAngle,
+          pulley: inputsRef.current.pulley,
+          hangingMass: inputsRef.current.hangingMass,
         });
 
         // Calculate forces
-        const forces = forceCalculatorRef.current.calculate(
-          bodyRef.current,
-          bodyRef.current.isMoving
-        );
+        const calculateForces = () =>
+          forceCalculatorRef.current.calculate(
+            bodyRef.current,
+            bodyRef.current.isMoving,
+            isRopeSlack()
+          );
 
-        // Physics step (if not dragging)
-        if (!dragControllerRef.current.isDragging() && dt > 0) {
-          bodyRef.current.stepAlongPlane(dt, forces.netParallel, angleRad);
+        // Dragged block or no pulley: the rope just follows the block
+        const dragging = dragControllerRef.current.isDragging();
+        if (dragging || !inputsRef.current.pulley) tightenRope();
+
+        // Fixed-step physics (if not dragging)
+        if (!dragging && dt > 0) {
+          const steps = stepper.advance(dt, (h) => {
+            const stepForces = calculateForces();
+            bodyRef.current.stepAlongPlane(h, stepForces.netParallel);
+            if (inputsRef.current.pulley) {
+              constrainToPulley(angleRad);
+              followRope(h, stepForces.hanging);
+            }
+
+            clock.record(h);
+          });
 
           // Update trail
-          if (bodyRef.current.trail.enabled) {
+          if (steps > 0 && bodyRef.current.trail.enabled) {
             bodyRef.current.updateTrailOnPlane();
           }
         }
+        const forces = calculateForces();
 
         // Render scene
         renderScene(p, angleRad, forces);
@@ -204,6 +255,8 @@ export default function InclinedPlane() {
             vel: bodyRef.current.planeState.velAlongPlane,
             acc: bodyRef.current.planeState.accAlongPlane,
             mass: bodyRef.current.params.mass,
+            hangingDepth: hanging.depth,
+            hangingVel: hanging.velocity,
             kineticEnergy: bodyRef.current.getKineticEnergy(),
             potentialEnergy: bodyRef.current.getPotentialEnergy(
               inputsRef.current.gravity,
@@ -219,6 +272,45 @@ export default function InclinedPlane() {
         );
       };
 
+      /**
+       * With the pulley the rope has fixed length: the hanging mass drops
+       * by as much as the block climbs, and the block stops (inelastic)
+       * at the pulley or when the hanging mass reaches the ground
+       */
+      const constrainToPulley = (angleRad) => {
+        const plane = planeRef.current;
+        const topHeight = plane.length * Math.sin(angleRad);
+        const stopped = bodyRef.current.constrainToPlane(plane.length, {
+          maxPos: topHeight - HANGING_SIZE / 2,
+          restitution: 0,
+        });
+        if (stopped) bodyRef.current.isMoving = false;
+      };
+
+      /**
+       * Hanging mass after a step: on a slack rope it falls freely until the
+       * rope is taut again, then the jerk (inelastic) shares the momentum of
+       * the two masses along the rope
+       */
+      const followRope = (dt, forces) => {
+        const body = bodyRef.current;
+        if (forces.slack) {
+          hanging.velocity += inputsRef.current.gravity * dt;
+          hanging.depth += hanging.velocity * dt;
+          if (hanging.depth < body.planeState.posAlongPlane) return;
+
+          const m1 = body.params.mass;
+          const velocity =
+            (m1 * body.planeState.velAlongPlane +
+              forces.mass * hanging.velocity) /
+            (m1 + forces.mass);
+          body.planeState.velAlongPlane = velocity;
+          body.state.velocity.set(velocity, 0);
+          body.isMoving = Math.abs(velocity) > 0.001;
+        }
+        tightenRope();
+      };
+
       const renderScene = (p, angleRad, forces) => {
         const bg = getBackgroundColor();
         const [r, g, b] = Array.isArray(bg) ? bg : [20, 20, 30];
@@ -247,6 +339,10 @@ export default function InclinedPlane() {
           { alignToPlane: true, hoverEffect: true }
         );
 
+        if (inputsRef.current.pulley) {
+          drawPulley(p, angleRad, screenPos, forces);
+        }
+
         // Draw forces
         if (inputsRef.current.showForces) {
           forceRendererRef.current.drawInclinedPlaneForces(
@@ -262,6 +358,51 @@ export default function InclinedPlane() {
         }
       };
 
+      // Pulley at the top of the incline, rope and hanging mass
+      const drawPulley = (p, angleRad, blockPos, forces) => {
+        const plane = planeRef.current;
+        const top = {
+          x: plane.startX + toPixels(plane.length) * Math.cos(angleRad),
+          y: plane.startY - toPixels(plane.length) * Math.sin(angleRad),
+        };
+        const r = toPixels(PULLEY_RADIUS);
+        const hangingPos = {
+          x: top.x + r,
+          y: top.y + toPixels(hanging.depth),
+        };
+        const hangingPx = toPixels(HANGING_SIZE);
+
+        p.push();
+        // Rope: parallel to the plane, then straight down
+        p.stroke(220);
+        p.strokeWeight(2);
+        p.line(blockPos.x, blockPos.y, top.x, top.y);
+        p.line(hangingPos.x, top.y, hangingPos.x, hangingPos.y);
+
+        // Wheel
+        p.fill(120, 120, 140);
+        p.stroke(200);
+        p.circle(top.x, top.y, r * 2);
+        p.fill(200);
+        p.noStroke();
+        p.circle(top.x, top.y, 6);
+
+        // Hanging mass
+        p.fill(inputsRef.current.hangingColor);
+        p.rectMode(p.CENTER);
+        p.rect(hangingPos.x, hangingPos.y, hangingPx, hangingPx);
+        p.pop();
+
+        if (inputsRef.current.showForces && forces.hanging) {
+          forceRendererRef.current.drawHangingMassForces(
+            p,
+            hangingPos.x,
+            hangingPos.y,
+            forces.hanging
+          );
+        }
+      };
+
       const drawPlane = (layer, angleRad) => {
         const plane = planeRef.current;
         const planeEndX =
@@ -355,10 +496,6 @@ export default function InclinedPlane() {
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        const wasPaused = isPaused();
-        resetTime();
-        if (wasPaused) setPause(true);
-
         // Reset body
         if (bodyRef.current) {
           const initialPos = inputsRef.current.size / 2 + 1;
@@ -368,6 +505,7 @@ export default function InclinedPlane() {
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
@@ -385,7 +523,12 @@ export default function InclinedPlane() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} />
+          </>
+        }
       />
     </SimulationLayout>
   );
@@ -0,0 +1,354 @@
+// app/pages/simulations/NBody.jsx
+"use client";
+
+import { useState, useCallback, useMemo, useRef } from "react";
+import { usePathname } from "next/navigation";
+
+// --- Core Physics & Constants ---
+import {
+  computeDelta,
+  createFixedStepper,
+} from "../app/(core)/constants/Time.js";
+import {
+  INITIAL_INPUTS,
+  INPUT_FIELDS,
+  PRESETS,
+  PLOT_PRESETS,
+  SimInfoMapper,
+} from "../app/(core)/data/configs/NBody.js";
+import chapters from "../app/(core)/data/chapters.js";
+import {
+  toMeters,
+  setCanvasHeight,
+  physicsToScreen,
+  screenToPhysics,
+} from "../app/(core)/constants/Utils.js";
+
+// --- Centralized Physics Components ---
+import PhysicsBody from "../app/(core)/physics/PhysicsBody.js";
+import NBodySystem, { conicPoints } from "../app/(core)/physics/NBody.js";
+
+// --- Reusable UI Components ---
+import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
+import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
+import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
+import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
+
+// --- Hooks & Utils ---
+import useSimulationState from "../app/(core)/hooks/useSimulationState";
+import useSimInfo from "../app/(core)/hooks/useSimInfo";
+import getBackgroundColor from "../app/(core)/utils/getBackgroundColor";
+
+const LAUNCH_SCALE = 2; // m/s per metro di trascinamento
+const TRAIL_LENGTH = 400;
+
+export default function NBody() {
+  const location = usePathname();
+  const storageKey = location.replaceAll(/[/#]/g, "");
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
+    INITIAL_INPUTS,
+    storageKey,
+    INPUT_FIELDS
+  );
+  const [resetVersion, setResetVersion] = useState(0);
+
+  // References
+  const systemRef = useRef(null);
+
+  const { simData, updateSimInfo, series } = useSimInfo();
+
+  const handleInputChange = useCallback(
+    (name, value) => {
+      setInputs((prev) => ({ ...prev, [name]: value }));
+      // A new preset (or G, which scales its velocities) restarts the orbits
+      if (["preset", "G"].includes(name)) {
+        setResetVersion((v) => v + 1);
+      }
+    },
+    [setInputs]
+  );
+
+  const theory = useMemo(
+    () => chapters.find((ch) => ch.link === location)?.theory,
+    [location]
+  );
+
+  const sketch = useCallback(
+    (p, clock) => {
+      const stepper = createFixedStepper();
+      let created = []; // every body ever added, in order (timeline restore)
+      let launch = null; // { start } while a new body is being aimed
+
+      const makeBody = ({ name, mass, size, color, x, y, vx, vy }) => {
+        const body = new PhysicsBody(p, {
+          name,
+          mass,
+          size,
+          color,
+          shape: "circle",
+          position: p.createVector(x, y),
+          velocity: p.createVector(vx, vy),
+        });
+        body.trail.enabled = inputsRef.current.trailEnabled;
+        body.trail.maxLength = TRAIL_LENGTH;
+        return body;
+      };
+
+      const setupSimulation = () => {
+        setCanvasHeight(p.height);
+
+        const { preset, G, softening } = inputsRef.current;
+        const system = new NBodySystem(p, { G, softening });
+
+        // Presets are around the origin: move them to the canvas center
+        const cx = toMeters(p.width) / 2;
+        const cy = toMeters(p.height) / 2;
+        (PRESETS[preset] ?? PRESETS.earthMoon)
+          .create(G)
+          .forEach((spec) =>
+            system.addBody(
+              makeBody({ ...spec, x: spec.x + cx, y: spec.y + cy })
+            )
+          );
+
+        created = [...system.bodies];
+        systemRef.current = system;
+      };
+
+      p.setup = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.createCanvas(w, h);
+        setupSimulation();
+
+        // Timeline: bodies launched later disappear when seeking back
+        clock.track({
+          capture: () => systemRef.current.snapshot(),
+          restore: (snapshots) => {
+            const system = systemRef.current;
+            system.bodies = created.slice(0, snapshots.length);
+            system.restore(snapshots);
+          },
+        });
+      };
+
+      p.draw = () => {
+        const system = systemRef.current;
+        if (!system) return;
+
+        const dt = computeDelta(p);
+        if (dt <= 0 && !clock.consumeRedraw()) return;
+
+        const { G, softening, substeps, integrator, trailEnabled } =
+          inputsRef.current;
+
+        // 1. Sync parameters
+        system.G = G;
+        system.softening = softening;
+        system.bodies.forEach((body) => {
+          body.trail.enabled = trailEnabled;
+          if (!trailEnabled) body.clearTrail();
+        });
+
+        // 2. Fixed-step physics
+        stepper.advance(dt, (h) => {
+          system.step(h, integrator, Math.max(1, Math.round(substeps)));
+          clock.record(h);
+        });
+
+        // 3. Rendering
+        renderScene();
+
+        // 4. Conserved quantities and orbits
+        updateSimInfo(
+          p,
+          {
+            kinetic: system.getKineticEnergy(),
+            potential: system.getPotentialEnergy(),
+            angularMomentum: system.getAngularMomentum(),
+            orbits: system.getOrbits().map(({ body, primary, elements }) => ({
+              name: body.params.name,
+              primaryName: primary.params.name,
+              elements,
+            })),
+          },
+          {},
+          SimInfoMapper
+        );
+      };
+
+      const renderScene = () => {
+        const system = systemRef.current;
+        p.background(getBackgroundColor());
+
+        if (inputsRef.current.showOrbits) drawPredictedOrbits(system);
+
+        // Center of mass
+        const com = physicsToScreen(system.getCenterOfMass(), p);
+        p.push();
+        p.stroke("#9ca3af");
+        p.strokeWeight(1);
+        p.line(com.x - 6, com.y, com.x + 6, com.y);
+        p.line(com.x, com.y - 6, com.x, com.y + 6);
+        p.pop();
+
+        system.bodies.forEach((body) => {
+          body.checkHover(p, body.toScreenPosition());
+          const screenPos = body.draw(p, {
+            hoverEffect: true,
+            alpha: stepper.getAlpha(),
+          });
+
+          if (body.isHovered) {
+            p.push();
+            p.noStroke();
+            p.fill(255);
+            p.textSize(12);
+            p.text(
+              `${body.params.name} (${body.params.mass.toFixed(1)} kg)`,
+              screenPos.x + 12,
+              screenPos.y - 12
+            );
+            p.pop();
+          }
+        });
+
+        // Launch arrow: the new body starts with the dragged velocity
+        if (launch) {
+          const start = physicsToScreen(launch.start, p);
+          p.push();
+          p.stroke(255);
+          p.strokeWeight(2);
+          p.drawingContext.setLineDash([5, 5]);
+          p.line(start.x, start.y, p.mouseX, p.mouseY);
+          p.drawingContext.setLineDash([]);
+          p.noFill();
+          p.circle(start.x, start.y, 12);
+          p.pop();
+        }
+      };
+
+      // Two-body conic of each pair, drawn around the pair's center of mass
+      const drawPredictedOrbits = (system) => {
+        const maxRadius = toMeters(Math.max(p.width, p.height));
+        system.getOrbits().forEach(({ body, primary, elements }) => {
+          const points = conicPoints(elements, 180, maxRadius);
+          if (points.length < 2) return;
+
+          const m = body.params.mass;
+          const M = primary.params.mass;
+          const center = {
+            x:
+              (m * body.state.position.x + M * primary.state.position.x) /
+              (m + M),
+            y:
+              (m * body.state.position.y + M * primary.state.position.y) /
+              (m + M),
+          };
+
+          // Each body runs the relative conic scaled by the other's mass share
+          [
+            [body, M / (m + M)],
+            [primary, -m / (m + M)],
+          ].forEach(([target, share]) => {
+            p.push();
+            p.noFill();
+            p.stroke(target.params.color);
+            p.strokeWeight(1);
+            p.drawingContext.setLineDash([4, 6]);
+            p.beginShape();
+            points.forEach(({ x, y }) => {
+              const screen = physicsToScreen(
+                { x: center.x + share * x, y: center.y + share * y },
+                p
+              );
+              p.vertex(screen.x, screen.y);
+            });
+            p.endShape(elements.bound ? p.CLOSE : undefined);
+            p.drawingContext.setLineDash([]);
+            p.pop();
+          });
+        });
+      };
+
+      const insideCanvas = () =>
+        p.mouseX >= 0 &&
+        p.mouseX <= p.width &&
+        p.mouseY >= 0 &&
+        p.mouseY <= p.height;
+
+      // Press on empty space and drag to launch a new body
+      p.mousePressed = () => {
+        if (!insideCanvas()) return;
+        if (systemRef.current.bodies.some((body) => body.isHovered)) return;
+        launch = { start: screenToPhysics({ x: p.mouseX, y: p.mouseY }, p) };
+      };
+
+      p.mouseReleased = () => {
+        if (!launch) return;
+        const end = screenToPhysics({ x: p.mouseX, y: p.mouseY }, p);
+        const { newMass } = inputsRef.current;
+        const system = systemRef.current;
+
+        const body = makeBody({
+          name: `Body ${created.length + 1}`,
+          mass: newMass,
+          size: 0.1 + 0.05 * Math.cbrt(newMass),
+          color: p
+            .color(p.random(120, 255), p.random(120, 255), 255)
+            .toString("#rrggbb"),
+          x: launch.start.x,
+          y: launch.start.y,
+          vx: (end.x - launch.start.x) * LAUNCH_SCALE,
+          vy: (end.y - launch.start.y) * LAUNCH_SCALE,
+        });
+        // Launched after a timeline seek: the "future" bodies are gone
+        created = [...system.bodies, body];
+        system.addBody(body);
+        launch = null;
+      };
+
+      p.windowResized = () => {
+        const { clientWidth: w, clientHeight: h } = p._userNode;
+        p.resizeCanvas(w, h);
+        setupSimulation();
+      };
+    },
+    [inputsRef, updateSimInfo]
+  );
+
+  return (
+    <SimulationLayout
+      resetVersion={resetVersion}
+      onReset={() => {
+        setResetVersion((v) => v + 1);
+      }}
+      inputs={inputs}
+      schema={schema}
+      simulation={location}
+      onLoad={(loaded) => {
+        setInputs(loaded);
+        setResetVersion((v) => v + 1);
+      }}
+      theory={theory}
+      dynamicInputs={
+        <DynamicInputs
+          config={INPUT_FIELDS}
+          values={inputs}
+          onChange={handleInputChange}
+        />
+      }
+    >
+      <P5Wrapper
+        sketch={sketch}
+        key={resetVersion}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} presets={PLOT_PRESETS} />
+          </>
+        }
+      />
+    </SimulationLayout>
+  );
+}
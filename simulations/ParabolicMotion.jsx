@@ -8,21 +8,26 @@ import { usePathname } from "next/navigation";
 import { toMeters, toPixels } from "../app/(core)/constants/Utils.js";
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
   INPUT_FIELDS,
+  SCHEMA_VERSION,
+  MIGRATIONS,
   SimInfoMapper,
   computeProjectileAnalytics,
+  getLaunchConfigs,
 } from "../app/(core)/data/configs/ParabolicMotion.js";
 import chapters from "../app/(core)/data/chapters.js";
 
 // --- Centralized Physics Components ---
 import PhysicsBody from "../app/(core)/physics/PhysicsBody.js";
-import ForceCalculator from "../app/(core)/physics/ForceCalculator.js";
+import {
+  ballDrag,
+  projectileForceModel,
+  predictTrajectory,
+} from "../app/(core)/physics/Projectile.js";
 import ForceRenderer from "../app/(core)/physics/ForceRenderer.js";
 import DragController from "../app/(core)/physics/DragController.js";
 
@@ -31,20 +36,25 @@ import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState.ts";
 import useSimInfo from "../app/(core)/hooks/useSimInfo.ts";
 import getBackgroundColor from "../app/(core)/utils/getBackgroundColor.ts";
 
-const TRAJECTORY_STEPS = 96;
+const MAX_PREDICTION_TIME = 30; // s
+const TARGET_RADIUS = 0.4; // m
+const HISTORY_LENGTH = 20; // tiri del bersaglio salvati
 
 export default function ParabolicMotion() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS,
+    { version: SCHEMA_VERSION, migrations: MIGRATIONS }
   );
   const [resetVersion, setResetVersion] = useState(0);
 
@@ -57,13 +67,34 @@ export default function ParabolicMotion() {
   const predictedPathRef = useRef([]);
   const launchMetadataRef = useRef({
     startPos: null,
-    startMs: 0,
+    startTime: 0, // clock.elapsed at launch (s)
     stats: null,
+    ideal: null,
     radius: INITIAL_INPUTS.size / 2,
   });
+  // Target challenge: target is { distance, height } from the launch point
+  // and the ground (m), saved in localStorage with the score
+  const challengeRef = useRef({
+    enabled: false,
+    target: null,
+    attempts: 0,
+    hits: 0,
+    lastMiss: null,
+    bestMiss: null,
+    history: [],
+  });
 
-  const { simData, updateSimInfo } = useSimInfo({
-    customRefs: { launchMetadataRef, predictedPathRef },
+  // Every launch fired together: { key, v0, angle, color, body, stats, path },
+  // the first one (A) is the main, draggable ball
+  const launchesRef = useRef([]);
+
+  const { simData, updateSimInfo, series } = useSimInfo({
+    customRefs: {
+      launchMetadataRef,
+      predictedPathRef,
+      challengeRef,
+      launchesRef,
+    },
   });
 
   const handleInputChange = useCallback(
@@ -80,7 +111,9 @@ export default function ParabolicMotion() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
+      const stepper = createFixedStepper();
+
       const resetTrailLayer = () => {
         if (!trailLayerRef.current) return;
         const bg = getBackgroundColor();
@@ -88,46 +121,151 @@ export default function ParabolicMotion() {
         trailLayerRef.current.background(r, g, b);
       };
 
-      const buildTrajectoryPoints = (analytics, startPos, gravity, radius) => {
-        if (!analytics || !startPos) return [];
-        if (!isFinite(analytics.flightTime) || analytics.flightTime <= 0) {
-          return [];
-        }
+      const challengeKey = `${storageKey}-challenge`;
+      let attempt = null; // { minDistance } while a challenge shot is flying
+      let flash = null; // { text, color, until } message after a shot
+
+      // Gravity, quadratic drag and wind, shared by the body and the prediction
+      const getForceModel = () => {
+        const { gravity, dragCd, wind } = inputsRef.current;
+        return projectileForceModel({
+          mass: bodyRef.current.params.mass,
+          size: bodyRef.current.params.size,
+          gravity: { x: 0, y: gravity }, // downward-positive axis
+          dragCd,
+          wind: { x: wind, y: 0 },
+        });
+      };
 
-        const points = [];
-        const dt = analytics.flightTime / TRAJECTORY_STEPS;
-        const canvasHeightMeters = toMeters(p.height);
-        const ground = canvasHeightMeters - radius;
+      // Launch column, also the reference for the target position
+      const getLaunchX = () => Math.max(toMeters(80), toMeters(p.width) * 0.12);
+
+      const predictFlight = (startPos, startVel, radius) => {
+        const groundY = toMeters(p.height) - radius;
+        return predictTrajectory({
+          position: startPos,
+          velocity: startVel,
+          mass: bodyRef.current.params.mass,
+          force: getForceModel(),
+          height: (position) => groundY - position.y,
+          integrator: inputsRef.current.integrator,
+          dt: stepper.step,
+          maxTime: MAX_PREDICTION_TIME,
+        });
+      };
 
-        for (let i = 0; i <= TRAJECTORY_STEPS; i++) {
-          const t = dt * i;
-          const x = startPos.x + analytics.vx0 * t;
-          const y = startPos.y - analytics.vy0 * t + 0.5 * gravity * t * t;
+      const loadChallenge = () => {
+        try {
+          const saved = window.localStorage.getItem(challengeKey);
+          if (saved) Object.assign(challengeRef.current, JSON.parse(saved));
+        } catch (error) {
+          console.warn("[ParabolicMotion] Errore lettura sfida:", error);
+        }
+      };
 
-          if (y > ground) break;
-          points.push({
-            x: toPixels(x),
-            y: toPixels(y),
-          });
+      const saveChallenge = () => {
+        const { target, attempts, hits, lastMiss, bestMiss, history } =
+          challengeRef.current;
+        try {
+          window.localStorage.setItem(
+            challengeKey,
+            JSON.stringify({
+              target,
+              attempts,
+              hits,
+              lastMiss,
+              bestMiss,
+              history,
+            })
+          );
+        } catch (error) {
+          console.warn("[ParabolicMotion] Errore salvataggio sfida:", error);
         }
-        return points;
       };
 
-      const recomputeLaunch = (hardResetTrail = false) => {
-        if (!bodyRef.current) return;
+      // Random target between 3 m from the launch point and the right edge
+      const placeTarget = () => {
+        const maxDistance = toMeters(p.width) - getLaunchX() - 1;
+        const maxHeight = toMeters(p.height) * 0.5;
+        challengeRef.current.target = {
+          distance: p.random(3, Math.max(3, maxDistance)),
+          height: p.random(TARGET_RADIUS, Math.max(TARGET_RADIUS, maxHeight)),
+        };
+        saveChallenge();
+      };
 
-        const { mass, size, gravity, v0, angle, h0 } = inputsRef.current;
+      // Target center in world coordinates, null when it does not fit
+      const getTargetCenter = () => {
+        const target = challengeRef.current.target;
+        if (!target) return null;
+        const center = {
+          x: getLaunchX() + target.distance,
+          y: toMeters(p.height) - target.height,
+        };
+        const fits =
+          center.x + TARGET_RADIUS <= toMeters(p.width) &&
+          center.y - TARGET_RADIUS >= 0;
+        return fits ? center : null;
+      };
 
-        // Sync body parameters
-        bodyRef.current.updateParams({
-          mass: Math.max(mass, 0.1),
-          size,
-          color: inputsRef.current.ballColor,
-          restitution: 0,
-        });
+      // Closest approach to the target during the shot; ends on hit or landing
+      const trackAttempt = () => {
+        const center = getTargetCenter();
+        if (!attempt || !center) return;
+
+        const { position } = bodyRef.current.state;
+        const radius = bodyRef.current.params.size / 2;
+        const distance = Math.hypot(
+          position.x - center.x,
+          position.y - center.y
+        );
+        attempt.minDistance = Math.min(attempt.minDistance, distance);
+
+        const hit = distance <= TARGET_RADIUS + radius;
+        const landed =
+          position.y >= toMeters(p.height) - radius ||
+          position.x > toMeters(p.width) + radius;
+        if (hit || landed) finishAttempt(hit, radius);
+      };
+
+      const finishAttempt = (hit, radius) => {
+        const challenge = challengeRef.current;
+        const { v0, angle } = inputsRef.current;
+        const miss = hit
+          ? 0
+          : Math.max(0, attempt.minDistance - TARGET_RADIUS - radius);
+
+        challenge.attempts += 1;
+        if (hit) challenge.hits += 1;
+        challenge.lastMiss = miss;
+        challenge.bestMiss =
+          challenge.bestMiss === null
+            ? miss
+            : Math.min(challenge.bestMiss, miss);
+        challenge.history = [
+          ...challenge.history,
+          { v0, angle, miss, hit },
+        ].slice(-HISTORY_LENGTH);
+        attempt = null;
+
+        flash = {
+          text: hit
+            ? "Hit! New target placed"
+            : `Missed by ${miss.toFixed(2)} m`,
+          color: hit ? "#4ade80" : "#f472b6",
+          until: p.millis() + 2000,
+        };
+        if (hit) placeTarget();
+        saveChallenge();
+      };
 
+      /**
+       * Start position, velocity and predicted flight of a launch
+       * (all launches share the start point, mass and size)
+       */
+      const planLaunch = (v0, angle) => {
+        const { size, gravity, h0, dragCd, wind } = inputsRef.current;
         const canvasHeightMeters = toMeters(p.height);
-        const canvasWidthMeters = toMeters(p.width);
         const radius = size / 2;
 
         // Clamp height to valid range
@@ -145,36 +283,98 @@ export default function ParabolicMotion() {
         });
 
         // Starting position
-        const startX = Math.max(toMeters(80), canvasWidthMeters * 0.12);
+        const startX = getLaunchX();
         const groundY = canvasHeightMeters;
         const startY = Math.min(
           groundY - radius,
           Math.max(radius, groundY - safeHeight - radius)
         );
+        const start = { x: startX, y: startY };
 
-        // Set initial velocity
-        const vx0 = analytics.vx0;
-        const vy0World = -analytics.vy0; // Convert to downward-positive axis
+        // Initial velocity
+        const velocity = {
+          x: analytics.vx0,
+          y: -analytics.vy0, // Convert to downward-positive axis
+        };
 
-        bodyRef.current.state.position.set(startX, startY);
-        bodyRef.current.state.velocity.set(vx0, vy0World);
-        bodyRef.current.state.acceleration.set(0, 0);
+        // Predicted flight, integrated like the body itself
+        const prediction = predictFlight(start, velocity, radius);
+
+        return {
+          start,
+          velocity,
+          stats: {
+            ...analytics,
+            flightTime: prediction.flightTime,
+            range: prediction.landed ? prediction.landing.x - startX : Infinity,
+            apexTime: prediction.apex.t,
+            apexHeight: prediction.apex.height,
+          },
+          // Parabola senza aria, per confronto
+          ideal: dragCd > 0 || wind !== 0 ? analytics : null,
+          path: prediction.points.map((point) => ({
+            x: toPixels(point.x),
+            y: toPixels(point.y),
+          })),
+        };
+      };
+
+      const fireBody = (body, plan) => {
+        body.state.position.set(plan.start.x, plan.start.y);
+        body.state.velocity.set(plan.velocity.x, plan.velocity.y);
+        body.state.acceleration.set(0, 0);
+        body.setForceModel(getForceModel());
+        body.clearTrail();
+      };
+
+      const recomputeLaunch = (hardResetTrail = false) => {
+        if (!bodyRef.current) return;
 
-        // Update metadata
+        const { mass, size, targetMode } = inputsRef.current;
+
+        // Sync body parameters
+        bodyRef.current.updateParams({
+          mass: Math.max(mass, 0.1),
+          size,
+          color: inputsRef.current.ballColor,
+          restitution: 0,
+        });
+
+        // The challenge is a single shot: no comparison launches
+        const configs = getLaunchConfigs(inputsRef.current).slice(
+          0,
+          targetMode ? 1 : undefined
+        );
+        launchesRef.current = configs.map((config, i) => {
+          const body =
+            i === 0
+              ? bodyRef.current
+              : new PhysicsBody(p, {
+                  mass: bodyRef.current.params.mass,
+                  size,
+                  color: config.color,
+                  shape: "circle",
+                  restitution: 0,
+                });
+          body.trail.maxLength = 200;
+          const plan = planLaunch(config.v0, config.angle);
+          fireBody(body, plan);
+          return { ...config, body, stats: plan.stats, path: plan.path, plan };
+        });
+
+        // Update metadata of the main launch
+        const main = launchesRef.current[0].plan;
         launchMetadataRef.current = {
-          startPos: { x: startX, y: startY },
-          startMs: p.millis(),
-          stats: analytics,
-          radius,
+          startPos: main.start,
+          startTime: clock.elapsed,
+          stats: main.stats,
+          ideal: main.ideal,
+          radius: size / 2,
         };
+        predictedPathRef.current = main.path;
 
-        // Build predicted path
-        predictedPathRef.current = buildTrajectoryPoints(
-          analytics,
-          { x: startX, y: startY },
-          gravity,
-          radius
-        );
+        // Every launch in challenge mode is a new shot at the target
+        attempt = targetMode ? { minDistance: Infinity } : null;
 
         needsRelaunchRef.current = false;
         if (hardResetTrail) resetTrailLayer();
@@ -220,83 +420,79 @@ export default function ParabolicMotion() {
           });
         }
 
+        loadChallenge();
+        if (!getTargetCenter()) placeTarget();
+
         recomputeLaunch(true);
+        // Timeline: the body state is all we need to rewind (a rewound
+        // shot no longer counts for the challenge)
+        clock.track({
+          capture: () => launchesRef.current.map(({ body }) => body.snapshot()),
+          restore: (snapshots) => {
+            snapshots.forEach((snapshot, i) =>
+              launchesRef.current[i]?.body.restore(snapshot)
+            );
+            attempt = null;
+          },
+        });
       };
 
       p.draw = () => {
         if (!bodyRef.current) return;
 
         const dt = computeDelta(p);
-        if (dt <= 0) return;
+        if (dt <= 0 && !clock.consumeRedraw()) return;
 
         // Relaunch if needed
         if (needsRelaunchRef.current) {
           recomputeLaunch();
         }
 
-        const {
-          gravity,
-          dragCoeff,
-          wind,
-          trailEnabled,
-          showGuides,
-          showVectors,
-        } = inputsRef.current;
-
-        // Sync body color and trail
-        bodyRef.current.params.color = inputsRef.current.ballColor;
-        bodyRef.current.trail.enabled = trailEnabled;
-        bodyRef.current.trail.color = inputsRef.current.ballColor;
-
-        // Apply forces (if not dragging)
-        if (!dragControllerRef.current.isDragging()) {
-          // Gravity
-          const gravityForce = ForceCalculator.gravity(
-            bodyRef.current.params.mass,
-            gravity
-          );
-          bodyRef.current.applyForce(
-            p.createVector(gravityForce.x, gravityForce.y)
-          );
-
-          // Air resistance
-          if (dragCoeff > 0) {
-            const vel = bodyRef.current.state.velocity;
-            const drag = ForceCalculator.airResistance(
-              vel.mag(),
-              dragCoeff,
-              false // quadratic drag
-            );
-            if (Math.abs(drag) > 0.001) {
-              const dragForce = vel.copy().normalize().mult(drag);
-              bodyRef.current.applyForce(dragForce);
-            }
-          }
-
-          // Wind force
-          if (wind !== 0) {
-            bodyRef.current.applyForce(p.createVector(wind, 0));
-          }
-
-          // Physics step
-          bodyRef.current.step(dt);
+        const { trailEnabled, showGuides, showVectors, targetMode } =
+          inputsRef.current;
+        challengeRef.current.enabled = targetMode;
+
+        // Sync body colors, integrator and trails
+        const configs = getLaunchConfigs(inputsRef.current);
+        launchesRef.current.forEach((launch, i) => {
+          const color = configs[i]?.color ?? launch.color;
+          launch.body.params.color = color;
+          launch.body.params.integrator = inputsRef.current.integrator;
+          launch.body.trail.enabled = trailEnabled;
+          launch.body.trail.color = color;
+          launch.color = color;
+        });
 
-          // Check ground collision
-          const radius = bodyRef.current.params.size / 2;
-          const groundY = toMeters(p.height) - radius;
-          if (bodyRef.current.state.position.y >= groundY) {
-            bodyRef.current.state.position.y = groundY;
-            bodyRef.current.state.velocity.y = 0;
-            bodyRef.current.state.velocity.x *= 0.95; // Ground friction
-          }
+        // Fixed-step physics (if not dragging)
+        if (!dragControllerRef.current.isDragging()) {
+          stepper.advance(dt, (h) => {
+            // Physics step: gravity, quadratic drag and wind come from the
+            // force model, re-evaluated at every integrator stage
+            launchesRef.current.forEach(({ body }) => {
+              body.step(h);
+
+              // Check ground collision
+              const radius = body.params.size / 2;
+              const groundY = toMeters(p.height) - radius;
+              if (body.state.position.y >= groundY) {
+                body.state.position.y = groundY;
+                body.state.velocity.y = 0;
+                body.state.velocity.x *= 0.95; // Ground friction
+              }
+            });
+            if (attempt) trackAttempt();
+
+            clock.record(h);
+          });
         }
 
         // Render scene
-        renderScene(p, { showGuides, showVectors });
+        renderScene(p, { showGuides, showVectors, targetMode });
 
-        // Update sim info
+        // Update sim info: flight time on the simulation clock, so it stops
+        // when paused and follows the speed and the timeline
         const elapsed =
-          (p.millis() - (launchMetadataRef.current?.startMs ?? 0)) / 1000;
+          clock.elapsed - (launchMetadataRef.current?.startTime ?? 0);
         updateSimInfo(
           p,
           {
@@ -334,14 +530,33 @@ export default function ParabolicMotion() {
         p.clear();
         p.image(trailLayerRef.current, 0, 0);
 
-        // Draw predicted trajectory
-        if (opts.showGuides && predictedPathRef.current.length > 1) {
+        // Draw predicted trajectory (hidden during the challenge)
+        if (
+          opts.showGuides &&
+          !opts.targetMode &&
+          predictedPathRef.current.length > 1
+        ) {
           drawTrajectory(p);
         }
 
+        if (opts.targetMode) drawTarget(p);
+
+        // Comparison launches: predicted path and ball
+        const extras = launchesRef.current.slice(1);
+        extras.forEach((launch) => {
+          if (opts.showGuides && launch.path.length > 1) {
+            drawComparisonPath(p, launch);
+          }
+          launch.body.draw(p, { alpha: stepper.getAlpha() });
+        });
+        if (extras.length > 0) drawComparisonTable(p);
+
         // Draw body
         bodyRef.current.checkHover(p, bodyRef.current.toScreenPosition());
-        const screenPos = bodyRef.current.draw(p, { hoverEffect: true });
+        const screenPos = bodyRef.current.draw(p, {
+          hoverEffect: true,
+          alpha: stepper.getAlpha(),
+        });
 
         // Draw forces
         if (opts.showVectors) {
@@ -357,15 +572,13 @@ export default function ParabolicMotion() {
           );
 
           // Drag (if active)
-          if (inputsRef.current.dragCoeff > 0) {
-            const vel = bodyRef.current.state.velocity;
-            const drag = ForceCalculator.airResistance(
-              vel.mag(),
-              inputsRef.current.dragCoeff,
-              false
+          if (inputsRef.current.dragCd > 0) {
+            const dragVec = ballDrag(
+              bodyRef.current.state.velocity,
+              bodyRef.current.params.size,
+              inputsRef.current.dragCd
             );
-            if (Math.abs(drag) > 0.01 && vel.mag() > 0.01) {
-              const dragVec = vel.copy().normalize().mult(drag);
+            if (Math.hypot(dragVec.x, dragVec.y) > 0.01) {
               renderer.drawVector(
                 p,
                 screenPos.x,
@@ -384,7 +597,7 @@ export default function ParabolicMotion() {
               p,
               screenPos.x,
               screenPos.y,
-              inputsRef.current.wind,
+              bodyRef.current.params.mass * inputsRef.current.wind,
               0,
               "#6366f1",
               "Wind"
@@ -436,6 +649,105 @@ export default function ParabolicMotion() {
         p.pop();
       };
 
+      const drawComparisonPath = (p, { path, color }) => {
+        p.push();
+        p.noFill();
+        p.stroke(color);
+        p.strokeWeight(1.5);
+        p.drawingContext.setLineDash([4, 6]);
+        p.beginShape();
+        path.forEach((point) => p.vertex(point.x, point.y));
+        p.endShape();
+        p.drawingContext.setLineDash([]);
+        p.pop();
+      };
+
+      // Range, max height and flight time of every launch, top right
+      const drawComparisonTable = (p) => {
+        const columns = ["", "v₀", "θ", "Range", "Max h", "Time"];
+        const colWidth = 62;
+        const rowHeight = 20;
+        const width = colWidth * columns.length;
+        const x0 = p.width - width - 16;
+        const y0 = 16;
+        const format = (value, unit) =>
+          isFinite(value) ? `${value.toFixed(2)} ${unit}` : "∞";
+
+        p.push();
+        p.noStroke();
+        p.fill(0, 0, 0, 140);
+        p.rect(
+          x0 - 8,
+          y0 - 6,
+          width + 16,
+          rowHeight * (launchesRef.current.length + 1) + 8,
+          6
+        );
+        p.textSize(12);
+        p.textAlign(p.LEFT, p.TOP);
+
+        p.fill(200);
+        columns.forEach((label, c) => p.text(label, x0 + c * colWidth, y0));
+        launchesRef.current.forEach(({ key, v0, angle, color, stats }, r) => {
+          const y = y0 + (r + 1) * rowHeight;
+          const cells = [
+            key,
+            `${v0} m/s`,
+            `${angle}°`,
+            format(stats.range, "m"),
+            format(stats.apexHeight, "m"),
+            format(stats.flightTime, "s"),
+          ];
+          p.fill(color);
+          p.circle(x0 + 4, y + 6, 10);
+          p.fill(255);
+          cells.forEach((cell, c) => {
+            p.text(cell, x0 + c * colWidth + (c === 0 ? 14 : 0), y);
+          });
+        });
+        p.pop();
+      };
+
+      const drawTarget = (p) => {
+        const center = getTargetCenter();
+        if (center) {
+          const x = toPixels(center.x);
+          const y = toPixels(center.y);
+          const d = toPixels(TARGET_RADIUS * 2);
+
+          p.push();
+          // Post down to the ground
+          p.stroke(120, 120, 140);
+          p.strokeWeight(3);
+          p.line(x, y + d / 2, x, p.height);
+          // Bullseye
+          p.noStroke();
+          ["#ef4444", "#f8fafc", "#ef4444"].forEach((color, i) => {
+            p.fill(color);
+            p.circle(x, y, d * (1 - i / 3));
+          });
+          p.pop();
+        }
+
+        // Instructions and last result
+        p.push();
+        p.noStroke();
+        p.fill(255);
+        p.textSize(14);
+        p.textAlign(p.LEFT, p.TOP);
+        p.text(
+          "Hit the target: set v₀ and θ, press N for a new target",
+          12,
+          12
+        );
+        if (flash && p.millis() < flash.until) {
+          p.fill(flash.color);
+          p.textSize(18);
+          p.text(flash.text, 12, 34);
+        }
+        p.pop();
+      };
+
       // Mouse events
       p.mousePressed = () => {
         if (!bodyRef.current) return;
@@ -447,6 +759,7 @@ export default function ParabolicMotion() {
           dragControllerRef.current.handleDrag(p);
           needsRelaunchRef.current = false;
           predictedPathRef.current = [];
+          attempt = null; // un tiro spostato a mano non conta
         }
       };
 
@@ -456,7 +769,7 @@ export default function ParabolicMotion() {
             x: body.state.position.x,
             y: body.state.position.y,
           };
-          launchMetadataRef.current.startMs = p.millis();
+          launchMetadataRef.current.startTime = clock.elapsed;
         });
       };
 
@@ -464,6 +777,14 @@ export default function ParabolicMotion() {
         needsRelaunchRef.current = true;
       };
 
+      p.keyPressed = () => {
+        if (!inputsRef.current.targetMode) return;
+        if (p.key === "n" || p.key === "N") {
+          placeTarget();
+          needsRelaunchRef.current = true;
+        }
+      };
+
       p.windowResized = () => {
         const { clientWidth: w, clientHeight: h } = p._userNode;
         p.resizeCanvas(w, h);
@@ -475,20 +796,18 @@ export default function ParabolicMotion() {
         needsRelaunchRef.current = true;
       };
     },
-    [inputsRef, updateSimInfo]
+    [inputsRef, updateSimInfo, storageKey]
   );
 
   return (
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        const wasPaused = isPaused();
-        resetTime();
-        if (wasPaused) setPause(true);
         needsRelaunchRef.current = true;
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
@@ -507,7 +826,12 @@ export default function ParabolicMotion() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} />
+          </>
+        }
       />
     </SimulationLayout>
   );
@@ -7,14 +7,25 @@ import { usePathname } from "next/navigation.js";
 // --- Core Physics & Constants ---
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import { toPixels, toMeters } from "../app/(core)/constants/Utils.js";
+import {
+  INITIAL_INPUTS,
+  INPUT_FIELDS,
+  PLOT_PRESETS,
+  SimInfoMapper,
+} from "../app/(core)/data/configs/SimplePendulum.js";
 
 // --- Physics Classes ---
 import PhysicsBody from "../app/(core)/physics/PhysicsBody.js";
+import { getIntegrator } from "../app/(core)/physics/Integrators.js";
+import {
+  smallAnglePeriod,
+  exactPeriod,
+  amplitudeFromEnergy,
+  PeriodMeter,
+} from "../app/(core)/physics/Pendulum.js";
 import ForceRenderer from "../app/(core)/physics/ForceRenderer.js";
 import DragController from "../app/(core)/physics/DragController.js";
 
@@ -23,109 +34,13 @@ import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState.ts";
 import useSimInfo from "../app/(core)/hooks/useSimInfo.ts";
 import getBackgroundColor from "../app/(core)/utils/getBackgroundColor.ts";
 
-// Configuration
-const INITIAL_INPUTS = {
-  length: 3,
-  mass: 1,
-  gravity: 9.81,
-  damping: 0.1,
-  initialAngle: 45,
-  showForces: true,
-  showComponents: false,
-  trailEnabled: true,
-  bobColor: "#3b82f6",
-  ropeColor: "#9ca3af",
-};
-
-const INPUT_FIELDS = [
-  {
-    name: "length",
-    label: "Length (m)",
-    type: "number",
-    min: 1,
-    max: 5,
-    step: 0.1,
-  },
-  {
-    name: "mass",
-    label: "Mass (kg)",
-    type: "number",
-    min: 0.5,
-    max: 5,
-    step: 0.1,
-  },
-  {
-    name: "gravity",
-    label: "Gravity (m/s²)",
-    type: "number",
-    min: 1,
-    max: 20,
-    step: 0.1,
-  },
-  {
-    name: "damping",
-    label: "Damping",
-    type: "number",
-    min: 0,
-    max: 1,
-    step: 0.01,
-  },
-  {
-    name: "initialAngle",
-    label: "Initial Angle (°)",
-    type: "number",
-    min: -90,
-    max: 90,
-    step: 1,
-  },
-  {
-    name: "showForces",
-    label: "Show Forces",
-    type: "checkbox",
-  },
-  {
-    name: "showComponents",
-    label: "Show Components",
-    type: "checkbox",
-  },
-  {
-    name: "trailEnabled",
-    label: "Show Trail",
-    type: "checkbox",
-  },
-  {
-    name: "bobColor",
-    label: "Bob Color",
-    type: "color",
-  },
-  {
-    name: "ropeColor",
-    label: "Rope Color",
-    type: "color",
-  },
-];
-
-const SimInfoMapper = (bodyState) => {
-  const angle =
-    (Math.atan2(bodyState.position.x, -bodyState.position.y) * 180) / Math.PI;
-
-  return {
-    Angle: `${angle.toFixed(1)}°`,
-    "Angular Velocity": `${bodyState.angularVel.toFixed(2)} rad/s`,
-    Height: `${(-bodyState.position.y).toFixed(2)} m`,
-    Speed: `${bodyState.velocity.mag().toFixed(2)} m/s`,
-    KE: `${bodyState.kineticEnergy.toFixed(2)} J`,
-    PE: `${bodyState.potentialEnergy.toFixed(2)} J`,
-    "Total E": `${(bodyState.kineticEnergy + bodyState.potentialEnergy).toFixed(2)} J`,
-  };
-};
-
 /**
  * Pendulum Body - extends PhysicsBody with constraint to fixed anchor
  */
@@ -135,28 +50,45 @@ class PendulumBody extends PhysicsBody {
     this.anchor = p.createVector(anchorX, anchorY);
     this.length = length;
     this.angularVel = 0;
+    this.time = 0; // simulated time (s), for the period meter
+    this.drivePhase = 0; // Ωt of the driving torque (rad)
   }
 
   /**
    * Update using pendulum physics with constraint
+   * @param {object|null} drive - { amplitude (rad/s²), frequency (rad/s) }
    */
-  stepPendulum(dt, gravity, damping) {
+  stepPendulum(
+    dt,
+    gravity,
+    damping,
+    drive = null,
+    integrator = this.params.integrator
+  ) {
     if (dt <= 0) return;
 
-    // Get current angle from vertical
-    const dx = this.state.position.x - this.anchor.x;
-    const dy = this.state.position.y - this.anchor.y;
-    const angle = Math.atan2(dx, dy);
-
-    // Angular acceleration: α = -(g/L) * sin(θ) - damping * ω
-    const angularAcc =
-      -(gravity / this.length) * Math.sin(angle) - damping * this.angularVel;
-
-    // Update angular velocity
-    this.angularVel += angularAcc * dt;
-
-    // Update angle
-    const newAngle = angle + this.angularVel * dt;
+    // Angular acceleration: α = -(g/L) * sin(θ) - damping * ω + A cos(Ωt)
+    // The drive phase φ = Ωt rides along as a second coordinate with
+    // constant velocity Ω, so every integrator stage sees the right time
+    const amplitude = drive?.amplitude ?? 0;
+    const angularAcc = ([theta, phase], [omega]) => [
+      -(gravity / this.length) * Math.sin(theta) -
+        damping * omega +
+        amplitude * Math.cos(phase),
+      0,
+    ];
+
+    // Integrate angle and angular velocity
+    const next = getIntegrator(integrator).step(
+      [this.getAngle(), this.drivePhase],
+      [this.angularVel, drive?.frequency ?? 0],
+      angularAcc,
+      dt
+    );
+    this.angularVel = next.v[0];
+    this.drivePhase = next.x[1] % (2 * Math.PI);
+    this.time += dt;
+    const newAngle = next.x[0];
 
     // Constrain position to circular path
     this.state.position.x = this.anchor.x + this.length * Math.sin(newAngle);
@@ -186,6 +118,26 @@ class PendulumBody extends PhysicsBody {
     this.state.velocity.set(0, 0);
   }
 
+  /**
+   * Snapshot including the angular velocity
+   */
+  snapshot() {
+    return {
+      ...super.snapshot(),
+      angularVel: this.angularVel,
+      time: this.time,
+      drivePhase: this.drivePhase,
+    };
+  }
+
+  restore(snapshot) {
+    super.restore(snapshot);
+    this.angularVel = snapshot.angularVel;
+    this.time = snapshot.time;
+    this.drivePhase = snapshot.drivePhase;
+    this.isMoving = Math.abs(this.angularVel) > 0.001;
+  }
+
   /**
    * Get current angle from vertical
    */
@@ -235,9 +187,10 @@ export default function Pendulum() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
 
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
@@ -248,7 +201,7 @@ export default function Pendulum() {
   const dragControllerRef = useRef(null);
 
   // Sim info
-  const { simData, updateSimInfo } = useSimInfo();
+  const { simData, updateSimInfo, series } = useSimInfo();
 
   const handleInputChange = useCallback(
     (name, value) => {
@@ -258,8 +211,10 @@ export default function Pendulum() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
       let trailLayer = null;
+      const stepper = createFixedStepper();
+      const periodMeter = new PeriodMeter();
 
       const setupSimulation = () => {
         const w = p.width;
@@ -300,8 +255,11 @@ export default function Pendulum() {
           bodyRef.current.length = length;
           bodyRef.current.state.position.set(initialX, initialY);
           bodyRef.current.angularVel = 0;
+          bodyRef.current.time = 0;
+          bodyRef.current.drivePhase = 0;
           bodyRef.current.clearTrail();
         }
+        periodMeter.reset();
 
         // Initialize force renderer
         if (!forceRendererRef.current) {
@@ -334,6 +292,14 @@ export default function Pendulum() {
         trailLayer.clear();
 
         setupSimulation();
+        // Timeline: the body state is all we need to rewind
+        clock.track({
+          capture: () => bodyRef.current.snapshot(),
+          restore: (snapshot) => {
+            bodyRef.current.restore(snapshot);
+            periodMeter.reset();
+          },
+        });
         p.background(getBackgroundColor());
       };
 
@@ -346,20 +312,49 @@ export default function Pendulum() {
         bodyRef.current.updateParams({
           mass: inputsRef.current.mass,
           color: inputsRef.current.bobColor,
+          integrator: inputsRef.current.integrator,
         });
         bodyRef.current.length = inputsRef.current.length;
         bodyRef.current.trail.enabled = inputsRef.current.trailEnabled;
         bodyRef.current.trail.color = inputsRef.current.bobColor;
 
-        // Physics step (if not dragging)
+        const { gravity, damping, length, driven } = inputsRef.current;
+        const drive = driven
+          ? {
+              amplitude: inputsRef.current.driveAmplitude,
+              frequency: inputsRef.current.driveFrequency,
+            }
+          : null;
+
+        // Fixed-step physics (if not dragging)
         if (!dragControllerRef.current.isDragging() && dt > 0) {
-          bodyRef.current.stepPendulum(
-            dt,
-            inputsRef.current.gravity,
-            inputsRef.current.damping
-          );
+          stepper.advance(dt, (h) => {
+            bodyRef.current.stepPendulum(h, gravity, damping, drive);
+            periodMeter.update(
+              bodyRef.current.time,
+              bodyRef.current.getAngle()
+            );
+
+            clock.record(h);
+          });
         }
 
+        // Periods: small-angle, exact for the current energy, measured
+        const amplitude = amplitudeFromEnergy(
+          bodyRef.current.getAngle(),
+          bodyRef.current.angularVel,
+          length,
+          gravity
+        );
+        const periods = {
+          small: smallAnglePeriod(length, gravity),
+          exact:
+            amplitude === null ? null : exactPeriod(length, gravity, amplitude),
+          amplitude,
+          measured: periodMeter.period,
+          measuredAmplitude: periodMeter.amplitude,
+        };
+
         // Calculate forces
         const forces = bodyRef.current.calculateForces(
           inputsRef.current.gravity
@@ -367,6 +362,7 @@ export default function Pendulum() {
 
         // Render scene
         renderScene(p, forces);
+        if (inputsRef.current.showPeriods) drawPeriodOverlay(p, periods);
 
         // Update sim info
         updateSimInfo(
@@ -379,6 +375,12 @@ export default function Pendulum() {
             potentialEnergy: bodyRef.current.getPotentialEnergy(
               inputsRef.current.gravity
             ),
+            periods,
+            drive: drive && {
+              ...drive,
+              naturalFrequency: Math.sqrt(gravity / length),
+              damping,
+            },
           },
           {
             gravity: inputsRef.current.gravity,
@@ -432,6 +434,85 @@ export default function Pendulum() {
         }
       };
 
+      /**
+       * T/T₀ against the amplitude θ₀: exact curve, small-angle line, and
+       * markers for the current swing (exact) and the last measured period
+       */
+      const drawPeriodOverlay = (p, periods) => {
+        const w = 220;
+        const h = 130;
+        const x0 = p.width - w - 16;
+        const y0 = 16;
+        const maxRatio = 2.5;
+        const maxAmplitude = (170 * Math.PI) / 180;
+        const toX = (theta0) => x0 + (theta0 / maxAmplitude) * w;
+        const toY = (ratio) => y0 + h - ((ratio - 1) / (maxRatio - 1)) * h;
+
+        p.push();
+        p.noStroke();
+        p.fill(0, 0, 0, 120);
+        p.rect(x0 - 8, y0 - 8, w + 16, h + 64, 6);
+
+        // Small-angle approximation: T/T₀ = 1 for every amplitude
+        p.stroke(156, 163, 175);
+        p.strokeWeight(1);
+        p.line(x0, toY(1), x0 + w, toY(1));
+
+        // Exact period (T₀ cancels out of the ratio)
+        p.noFill();
+        p.stroke(59, 130, 246);
+        p.strokeWeight(2);
+        p.beginShape();
+        for (let i = 0; i <= 60; i++) {
+          const theta0 = (i / 60) * maxAmplitude;
+          p.vertex(
+            toX(theta0),
+            toY(
+              Math.min(
+                exactPeriod(1, 1, theta0) / smallAnglePeriod(1, 1),
+                maxRatio
+              )
+            )
+          );
+        }
+        p.endShape();
+
+        p.noStroke();
+        if (periods.amplitude !== null && periods.amplitude <= maxAmplitude) {
+          p.fill(59, 130, 246);
+          p.circle(
+            toX(periods.amplitude),
+            toY(Math.min(periods.exact / periods.small, maxRatio)),
+            8
+          );
+        }
+        if (
+          periods.measured !== null &&
+          periods.measuredAmplitude <= maxAmplitude
+        ) {
+          p.fill(249, 115, 22);
+          p.circle(
+            toX(periods.measuredAmplitude),
+            toY(Math.min(periods.measured / periods.small, maxRatio)),
+            8
+          );
+        }
+
+        const format = (T) =>
+          T === null ? "—" : Number.isFinite(T) ? `${T.toFixed(3)} s` : "∞";
+        p.fill(255);
+        p.textSize(11);
+        p.textAlign(p.LEFT, p.TOP);
+        p.text("T/T₀ vs θ₀ (0°–170°)", x0, y0);
+        p.fill(156, 163, 175);
+        p.text(`T₀ small angle: ${format(periods.small)}`, x0, y0 + h + 8);
+        p.fill(59, 130, 246);
+        p.text(`T exact: ${format(periods.exact)}`, x0, y0 + h + 22);
+        p.fill(249, 115, 22);
+        p.text(`T measured: ${format(periods.measured)}`, x0, y0 + h + 36);
+        p.pop();
+      };
+
       const drawForces = (p, screenPos, forces) => {
         const renderer = forceRendererRef.current;
 
@@ -512,6 +593,7 @@ export default function Pendulum() {
         const angle = Math.atan2(dx, dy);
 
         bodyRef.current.setAngle(angle);
+        periodMeter.reset();
       };
 
       p.mouseReleased = () => {
@@ -537,12 +619,10 @@ export default function Pendulum() {
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        const wasPaused = isPaused();
-        resetTime();
-        if (wasPaused) setPause(true);
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
@@ -559,7 +639,12 @@ export default function Pendulum() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} presets={PLOT_PRESETS} />
+          </>
+        }
       />
     </SimulationLayout>
   );
@@ -5,7 +5,10 @@ import { useState, useCallback, useMemo, useRef } from "react";
 import { usePathname } from "next/navigation";
 
 // --- Core Physics & Constants ---
-import { resetTime, computeDelta } from "../app/(core)/constants/Time.js";
+import {
+  computeDelta,
+  createFixedStepper,
+} from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
   INPUT_FIELDS,
@@ -24,12 +27,14 @@ import Spring from "../app/(core)/physics/Spring";
 import ForceCalculator from "../app/(core)/physics/ForceCalculator.js";
 import ForceRenderer from "../app/(core)/physics/ForceRenderer.js";
 import DragController from "../app/(core)/physics/DragController.js";
+import { DistanceConstraint } from "../app/(core)/physics/Constraints.js";
 
 // --- Reusable UI Components ---
 import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState";
@@ -39,19 +44,21 @@ import getBackgroundColor from "../app/(core)/utils/getBackgroundColor";
 export default function SpringConnection() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
   // References
   const bodyRef = useRef(null);
   const springRef = useRef(null);
+  const limitRef = useRef(null);
   const forceRendererRef = useRef(null);
   const dragControllerRef = useRef(null);
 
-  const { simData, updateSimInfo } = useSimInfo();
+  const { simData, updateSimInfo, series } = useSimInfo();
 
   const handleInputChange = useCallback(
     (name, value) => {
@@ -66,7 +73,9 @@ export default function SpringConnection() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
+      const stepper = createFixedStepper();
+
       const setupSimulation = () => {
         const canvasWidth = p.width;
         const canvasHeight = p.height;
@@ -82,6 +91,8 @@ export default function SpringConnection() {
           bobColor,
           springColor,
           anchorColor,
+          minLength,
+          maxLength,
         } = inputsRef.current;
 
         // Physics coordinates (Y-up, origin at bottom-left)
@@ -109,6 +120,26 @@ export default function SpringConnection() {
           shape: "circle",
         });
         bodyRef.current.state.position.set(initialPhysics);
+        bodyRef.current.setForceModel((position, velocity) => {
+          const { gravity, bobDamping } = inputsRef.current;
+
+          // Gravity force (Y-up: negative Y is downward)
+          const gravityForce = ForceCalculator.gravity(
+            bodyRef.current.params.mass,
+            gravity
+          );
+
+          // Spring force
+          const force = springRef.current.getForceAt(position);
+          force.add(gravityForce.x, gravityForce.y);
+
+          // Damping force: F = -c * v
+          if (velocity.mag() > 0.001) {
+            force.add(velocity.copy().mult(-bobDamping));
+          }
+
+          return force;
+        });
 
         // Initialize spring
         springRef.current = new Spring(
@@ -122,6 +153,13 @@ export default function SpringConnection() {
           }
         );
 
+        // Min/max length of the spring, measured from the anchor
+        limitRef.current = new DistanceConstraint(
+          anchorPhysics,
+          bodyRef.current,
+          { minLength, maxLength }
+        );
+
         forceRendererRef.current = new ForceRenderer({
           scale: 5,
           showLabels: true,
@@ -135,22 +173,27 @@ export default function SpringConnection() {
         const { clientWidth: w, clientHeight: h } = p._userNode;
         p.createCanvas(w, h);
         setupSimulation();
+        // Timeline: the body state is all we need to rewind
+        clock.track({
+          capture: () => bodyRef.current.snapshot(),
+          restore: (snapshot) => bodyRef.current.restore(snapshot),
+        });
       };
 
       p.draw = () => {
         if (!bodyRef.current || !springRef.current) return;
 
         const dt = computeDelta(p);
-        if (dt <= 0) return;
+        if (dt <= 0 && !clock.consumeRedraw()) return;
 
         const {
           gravity,
           springK,
           springRestLength,
           bobMass,
-          bobDamping,
           minLength,
           maxLength,
+          integrator,
         } = inputsRef.current;
 
         // Update canvas height for coordinate conversions
@@ -159,39 +202,27 @@ export default function SpringConnection() {
         // 1. Sync parameters
         springRef.current.k = springK;
         springRef.current.restLength = springRestLength;
+        limitRef.current.minLength = minLength;
+        limitRef.current.maxLength = maxLength;
         bodyRef.current.updateParams({
           mass: bobMass,
           size: inputsRef.current.bobSize,
           color: inputsRef.current.bobColor,
+          integrator,
         });
 
-        // 2. Calculate forces (if not dragging)
+        // 2. Integrate forces in fixed steps (if not dragging)
         if (!dragControllerRef.current.isDragging()) {
-          // Gravity force (Y-up: negative Y is downward)
-          const gravityForce = ForceCalculator.gravity(bobMass, gravity);
-          bodyRef.current.applyForce(
-            p.createVector(gravityForce.x, gravityForce.y)
-          );
-
-          // Spring force
-          springRef.current.connect(bodyRef.current);
-
-          // Damping force: F = -c * v
-          const v = bodyRef.current.state.velocity;
-          if (v.mag() > 0.001) {
-            const dampingForce = v.copy().mult(-bobDamping);
-            bodyRef.current.applyForce(dampingForce);
-          }
+          stepper.advance(dt, (h) => {
+            // Gravity, spring and damping are all evaluated by the body's
+            // force model, so every integrator sees them at its sub-stages
+            bodyRef.current.step(h);
 
-          // Physics integration
-          bodyRef.current.step(dt);
+            // Length limits: only the velocity beyond them is removed
+            limitRef.current.solve(h);
 
-          // Length constraints
-          springRef.current.constrainLength(
-            bodyRef.current,
-            minLength,
-            maxLength
-          );
+            clock.record(h);
+          });
         }
 
         // 3. Rendering
@@ -235,6 +266,7 @@ export default function SpringConnection() {
         const screenPos = bodyRef.current.draw(p, { hoverEffect: true });
 
         // Draw force vectors
+        // ForceRenderer draws in screen coords (Y-down): flip physics Y
         const renderer = forceRendererRef.current;
 
         // Gravity vector (points down in Y-up = negative Y)
@@ -247,28 +279,22 @@ export default function SpringConnection() {
           screenPos.x,
           screenPos.y,
           gravityForce.x,
-          gravityForce.y,
+          -gravityForce.y,
           "#ef4444",
           "Weight"
         );
 
         // Spring force vector
-        const Vector = p.constructor.Vector;
-        const springForceDir = Vector.sub(
-          springRef.current.anchor,
+        const springForce = springRef.current.getForceAt(
           bodyRef.current.state.position
         );
-        const springForceMag = springRef.current.getSpringForce(
-          bodyRef.current
-        );
-        springForceDir.normalize().mult(springForceMag);
 
         renderer.drawVector(
           p,
           screenPos.x,
           screenPos.y,
-          springForceDir.x,
-          springForceDir.y,
+          springForce.x,
+          -springForce.y,
           inputsRef.current.springColor,
           "Spring"
         );
@@ -309,10 +335,10 @@ export default function SpringConnection() {
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        resetTime();
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loaded) => {
         setInputs(loaded);
@@ -330,7 +356,12 @@ export default function SpringConnection() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} />
+          </>
+        }
       />
     </SimulationLayout>
   );
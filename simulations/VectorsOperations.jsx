@@ -8,9 +8,7 @@ import { usePathname } from "next/navigation";
 import { SCALE } from "../app/(core)/constants/Config.js";
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
@@ -37,9 +35,10 @@ export default function VectorsOperations() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
 
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
@@ -59,16 +58,14 @@ export default function VectorsOperations() {
   );
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
       // -- PHYSICS STATE & UTILITY FUNCTIONS --
       const worldRef = { current: null };
       const bodyRef = { current: null };
       const boundsRef = { current: null };
       const lastMassRef = { current: null };
 
-      let accumulator = 0;
-      const FIXED_DT = 1 / 60;
-      const MAX_STEPS = 5;
+      const stepper = createFixedStepper();
 
       function createBounds(w, h) {
         const world = worldRef.current;
@@ -118,7 +115,7 @@ export default function VectorsOperations() {
 
         bodyRef.current = body;
         lastMassRef.current = massKg;
-        accumulator = 0;
+        stepper.reset();
       }
 
       function destroyWorld() {
@@ -150,12 +147,6 @@ export default function VectorsOperations() {
           lastMassRef.current = desiredMass;
         }
 
-        // Apply global time scale and pause
-        const scale = 0; //getTimeScale();
-        if (!isPaused()) {
-          accumulator += dt * Math.max(0, scale);
-        }
-
         // Apply forces based on vector operation
         const center = p.createVector(p.width / 2, p.height / 2);
         const mouse = p.createVector(p.mouseX, p.mouseY);
@@ -178,16 +169,15 @@ export default function VectorsOperations() {
           FA = { x: 0, y: 0 };
         }
 
-        // Physics stepping
-        let steps = 0;
-        while (accumulator >= FIXED_DT && steps < MAX_STEPS) {
+        // Physics stepping (dt is already scaled and zero while paused)
+        stepper.advance(dt, (h) => {
           const body = bodyRef.current;
           body.applyForce(planck.Vec2(FA.x, FA.y), body.getWorldCenter());
           body.applyForce(planck.Vec2(FB.x, FB.y), body.getWorldCenter());
-          worldRef.current.step(FIXED_DT);
-          steps++;
-          accumulator -= FIXED_DT;
-        }
+          worldRef.current.step(h);
+
+          clock.record(h);
+        });
       }
 
       function drawVectorVisualizations() {
@@ -524,6 +514,24 @@ export default function VectorsOperations() {
         if (inputsRef.current.physicsEnabled) {
           createWorldAndBody(w, h);
         }
+
+        // Timeline: position and velocity of the planck body
+        clock.track({
+          capture: () => {
+            const body = bodyRef.current;
+            if (!body) return null;
+            return {
+              position: planck.Vec2(body.getPosition()),
+              velocity: planck.Vec2(body.getLinearVelocity()),
+            };
+          },
+          restore: (snapshot) => {
+            const body = bodyRef.current;
+            if (!body || !snapshot) return;
+            body.setPosition(snapshot.position);
+            body.setLinearVelocity(snapshot.velocity);
+          },
+        });
       };
 
       p.draw = () => {
@@ -572,12 +580,10 @@ export default function VectorsOperations() {
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        const wasPaused = isPaused();
-        resetTime();
-        if (wasPaused) setPause(true);
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
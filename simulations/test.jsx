@@ -8,9 +8,7 @@ import { usePathname } from "next/navigation";
 import { toMeters } from "../app/(core)/constants/Utils.js";
 import {
   computeDelta,
-  resetTime,
-  isPaused,
-  setPause,
+  createFixedStepper,
 } from "../app/(core)/constants/Time.js";
 import {
   INITIAL_INPUTS,
@@ -21,13 +19,19 @@ import chapters from "../app/(core)/data/chapters.js";
 
 // --- Centralized Physics Components ---
 import PhysicsBody from "../app/(core)/physics/PhysicsBody.js";
+import PhysicsWorld from "../app/(core)/physics/PhysicsWorld.js";
+import { SpatialHash } from "../app/(core)/physics/BroadPhase.js";
 import ForceCalculator from "../app/(core)/physics/ForceCalculator.js";
+import ForceRenderer from "../app/(core)/physics/ForceRenderer.js";
+import { addForceFields } from "../app/(core)/physics/ForceFields.js";
 
 // --- Reusable UI Components ---
 import SimulationLayout from "../app/(core)/components/SimulationLayout.jsx";
 import P5Wrapper from "../app/(core)/components/P5Wrapper.jsx";
 import DynamicInputs from "../app/(core)/components/inputs/DynamicInputs";
 import SimInfoPanel from "../app/(core)/components/SimInfoPanel.jsx";
+import PlotPanel from "../app/(core)/components/PlotPanel.jsx";
+import BenchmarkOverlay from "../app/(core)/components/BenchmarkOverlay.jsx";
 
 // --- Hooks & Utils ---
 import useSimulationState from "../app/(core)/hooks/useSimulationState.ts";
@@ -37,15 +41,19 @@ import getBackgroundColor from "../app/(core)/utils/getBackgroundColor.ts";
 export default function Test() {
   const location = usePathname();
   const storageKey = location.replaceAll(/[/#]/g, "");
-  const { inputs, setInputs, inputsRef } = useSimulationState(
+  const { inputs, setInputs, inputsRef, schema } = useSimulationState(
     INITIAL_INPUTS,
-    storageKey
+    storageKey,
+    INPUT_FIELDS
   );
   const [resetVersion, setResetVersion] = useState(0);
 
-  const { simData, updateSimInfo } = useSimInfo();
-  const bodiesRef = useRef([]);
+  const { simData, updateSimInfo, series } = useSimInfo();
+  const worldRef = useRef(null);
   const trailLayerRef = useRef(null);
+  const benchmarkRef = useRef(null);
+  const forceFieldsRef = useRef([]);
+  const forceRendererRef = useRef(null);
 
   const handleInputChange = useCallback(
     (name, value) => setInputs((prev) => ({ ...prev, [name]: value })),
@@ -90,8 +98,37 @@ export default function Test() {
   }, []);
 
   const sketch = useCallback(
-    (p) => {
+    (p, clock) => {
       let lastNumBodies = inputsRef.current.numBodies;
+      const stepper = createFixedStepper();
+      const benchmarkGrid = new SpatialHash(); // pairs of "grid" when it isn't running
+      const methods = {};
+
+      const setWorldBounds = () => {
+        worldRef.current.setBounds({
+          minX: 0,
+          maxX: toMeters(p.width),
+          minY: 0,
+          maxY: toMeters(p.height),
+        });
+      };
+
+      // Timeline: every body as plain numbers (see PhysicsWorld.snapshot).
+      // Tracking again clears the history, whose snapshots only fit the
+      // bodies they were taken with
+      const trackWorld = () =>
+        clock.track({
+          capture: () => worldRef.current.snapshot(),
+          restore: (snapshots) => worldRef.current.restore(snapshots),
+        });
+
+      const fillWorld = () => {
+        const world = worldRef.current;
+        world.clearBodies();
+        createBodies(p, inputsRef.current.numBodies, inputsRef.current).forEach(
+          (body) => world.addBody(body)
+        );
+      };
 
       p.setup = () => {
         const { clientWidth: w, clientHeight: h } = p._userNode;
@@ -101,11 +138,45 @@ export default function Test() {
         trailLayerRef.current.pixelDensity(1);
         trailLayerRef.current.clear();
 
-        bodiesRef.current = createBodies(
-          p,
-          inputsRef.current.numBodies,
-          inputsRef.current
-        );
+        worldRef.current = new PhysicsWorld(p);
+        forceRendererRef.current = new ForceRenderer({ scale: 3 });
+        setWorldBounds();
+        fillWorld();
+
+        // Force fields (the world has no gravity of its own): weight, air
+        // drag and ground friction (simplified)
+        forceFieldsRef.current = addForceFields(worldRef.current, [
+          { type: "gravity", g: () => inputsRef.current.gravity },
+          { type: "drag", enabled: () => inputsRef.current.airDrag },
+          {
+            type: "custom",
+            key: "friction",
+            label: "Friction",
+            colorKey: "friction",
+            computeFn: (
+              body,
+              _world,
+              position = body.state.position,
+              velocity = body.state.velocity
+            ) => {
+              const { frictionMu, gravity } = inputsRef.current;
+              const onGround = position.y - body.params.size / 2 <= 0.01;
+              if (!onGround || velocity.mag() <= 0.01) return null;
+              if (frictionMu <= 0) return null;
+
+              const friction = ForceCalculator.friction(
+                body.params.mass * gravity,
+                frictionMu,
+                frictionMu * 0.8,
+                velocity.x,
+                0
+              );
+              return { x: friction, y: 0 };
+            },
+          },
+        ]).fields;
+
+        trackWorld();
 
         const bg = getBackgroundColor();
         const [r, g, b] = Array.isArray(bg) ? bg : [20, 20, 30];
@@ -113,15 +184,60 @@ export default function Test() {
         p.background(r, g, b);
       };
 
+      // Pair counts of every broad-phase, physics time of the running one.
+      // The idle method is only counted when the body count or the method
+      // changes: a second spatial hash every frame would skew the timings
+      let idleKey = null;
+      const updateBenchmark = (world, broadPhase, stepMs) => {
+        const n = world.bodies.length;
+        const previous = methods[broadPhase];
+        methods[broadPhase] = {
+          ...world.stats,
+          bodies: n,
+          // Media mobile: il tempo di un singolo frame è troppo rumoroso
+          stepMs:
+            previous?.bodies === n
+              ? previous.stepMs * 0.9 + stepMs * 0.1
+              : stepMs,
+        };
+
+        const other = broadPhase === "grid" ? "none" : "grid";
+        if (idleKey !== `${n}:${broadPhase}`) {
+          idleKey = `${n}:${broadPhase}`;
+          // Its step time only holds for the bodies it was measured with
+          const timed = methods[other]?.bodies === n;
+          methods[other] = {
+            bodies: n,
+            stepMs: timed ? methods[other].stepMs : undefined,
+            pairs:
+              other === "none"
+                ? (n * (n - 1)) / 2
+                : benchmarkGrid.pairs(world.bodies).length,
+            contacts: world.stats.contacts,
+          };
+        }
+
+        benchmarkRef.current = { active: broadPhase, bodies: n, methods };
+      };
+
       p.draw = () => {
-        const { gravity, numBodies, trailEnabled, restitution, frictionMu } =
-          inputsRef.current;
+        const {
+          gravity,
+          numBodies,
+          trailEnabled,
+          restitution,
+          integrator,
+          broadPhase,
+          showForces,
+        } = inputsRef.current;
+        const world = worldRef.current;
         const dt = computeDelta(p);
-        if (dt <= 0) return;
+        if (dt <= 0 && !clock.consumeRedraw()) return;
 
         // Recreate bodies if count changed
         if (numBodies !== lastNumBodies) {
-          bodiesRef.current = createBodies(p, numBodies, inputsRef.current);
+          fillWorld();
+          trackWorld();
           lastNumBodies = numBodies;
 
           // Clear trail
@@ -151,51 +267,29 @@ export default function Test() {
         p.clear();
         p.image(trailLayerRef.current, 0, 0);
 
-        // Update and draw all bodies
-        bodiesRef.current.forEach((body, i) => {
-          // Sync parameters
-          body.updateParams({
-            restitution,
-          });
+        // Fixed-step physics
+        world.setIntegrator(integrator);
+        world.setBroadPhase(broadPhase);
+        world.bodies.forEach((body) => {
+          body.updateParams({ restitution });
           body.trail.enabled = trailEnabled;
+        });
+        // Only world.step() is timed: rendering and the timeline snapshot
+        // cost the same with either broad-phase
+        let stepMs = 0;
+        let steps = 0;
+        stepper.advance(dt, (h) => {
+          const stepStart = performance.now();
+          world.step(h);
+          stepMs += performance.now() - stepStart;
+          steps++;
+          clock.record(h);
+        });
 
-          // Apply gravity
-          const gravityForce = ForceCalculator.gravity(
-            body.params.mass,
-            gravity
-          );
-          body.applyForce(p.createVector(gravityForce.x, gravityForce.y));
-
-          // Ground friction (simplified)
-          const bottomM = toMeters(p.height);
-          const onGround =
-            body.state.position.y + body.params.size / 2 >= bottomM - 0.01;
-          if (onGround && body.state.velocity.mag() > 0.01 && frictionMu > 0) {
-            const friction = ForceCalculator.friction(
-              body.params.mass * gravity,
-              frictionMu,
-              frictionMu * 0.8,
-              body.state.velocity.x,
-              0
-            );
-            body.applyForce(p.createVector(friction, 0));
-          }
-
-          // Physics step
-          body.step(dt);
-
-          // Constrain to bounds
-          const radius = body.params.size / 2;
-          body.constrainToBounds(
-            radius,
-            toMeters(p.width) - radius,
-            radius,
-            toMeters(p.height) - radius
-          );
-
-          // Draw
+        // Draw all bodies
+        world.bodies.forEach((body, i) => {
           body.checkHover(p, body.toScreenPosition());
-          body.draw(p, { hoverEffect: true });
+          body.draw(p, { hoverEffect: true, alpha: stepper.getAlpha() });
 
           // Update sim info for first body
           if (i === 0) {
@@ -217,64 +311,26 @@ export default function Test() {
           }
         });
 
-        // Simple collision detection between bodies
-        for (let i = 0; i < bodiesRef.current.length; i++) {
-          for (let j = i + 1; j < bodiesRef.current.length; j++) {
-            const body1 = bodiesRef.current[i];
-            const body2 = bodiesRef.current[j];
-
-            const dist = p.constructor.Vector.dist(
-              body1.state.position,
-              body2.state.position
-            );
-            const minDist = (body1.params.size + body2.params.size) / 2;
-
-            if (dist < minDist) {
-              // Collision detected - simple elastic response
-              const normal = p.constructor.Vector.sub(
-                body2.state.position,
-                body1.state.position
-              ).normalize();
-
-              // Separate bodies
-              const overlap = minDist - dist;
-              body1.state.position.sub(
-                p.constructor.Vector.mult(normal, overlap / 2)
-              );
-              body2.state.position.add(
-                p.constructor.Vector.mult(normal, overlap / 2)
-              );
-
-              // Calculate relative velocity
-              const relVel = p.constructor.Vector.sub(
-                body2.state.velocity,
-                body1.state.velocity
-              );
-              const velAlongNormal = relVel.dot(normal);
-
-              // Don't resolve if velocities are separating
-              if (velAlongNormal < 0) continue;
-
-              // Calculate restitution (average of both bodies)
-              const restitution =
-                (body1.params.restitution + body2.params.restitution) / 2;
-
-              // Calculate impulse
-              const impulse =
-                (-(1 + restitution) * velAlongNormal) /
-                (1 / body1.params.mass + 1 / body2.params.mass);
+        // Forces acting on the hovered body, one labeled arrow per field
+        const hovered = world.bodies.find((body) => body.isHovered);
+        if (showForces && hovered) {
+          forceRendererRef.current.drawFields(
+            p,
+            hovered,
+            forceFieldsRef.current,
+            world
+          );
+        }
 
-              // Apply impulse
-              body1.applyImpulse(p.constructor.Vector.mult(normal, -impulse));
-              body2.applyImpulse(p.constructor.Vector.mult(normal, impulse));
-            }
-          }
+        if (steps > 0) {
+          updateBenchmark(world, broadPhase, stepMs / steps);
         }
       };
 
       p.windowResized = () => {
         const { clientWidth: w, clientHeight: h } = p._userNode;
         p.resizeCanvas(w, h);
+        setWorldBounds();
 
         trailLayerRef.current = p.createGraphics(w, h);
         trailLayerRef.current.pixelDensity(1);
@@ -291,12 +347,10 @@ export default function Test() {
     <SimulationLayout
       resetVersion={resetVersion}
       onReset={() => {
-        const wasPaused = isPaused();
-        resetTime();
-        if (wasPaused) setPause(true);
         setResetVersion((v) => v + 1);
       }}
       inputs={inputs}
+      schema={schema}
       simulation={location}
       onLoad={(loadedInputs) => {
         setInputs(loadedInputs);
@@ -314,7 +368,13 @@ export default function Test() {
       <P5Wrapper
         sketch={sketch}
         key={resetVersion}
-        simInfos={<SimInfoPanel data={simData} />}
+        simInfos={
+          <>
+            <SimInfoPanel data={simData} />
+            <PlotPanel series={series} />
+            <BenchmarkOverlay statsRef={benchmarkRef} />
+          </>
+        }
       />
     </SimulationLayout>
   );